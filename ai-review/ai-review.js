@@ -2,144 +2,68 @@ const { Octokit } = require('@octokit/rest');
 const core = require('@actions/core');
 const github = require('@actions/github');
 const {
-  ignoredRegex,
+  KEEP_COMMENT_MARKER,
+  isLocaleFile,
+  getLocaleFromPath,
   filterDiffByIgnoredFiles,
-  getLineNumber,
-  parseTranslationChangesFromDiff,
+  validatePlaceholders,
+  validateMarkup,
 } = require('./utils');
-
-// Get GitHub context and inputs
-const context = github.context;
-const owner = context.repo.owner;
-const repo = context.repo.repo;
+const { validatePlurals } = require('./plurals');
+const { validateKeyIntegrity } = require('./keys');
+const { getTranslationChanges } = require('./changes');
+const { mapIssuesToLines } = require('./lines');
+const {
+  formatReviewedShaMarker,
+  getIncrementalBase,
+  partitionComments,
+  resolveReviewThreads,
+  filterKnownIssues,
+} = require('./incremental');
+const { createCheckRun } = require('./checks');
+const { classifyCheckIssue, selectMostSevere, formatIssueLabel, formatIssueOverview } = require('./severity');
+const { loadConfig, getLocaleConfig, filterPostedIssues, createIgnoreRegex } = require('./config');
+const { createGitHubSource } = require('./sources');
+const { getProviderConfigFromEnv, createProvider } = require('./providers');
+const { requestValidatedReview } = require('./response');
+const { NO_ISSUES_SUMMARY, createBatches, mapWithConcurrency, mergeReviews, sumUsage } = require('./batches');
+const { loadReviewCache, saveReviewCache, partitionCachedChanges, storeReviewResults } = require('./cache');
+const { loadPromptTemplates, createPrompt } = require('./prompts');
+const { loadGlossaries, getGlossary, validateGlossary, formatGlossaryForPrompt } = require('./glossary');
+const { findStaleTranslations, formatStaleTranslations } = require('./stale');
+const { createMemoryIndex, formatMemoryForPrompt } = require('./memory');
+const { getContextFile, normalizeContext, addKeyContext } = require('./context');
+const { validateLengths } = require('./length');
 
 const PR_NUMBER = process.env.PR_NUMBER;
 const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
-const AZURE_OPEN_AI_SECRET = process.env.AZURE_OPEN_AI_SECRET;
-const AZURE_OPEN_AI_URL = process.env.AZURE_OPEN_AI_URL;
-const AZURE_OPEN_AI_DEPLOYMENT = process.env.AZURE_OPEN_AI_DEPLOYMENT;
-
-const octokit = new Octokit({
-  auth: GITHUB_TOKEN,
-});
 
-const getPullRequestDiff = async () => {
-  // Get PR details
-  const { data: pr } = await octokit.pulls.get({
+/**
+ * Get the Octokit client and pull request coordinates of the current workflow run.
+ * Resolved lazily, so the review pipeline can also run outside of GitHub Actions.
+ */
+const getGitHubContext = () => {
+  const { owner, repo } = github.context.repo;
+  return {
+    octokit: new Octokit({ auth: GITHUB_TOKEN }),
     owner,
     repo,
-    pull_number: PR_NUMBER,
-  });
-
-  // Get diff using Octokit's request method with diff media type
-  const diffResponse = await octokit.request(`GET /repos/${owner}/${repo}/pulls/${PR_NUMBER}`, {
-    mediaType: {
-      format: 'diff',
-    },
-  });
-
-  return {
-    diff: diffResponse.data || '',
-    title: pr.title,
-    description: pr.body || '',
-    commit: pr.head.sha,
+    pullNumber: PR_NUMBER,
   };
 };
 
-const SYSTEM_PROMPT = {
-  role: 'system',
-  content: `You are an expert translator and localization specialist. You review translations for an EV route planner and navigation app (A Better Routeplanner / ABRP).
-
-Your task is to review the NEW translation values that contributors are submitting in a pull request. Each change has been made deliberately by the contributor, so focus on flagging genuine issues with the new value (\`newValue\`) and never suggest reverting to the previous value (\`oldValue\`) just because it sounded fine.
-
-Always respond with valid JSON only - no markdown, no explanations outside the JSON.`,
-};
+// Configured intro message prefixed to the AI summary (not processed by AI)
+const formatIntro = (intro) => (intro ? `${intro}\n\n---\n\n` : '');
 
-// Static intro message prefixed to the AI summary (not processed by AI)
-const INTRO_MESSAGE = `👋 Thank you for contributing translations to ABRP!
-
-🤖 **This is an automated AI review** to help catch potential translation issues. This feature is new, so please let us know if the AI suggests anything that seems incorrect or unhelpful.
+// Intro of the reviews after the first one, which only cover the new commits
+const formatIncrementalIntro = (since) => `🔁 Reviewed the changes since ${since.slice(0, 7)}. Earlier comments that still apply were kept, outdated ones were resolved.
 
 ---
 
 `;
 
-const getUserPrompt = (title, description, changedTranslations) => {
-  return {
-    role: 'user',
-    content: `Review the translation changes below. Follow these rules strictly.
-
-## Input Schema
-Each entry in "Changed Translations" describes ONE modified line in the PR:
-- "file": the language file (e.g. "de.json")
-- "key": the translation key
-- "newValue": the NEW translation value the contributor is proposing — THIS is what you review
-- "oldValue": the PREVIOUS translation value, before this PR (null when the key is brand new) — provided ONLY as context so you understand the change
-- "englishValue": the English source string (the meaning to convey)
-- "line": the exact line from the file that contains "newValue" — use this verbatim for "lineContent"
-
-## What to Review (about \`newValue\` only)
-1. Translation accuracy - does \`newValue\` convey the same meaning as \`englishValue\`?
-2. Grammar and spelling errors in \`newValue\`
-3. Consistency - are similar terms translated consistently across the \`newValue\`s in this PR?
-4. Placeholder preservation - are {{placeholders}} from \`englishValue\` kept intact in \`newValue\`? Placeholder names must stay identical.
-5. Pluralization rules - are plural forms in \`newValue\` correct for the target language?
-6. Context appropriateness - is \`newValue\` suitable for an EV route planner app?
-7. Untranslated content - is \`newValue\` left in English when it should be translated?
-
-## What NOT to Review
-1. The English source text (\`englishValue\`) - never suggest changes to English.
-2. The previous translation (\`oldValue\`) - it is shown only for context. NEVER suggest reverting \`newValue\` back to \`oldValue\` or to anything close to it. The contributor changed it deliberately.
-3. Subjective stylistic preferences where multiple translations are acceptable - the contributor chose \`newValue\` deliberately, only flag genuine errors.
-4. Positive feedback - only report problems.
-5. Formatting/whitespace differences that don't affect meaning.
-6. Length/conciseness preferences (e.g. don't suggest a longer or shorter wording unless the current one is actually wrong).
-
-## Output Format
-Respond with ONLY a JSON object in this exact structure:
-{
-  "summary": "Brief 1-2 sentence summary of findings, or 'No significant issues found.' if none",
-  "issues": [
-    {
-      "filePath": "xx.json",
-      "lineContent": "exact line content to match in the file",
-      "comment": "Brief explanation of the issue"
-    }
-  ]
-}
-
-## lineContent Rules (IMPORTANT for line matching)
-The lineContent field is used to find the exact line number in the file. Follow these rules:
-1. Use the EXACT line as it appears in the "line" field of the changed translations (this is the NEW line, after the change)
-2. Include the full line with the key and value, e.g.: "  \\"key\\": \\"translated value\\","
-3. Do NOT paraphrase or modify the line content
-4. Do NOT use the old translation (\`oldValue\`) as the lineContent - it no longer exists in the file
-
-## GitHub Suggestions
-When you can propose a better translation, use GitHub's suggestion syntax in the comment field:
-\`\`\`suggestion
-  "key": "improved translation",
-\`\`\`
-
-IMPORTANT:
-- Preserve the EXACT indentation (2 spaces) and include the trailing comma if present in the original.
-- The suggestion must NOT be equal to \`oldValue\` (that would just revert the contributor's change).
-
-Example (typo fix on a NEW value):
-{
-  "filePath": "de.json",
-  "lineContent": "  \\"starting_point\\": \\"Startpunkttt\\",",
-  "comment": "Typo in German translation:\n\`\`\`suggestion\n  \\"starting_point\\": \\"Startpunkt\\",\n\`\`\`"
-}
-
-Only use suggestions when you have a specific, objectively better translation. For general issues without a clear fix, just explain the problem.
-
-If there are no issues, return: {"summary": "No significant issues found.", "issues": []}
-
-${title ? `## PR Title\n${title}\n\n` : ''}${description ? `## PR Description\n${description}\n\n` : ''}## Changed Translations
-${JSON.stringify(changedTranslations, null, 2)}`,
-  };
-};
+// Summary for the findings of translations that were reviewed before
+const CACHED_ISSUES_SUMMARY = 'Some of the changed translations were reviewed before, their findings still apply.';
 
 // Handle both quoted and unquoted paths in git diff headers
 // Use ^ with multiline flag to only match actual diff headers at start of lines,
@@ -147,51 +71,29 @@ ${JSON.stringify(changedTranslations, null, 2)}`,
 const pathRegex = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?\n(?!deleted file mode)/gm;
 
 /**
- * Fetch a single file's content from the repository.
+ * Get the content of all touched translation files (for line number detection),
+ * except ignored files and skipped locales.
  */
-const getFileContent = async (path, commit) => {
-  try {
-    const { data } = await octokit.repos.getContent({
-      owner,
-      repo,
-      path,
-      ref: commit,
-    });
-
-    if (data.type === 'file' && data.encoding === 'base64') {
-      return Buffer.from(data.content, 'base64').toString('utf-8');
-    } else if (data.type === 'file' && typeof data.content === 'string') {
-      return data.content;
-    }
-    return null;
-  } catch (err) {
-    console.error(`Failed to get content for ${path}`, err);
-    return null;
-  }
-};
-
-/**
- * Get the content of all touched translation files (for line number detection).
- */
-const getTouchedFilesContent = async (diff, commit) => {
+const getTouchedFilesContent = async (source, diff, commit, config) => {
+  const ignored = createIgnoreRegex(config.ignore);
   const files = [];
   let match;
   // Reset regex state
   pathRegex.lastIndex = 0;
   while ((match = pathRegex.exec(diff)) !== null) {
     const path = match[2].replace(/^"|"$/g, '');
-    if (ignoredRegex.test(path)) {
+    if (ignored.test(path)) {
       continue;
     }
-    // Only include JSON translation files
-    if (path.endsWith('.json')) {
+    // Only include translation files
+    if (isLocaleFile(path) && !getLocaleConfig(config, path).skip) {
       files.push(path);
     }
   }
 
   const fileContents = await Promise.all(
     files.map(async (path) => {
-      const content = await getFileContent(path, commit);
+      const content = await source.getFileContent(path, commit);
       return { path, content };
     })
   );
@@ -200,115 +102,307 @@ const getTouchedFilesContent = async (diff, commit) => {
 };
 
 /**
- * Get English translations as the reference source.
+ * Get the translations of the source locale (English by default) as the reference.
  */
-const getEnglishTranslations = async (commit) => {
-  const content = await getFileContent('en.json', commit);
+const getEnglishTranslations = async (source, commit, sourceFile) => {
+  const content = await source.getFileContent(sourceFile, commit);
   if (!content) {
-    console.warn('Could not fetch en.json for reference');
+    console.warn(`Could not fetch ${sourceFile} for reference`);
     return {};
   }
   try {
     return JSON.parse(content);
   } catch (err) {
-    console.error('Failed to parse en.json', err);
+    console.error(`Failed to parse ${sourceFile}`, err);
     return {};
   }
 };
 
-const createPrompt = (title, description, changedTranslations) => {
-  const messages = [SYSTEM_PROMPT, getUserPrompt(title, description, changedTranslations)];
-
-  console.log(`Found ${changedTranslations.length} changed translations to review`);
-  console.log('Requesting translation review...');
+/**
+ * Context of the source strings, see context.js. It's read from the base like
+ * the prompt templates, a pull request can't change its own length limits or
+ * the descriptions that are sent to the model.
+ */
+const getSourceContext = async (source, commit, sourceFile) => {
+  const contextFile = getContextFile(sourceFile);
+  const content = await source.getFileContent(contextFile, commit);
+  if (!content) return {};
+  try {
+    return normalizeContext(JSON.parse(content), contextFile);
+  } catch (err) {
+    console.error('Failed to load the key context', err.message);
+    return {};
+  }
+};
 
-  return { messages };
+/**
+ * Parsed head version of a touched locale file, empty when it's not valid JSON.
+ */
+const getTranslations = (fileContents, filePath) => {
+  try {
+    return JSON.parse(fileContents.find(({ path }) => path === filePath).content);
+  } catch (err) {
+    return {};
+  }
 };
 
-const axios = require('axios');
+/**
+ * Translations of the English values the change set edits, see stale.js.
+ * The other locale files are read from `rootDir`, the checked out base branch.
+ */
+const getStaleTranslations = (fileContents, baseContents, englishTranslations, { sourceFile, config, rootDir }) => {
+  const baseSource = baseContents.find(({ path }) => path === sourceFile)?.content;
+  if (!baseSource) return [];
+  try {
+    return findStaleTranslations(JSON.parse(baseSource), englishTranslations, {
+      rootDir,
+      sourceFile,
+      updated: fileContents,
+      baseContents,
+      isSkipped: (file) => getLocaleConfig(config, file).skip,
+    });
+  } catch (err) {
+    console.error('Failed to find stale translations', err.message);
+    return [];
+  }
+};
 
-const requestReview = async () => {
-  const { diff, title, description, commit } = await getPullRequestDiff();
-  const filteredDiff = filterDiffByIgnoredFiles(diff);
+/**
+ * Run the deterministic checks and the AI review for the changes of a source.
+ * Large change sets are split into batches that are reviewed in parallel and
+ * merged into one review. With `dryRun` the model is not called, the returned
+ * review only contains the deterministic findings and `prompts` holds the
+ * messages that would be sent for each batch.
+ *
+ * With `since` only the translations changed after that commit are sent to
+ * the model, see incremental.js. The automated checks still cover the whole
+ * change set, their findings decide whether the pull request can be merged.
+ *
+ * Translations the model already reviewed, with the same English source, are
+ * not sent again, their findings come from the review cache (see cache.js).
+ * The cache covers the whole change set, so the findings of earlier pushes
+ * stay in the review until they are fixed.
+ *
+ * Ignored files, skipped locales and turned off checks come from `config`.
+ *
+ * @param {Object} source - See sources.js
+ * @param {{ dryRun?: boolean, provider?: Object, since?: string, config?: Object, rootDir?: string }} options -
+ *   `provider` defaults to the one configured through environment variables, see providers.js. `config`
+ *   defaults to the repository configuration, see config.js. `rootDir` holds the other locale files.
+ * @returns {Promise<{ review: Object, fileContents: Array, diff: string, changes: Array, stale: Array,
+ *   partial?: boolean, prompts?: Array }>} `diff` is the diff of the whole change set, without ignored
+ *   files. `changes` are the reviewed translations. `stale` are the translations of changed English values,
+ *   see stale.js. `partial` is set when only the automated checks ran.
+ */
+const requestReview = async (source, { dryRun = false, provider, since, config = loadConfig(), rootDir } = {}) => {
+  const { diff, title, description, commit, baseCommit } = await source.getPullRequest();
+  const filteredDiff = filterDiffByIgnoredFiles(diff, createIgnoreRegex(config.ignore));
+  const sourceFile = `${config.sourceLocale}.json`;
+  const { cacheFile } = config;
+  const isEnabled = (check, filePath) => getLocaleConfig(config, filePath).checks[check];
 
   // Get English translations for reference (full file needed for lookups,
   // but only modified keys' English values are sent to the AI)
-  const englishTranslations = await getEnglishTranslations(commit);
+  const englishTranslations = await getEnglishTranslations(source, commit, sourceFile);
   const totalEnglishKeys = Object.keys(englishTranslations).length;
 
-  // Parse changed translations from the diff - only extracts modified keys
-  // and looks up their corresponding English values
-  const changedTranslations = parseTranslationChangesFromDiff(filteredDiff, englishTranslations);
+  // Both versions of the touched files, the changes are computed by comparing them as JSON
+  // (the head versions are also used for line number detection, they're not sent to AI)
+  const fileContents = await getTouchedFilesContent(source, filteredDiff, commit, config);
+  const baseContents = await Promise.all(
+    fileContents.map(async ({ path }) => ({ path, content: await source.getFileContent(path, baseCommit) }))
+  );
+
+  // Only the modified keys are extracted, with their corresponding English values and where they appear in the app
+  const changedTranslations = addKeyContext(
+    getTranslationChanges(fileContents, baseContents, englishTranslations, sourceFile),
+    await getSourceContext(source, baseCommit, sourceFile)
+  );
+
+  // The model only sees the translations changed since the last review, the checks below are cheap and cover all
+  const aiTranslations = changedTranslations.filter(({ file }) => isEnabled('ai', file));
+  let reviewedTranslations = aiTranslations;
+  if (since) {
+    // The previous values stay the ones of the merge base, the intermediate commits are no reference
+    const sinceContents = await Promise.all(
+      fileContents.map(async ({ path }) => ({ path, content: await source.getFileContent(path, since) }))
+    );
+    const recent = new Set(
+      getTranslationChanges(fileContents, sinceContents, englishTranslations, sourceFile).map(
+        ({ file, key }) => `${file}\0${key}`
+      )
+    );
+    reviewedTranslations = aiTranslations.filter(({ file, key }) => recent.has(`${file}\0${key}`));
+    console.log(`Reviewing ${reviewedTranslations.length} translations changed since ${since}`);
+  }
+
+  console.log(`Loaded ${totalEnglishKeys} English keys, using ${reviewedTranslations.length} for context`);
 
-  console.log(`Loaded ${totalEnglishKeys} English keys, using ${changedTranslations.length} for context`);
+  // Keys are checked on whole files, a pull request that only deletes keys has no changed translations
+  const keyIssues = validateKeyIntegrity(fileContents, baseContents, englishTranslations, sourceFile).filter(
+    ({ filePath }) => isEnabled('keys', filePath)
+  );
+
+  // Changed English values are listed in the summary, the translations keep the meaning of the old ones
+  const stale = getStaleTranslations(fileContents, baseContents, englishTranslations, { sourceFile, config, rootDir });
+  if (stale.length > 0) {
+    console.log(`Found stale translations in ${stale.length} locales`);
+  }
 
   if (changedTranslations.length === 0) {
     console.log('No translation changes found in the diff');
-    return { review: { summary: 'No translation changes found.', issues: [] }, fileContents: [] };
+    const summary = keyIssues.length > 0 ? 'The keys of the translation files were changed.' : 'No translation changes found.';
+    return {
+      review: { summary, issues: keyIssues.map(classifyCheckIssue) },
+      fileContents,
+      diff: filteredDiff,
+      changes: reviewedTranslations,
+      stale,
+    };
   }
 
-  // Get file contents for line number detection (not sent to AI)
-  const fileContents = await getTouchedFilesContent(filteredDiff, commit);
+  // Deterministic checks run independently of the AI model and are always posted
+  const placeholderIssues = validatePlaceholders(changedTranslations);
+  const markupIssues = validateMarkup(changedTranslations);
+  const pluralIssues = validatePlurals(changedTranslations, fileContents, englishTranslations);
+  const glossaries = loadGlossaries();
+  const glossaryIssues = validateGlossary(changedTranslations, glossaries);
+  const lengthIssues = validateLengths(changedTranslations, englishTranslations, {
+    getRatio: (filePath) => getLocaleConfig(config, filePath).maxLengthRatio,
+  });
+  console.log(
+    `Found ${keyIssues.length} key issues, ${placeholderIssues.length} placeholder issues, ${markupIssues.length} markup issues, ${pluralIssues.length} plural issues, ${glossaryIssues.length} glossary issues and ${lengthIssues.length} length issues`
+  );
+  const checkIssues = [
+    ...keyIssues,
+    ...placeholderIssues,
+    ...markupIssues,
+    ...pluralIssues,
+    ...glossaryIssues,
+    ...lengthIssues,
+  ]
+    .filter(({ check, filePath }) => isEnabled(check, filePath))
+    .map(classifyCheckIssue);
+
+  const templates = loadPromptTemplates();
+  const cache = cacheFile ? loadReviewCache(cacheFile, templates.version) : { version: templates.version, entries: {} };
+  // Findings of earlier pushes come from the cache, only new translations are sent to the model
+  const { hits, misses } = partitionCachedChanges(cache, aiTranslations);
+  const cachedIssues = hits.flatMap(({ issues }) => issues);
+  const unreviewed = misses.filter((change) => reviewedTranslations.includes(change));
+
+  const batches = createBatches(unreviewed, { maxTokens: config.model.maxBatchTokens });
+  // How the locale already translates similar English strings, for consistency
+  const memoryIndex = batches.length > 0 ? createMemoryIndex(englishTranslations) : [];
+  const prompts = batches.map((changes) =>
+    createPrompt(templates, {
+      title,
+      description,
+      changes,
+      glossary: formatGlossaryForPrompt(changes, getGlossary(glossaries, getLocaleFromPath(changes[0].file))),
+      memory: formatMemoryForPrompt(changes, memoryIndex, getTranslations(fileContents, changes[0].file)),
+    })
+  );
+  console.log(`Using prompt templates version ${templates.version}`);
+  console.log(
+    `Found ${aiTranslations.length} changed translations, ${hits.length} reviewed before, ${unreviewed.length} to review in ${batches.length} batches`
+  );
 
-  const prompt = createPrompt(title, description, changedTranslations);
+  if (dryRun) {
+    return {
+      review: { summary: 'Dry run, the AI review was skipped.', issues: [...checkIssues, ...cachedIssues] },
+      fileContents,
+      diff: filteredDiff,
+      changes: reviewedTranslations,
+      stale,
+      prompts,
+    };
+  }
 
-  // Construct Azure OpenAI URL from secrets
-  const openAiUrl = `${AZURE_OPEN_AI_URL}/openai/deployments/${AZURE_OPEN_AI_DEPLOYMENT}/chat/completions?api-version=2024-12-01-preview`;
+  console.log('Requesting translation review...');
 
-  const config = {
-    method: 'post',
-    maxBodyLength: Number.POSITIVE_INFINITY,
-    url: openAiUrl,
-    headers: {
-      'api-key': AZURE_OPEN_AI_SECRET,
-      'Content-Type': 'application/json',
-    },
-    data: JSON.stringify(prompt),
-  };
+  const reviewProvider =
+    batches.length > 0 ? provider || createProvider(getProviderConfigFromEnv(), config.model) : null;
 
-  return new Promise((resolve, reject) => {
-    axios
-      .request(config)
-      .then((response) => {
-        const review = response.data.choices[0].message.content;
-        console.log('OpenAI Usage statistics', response.data.usage);
+  return mapWithConcurrency(batches, config.model.concurrency, (batch, index) =>
+    requestValidatedReview(reviewProvider, prompts[index].messages, { files: [batch[0].file] })
+  )
+    .then((results) => {
+      results.forEach(({ dropped }) =>
+        dropped.forEach(({ issue, reason }) => console.warn(`Dropped invalid issue (${reason})`, issue))
+      );
+      console.log('Total usage statistics', sumUsage(results.flatMap(({ usage }) => usage)));
+      console.log(`Review cache hits: ${hits.length} of ${aiTranslations.length} translations`);
 
+      if (cacheFile) {
+        // Batches with dropped issues are left out, their outcome is incomplete
+        results.forEach(({ review: batchReview, dropped }, index) => {
+          if (dropped.length === 0) storeReviewResults(cache, batches[index], batchReview.issues);
+        });
         try {
-          const json = JSON.parse(review);
-          resolve({ review: json, fileContents });
-        } catch (error) {
-          console.error('Failed to JSON.parse review', review);
-          reject(error);
+          saveReviewCache(cacheFile, cache);
+        } catch (err) {
+          console.warn(`Failed to save the review cache ${cacheFile}`, err.message);
         }
-      })
-      .catch((error) => {
-        reject(error);
-      });
-  });
+      }
+
+      const batchReviews = results.map(({ review: batchReview }) => batchReview);
+      if (hits.length > 0) {
+        const summary = cachedIssues.length > 0 ? CACHED_ISSUES_SUMMARY : NO_ISSUES_SUMMARY;
+        batchReviews.unshift({ summary, issues: cachedIssues });
+      }
+      const review = mergeReviews(batchReviews);
+      review.issues = [...checkIssues, ...review.issues];
+      if (reviewedTranslations.length === 0) {
+        review.summary = 'No new translation changes since the last review.';
+      }
+      return { review, fileContents, diff: filteredDiff, changes: reviewedTranslations, stale };
+    })
+    .catch((error) => {
+      // If the AI review fails, the deterministic findings are still worth posting
+      if (checkIssues.length === 0) {
+        throw error;
+      }
+      console.error('AI review failed, posting automated check results only', error.message);
+      core.setFailed(`Failed to get review: ${error.message}`);
+      return {
+        review: {
+          summary: 'The AI review could not be completed, only automated checks were run.',
+          issues: [...checkIssues, ...cachedIssues],
+        },
+        fileContents,
+        diff: filteredDiff,
+        changes: reviewedTranslations,
+        stale,
+        partial: true,
+      };
+    });
 };
 
-const deleteCommentsByUser = async (username) => {
+const deleteCommentsByUser = async ({ octokit, owner, repo, pullNumber }, username) => {
   try {
     // Step 1: List all review comments (inline comments) on the pull request
     const reviewCommentsResponse = await octokit.pulls.listReviewComments({
       owner,
       repo,
-      pull_number: PR_NUMBER,
+      pull_number: pullNumber,
     });
 
     // Step 2: List all issue comments (general comments) on the pull request
     const issueCommentsResponse = await octokit.issues.listComments({
       owner,
       repo,
-      issue_number: PR_NUMBER,
+      issue_number: pullNumber,
     });
 
     const reviewComments = reviewCommentsResponse.data || [];
     const issueComments = issueCommentsResponse.data || [];
 
-    // Step 3: Filter comments by the specific user
-    const userReviewComments = reviewComments.filter((comment) => comment.user.login === username);
-    const userIssueComments = issueComments.filter((comment) => comment.user.login === username);
+    // Step 3: Filter comments by the specific user, except the ones updated in place (coverage report)
+    const isOwnComment = (comment) =>
+      comment.user.login === username && !comment.body?.includes(KEEP_COMMENT_MARKER);
+    const userReviewComments = reviewComments.filter(isOwnComment);
+    const userIssueComments = issueComments.filter(isOwnComment);
 
     // Step 4: Delete each review comment made by that user
     await Promise.allSettled(
@@ -343,41 +437,113 @@ const deleteCommentsByUser = async (username) => {
   }
 };
 
-const getReviewAndSendToGitHub = async () => {
-  return requestReview()
-    .then(async ({ review, fileContents }) => {
+/**
+ * Keep the earlier inline comments of the bot that still apply and resolve the
+ * threads of the outdated ones.
+ *
+ * @returns {Promise<Array>} The kept comments
+ */
+const updatePreviousComments = async (gitHubContext, username, changes, fileContents) => {
+  const { octokit, owner, repo, pullNumber } = gitHubContext;
+  const comments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+
+  const { kept, outdated } = partitionComments(comments, username, changes, fileContents);
+  try {
+    const resolved = await resolveReviewThreads(gitHubContext, outdated.map(({ id }) => id));
+    console.log(`Kept ${kept.length} previous comments, resolved ${resolved} outdated ones`);
+  } catch (error) {
+    console.error('Failed to resolve outdated review threads', error.message);
+  }
+  return kept;
+};
+
+/**
+ * Review the pull request and post the result as a review on GitHub.
+ *
+ * After the first review only the commits pushed since the last one are
+ * reviewed, see incremental.js. A force push starts over with a full review.
+ * All findings are reported as a check run, which fails when a finding
+ * reaches the configured `failLevel` (see checks.js). Only the findings of at
+ * least `minSeverity` and outside of `ignoredCategories` are posted as
+ * comments, at most `maxComments` of them.
+ *
+ * @param {Object} gitHubContext - Octokit client and pull request coordinates
+ * @param {{ provider?: Object, config?: Object }} options - `config` overrides the repository
+ *   configuration, see config.js
+ */
+const getReviewAndSendToGitHub = async (gitHubContext = getGitHubContext(), { provider, config: overrides } = {}) => {
+  const { octokit, owner, repo, pullNumber } = gitHubContext;
+
+  let config;
+  try {
+    config = loadConfig({ overrides });
+  } catch (error) {
+    core.setFailed(error.message);
+    return;
+  }
+  const { botLogin } = config;
+
+  let pr;
+  let since = null;
+  try {
+    // Get PR details to get the head commit for inline comments and the reviewed commit marker
+    ({ data: pr } = await octokit.pulls.get({
+      owner,
+      repo,
+      pull_number: pullNumber,
+    }));
+    if (config.incremental) {
+      since = await getIncrementalBase(gitHubContext, pr.head.sha, botLogin);
+    }
+  } catch (error) {
+    console.error('failed to query pull request', error.message);
+    core.setFailed(`Failed to get review: ${error.message}`);
+    return;
+  }
+
+  if (since === pr.head.sha) {
+    console.log(`Commit ${since} was already reviewed`);
+    return;
+  }
+
+  return requestReview(createGitHubSource(gitHubContext), { provider, since, config })
+    .then(async ({ review, fileContents, diff, changes, stale, partial }) => {
       // log review for debugging purposes
       console.log('Review:\n', review);
 
-      // Get PR details to get the base and head commits for inline comments
-      const { data: pr } = await octokit.pulls.get({
-        owner,
-        repo,
-        pull_number: PR_NUMBER,
-      });
+      // Annotations get the comments as the model wrote them, before code is attached to them below
+      try {
+        await createCheckRun(gitHubContext, pr.head.sha, review, fileContents, { failLevel: config.failLevel });
+      } catch (error) {
+        console.error('Failed to create check run', error.message);
+      }
 
-      review.issues?.forEach((element) => {
-        const filePath = element.filePath;
-        const fileContent = fileContents.find((file) => file.path === filePath);
-        if (fileContent) {
-          try {
-            const lineNumber = getLineNumber(fileContent.content, element.lineContent);
-            if (lineNumber === -1) {
-              // Line not found in file - attach the code to the comment
-              element.comment = `${element.comment}\n${filePath}:\n\`\`\`\n${element.lineContent}\n\`\`\``;
-            }
-            element.lineNumber = lineNumber;
-          } catch (error) {
-            console.error(
-              `Failed to get line number for:\n${element.lineContent}\nError:\n`,
-              error
-            );
-          }
+      const postedIssues = filterPostedIssues(review.issues || [], config);
+
+      // Anchor comments by translation key, on lines GitHub accepts for this diff
+      mapIssuesToLines(postedIssues, fileContents, diff);
+      postedIssues.forEach((element) => {
+        element.comment = `${formatIssueLabel(element)}\n\n${element.comment}`;
+        if (element.lineNumber === -1) {
+          // Line can't be commented - attach the code to the comment
+          element.comment = `${element.comment}\n${element.filePath}:\n\`\`\`\n${element.lineContent}\n\`\`\``;
         }
       });
 
-      // Delete previous comments by the bot
-      await deleteCommentsByUser('github-actions[bot]');
+      // Keep the comment history of earlier reviews of this pull request, or start over
+      const unknownIssues = since
+        ? filterKnownIssues(postedIssues, await updatePreviousComments(gitHubContext, botLogin, changes, fileContents))
+        : postedIssues;
+      if (!since) {
+        await deleteCommentsByUser(gitHubContext, botLogin);
+      }
+      // All findings are in the check run, a review with too many comments is hard to follow
+      const { selected: newIssues, omitted } = selectMostSevere(unknownIssues, config.maxComments);
 
       console.log('Creating review using two-step approach...');
 
@@ -386,8 +552,8 @@ const getReviewAndSendToGitHub = async () => {
         const reviewComments = [];
         const generalComments = [];
 
-        if (review.issues?.length) {
-          review.issues.forEach(({ filePath, lineNumber, comment }) => {
+        if (newIssues.length) {
+          newIssues.forEach(({ filePath, lineNumber, comment }) => {
             if (lineNumber === -1) {
               // Collect general comments (line not found)
               generalComments.push({ filePath, comment });
@@ -403,8 +569,23 @@ const getReviewAndSendToGitHub = async () => {
           });
         }
 
-        // Build review body with summary and general comments
-        let reviewBody = INTRO_MESSAGE + review.summary;
+        // Build review body with summary, findings per severity and general comments
+        let reviewBody = (since ? formatIncrementalIntro(since) : formatIntro(config.intro)) + review.summary;
+
+        const overview = formatIssueOverview(newIssues);
+        if (overview) {
+          reviewBody += `\n\n${overview}`;
+        }
+
+        const staleSection = formatStaleTranslations(stale);
+        if (staleSection) {
+          reviewBody += `\n\n${staleSection}`;
+        }
+
+        if (omitted > 0) {
+          reviewBody += `\n\nOnly the ${newIssues.length} most severe findings are commented on, `;
+          reviewBody += `${omitted} more are listed in the checks tab.`;
+        }
 
         if (generalComments.length > 0) {
           reviewBody += '\n\n## General Comments\n\n';
@@ -413,6 +594,11 @@ const getReviewAndSendToGitHub = async () => {
           });
         }
 
+        // The next review starts from here, unless the AI review failed and has to be repeated
+        if (!partial) {
+          reviewBody += `\n\n${formatReviewedShaMarker(pr.head.sha)}`;
+        }
+
         // Step 1: Create review with PENDING state (omit event parameter)
         // This creates the review with all comments but doesn't send notifications yet
         console.log(`Step 1: Creating pending review with ${reviewComments.length} inline comments`);
@@ -420,7 +606,7 @@ const getReviewAndSendToGitHub = async () => {
         const pendingReviewParams = {
           owner,
           repo,
-          pull_number: PR_NUMBER,
+          pull_number: pullNumber,
           commit_id: pr.head.sha,
           body: reviewBody,
           // Omit 'event' parameter to create a PENDING review
@@ -442,7 +628,7 @@ const getReviewAndSendToGitHub = async () => {
         await octokit.pulls.submitReview({
           owner,
           repo,
-          pull_number: PR_NUMBER,
+          pull_number: pullNumber,
           review_id: reviewId,
           event: 'COMMENT',
         });
@@ -456,6 +642,12 @@ const getReviewAndSendToGitHub = async () => {
         core.setFailed(`Failed to create review: ${error.message}`);
         throw error;
       }
+
+      // Changed keys break the app, unlike the other findings they block the pull request
+      const keyIssues = review.issues?.filter(({ check }) => check === 'keys') || [];
+      if (keyIssues.length > 0) {
+        core.setFailed(`Found ${keyIssues.length} changed keys in the translation files`);
+      }
     })
     .catch((error) => {
       console.error('failed to query review', error.message);
@@ -469,4 +661,4 @@ if (require.main === module) {
   getReviewAndSendToGitHub();
 }
 
-module.exports = { getReviewAndSendToGitHub };
+module.exports = { getGitHubContext, requestReview, getReviewAndSendToGitHub };
@@ -0,0 +1,103 @@
+// Summary the model is asked to return when it finds nothing
+const NO_ISSUES_SUMMARY = 'No significant issues found.';
+
+/**
+ * Rough token estimate for JSON payloads. Translations mix scripts with very
+ * different tokenization, ~4 characters per token is a conservative average.
+ */
+const estimateTokens = (value) => Math.ceil(JSON.stringify(value).length / 4);
+
+/**
+ * Split changed translations into batches that each fit the token budget.
+ * A batch never mixes files, so the model can still check consistency within
+ * a language. An entry larger than the budget gets a batch of its own.
+ *
+ * @param {Array} changes - Entries from `getTranslationChanges`
+ * @param {{ maxTokens: number }} options - Token budget for the changes of one batch
+ * @returns {Array<Array>} Batches in the order of the changes
+ */
+const createBatches = (changes, { maxTokens }) => {
+  const changesByFile = new Map();
+  for (const change of changes) {
+    if (!changesByFile.has(change.file)) changesByFile.set(change.file, []);
+    changesByFile.get(change.file).push(change);
+  }
+
+  const batches = [];
+  for (const fileChanges of changesByFile.values()) {
+    let batch = [];
+    let batchTokens = 0;
+    for (const change of fileChanges) {
+      const tokens = estimateTokens(change);
+      if (batch.length > 0 && batchTokens + tokens > maxTokens) {
+        batches.push(batch);
+        batch = [];
+        batchTokens = 0;
+      }
+      batch.push(change);
+      batchTokens += tokens;
+    }
+    batches.push(batch);
+  }
+  return batches;
+};
+
+/**
+ * Like `Promise.all(items.map(fn))`, but with at most `limit` calls in flight.
+ * Rejects with the first error, results keep the order of `items`.
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Merge the reviews of all batches into one. Summaries of batches without
+ * findings are left out as long as another batch found something.
+ */
+const mergeReviews = (reviews) => {
+  const summaries = [...new Set(reviews.map(({ summary }) => summary))];
+  const relevantSummaries = summaries.filter((summary) => summary !== NO_ISSUES_SUMMARY);
+
+  return {
+    summary: relevantSummaries.length > 0 ? relevantSummaries.join('\n\n') : NO_ISSUES_SUMMARY,
+    issues: reviews.flatMap(({ issues }) => issues),
+  };
+};
+
+/**
+ * Add up usage statistics, including nested ones like `prompt_tokens_details`.
+ */
+const sumUsage = (usages) => {
+  const add = (total, usage) => {
+    for (const [key, value] of Object.entries(usage || {})) {
+      if (typeof value === 'number') {
+        total[key] = (total[key] || 0) + value;
+      } else if (value && typeof value === 'object') {
+        total[key] = add(total[key] || {}, value);
+      }
+    }
+    return total;
+  };
+
+  return usages.reduce(add, {});
+};
+
+module.exports = {
+  NO_ISSUES_SUMMARY,
+  estimateTokens,
+  createBatches,
+  mapWithConcurrency,
+  mergeReviews,
+  sumUsage,
+};
@@ -0,0 +1,108 @@
+const {
+  estimateTokens,
+  createBatches,
+  mapWithConcurrency,
+  mergeReviews,
+  sumUsage,
+} = require('./batches');
+
+describe('review batching tests', () => {
+  const change = (file, key, newValue = 'x') => ({
+    file,
+    key,
+    newValue,
+    oldValue: null,
+    englishValue: 'x',
+    line: `  "${key}": "${newValue}",`,
+  });
+
+  describe('estimateTokens', () => {
+    it('should estimate about four characters per token', () => {
+      expect(estimateTokens('a'.repeat(38))).toBe(10);
+    });
+  });
+
+  describe('createBatches', () => {
+    it('should keep small change sets in one batch per file', () => {
+      const changes = [change('de.json', 'a'), change('fr.json', 'a'), change('de.json', 'b')];
+      expect(createBatches(changes, { maxTokens: 1000 })).toEqual([
+        [changes[0], changes[2]],
+        [changes[1]],
+      ]);
+    });
+
+    it('should split files that exceed the token budget', () => {
+      const changes = ['a', 'b', 'c'].map((key) => change('ta-IN.json', key));
+      const maxTokens = estimateTokens(changes[0]) * 2;
+      expect(createBatches(changes, { maxTokens })).toEqual([[changes[0], changes[1]], [changes[2]]]);
+    });
+
+    it('should put oversized entries in a batch of their own', () => {
+      const changes = [change('de.json', 'a', 'x'.repeat(400)), change('de.json', 'b')];
+      expect(createBatches(changes, { maxTokens: 10 })).toEqual([[changes[0]], [changes[1]]]);
+    });
+
+    it('should return no batches without changes', () => {
+      expect(createBatches([], { maxTokens: 10 })).toEqual([]);
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep the order of results and respect the limit', async () => {
+      let running = 0;
+      let maxRunning = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running--;
+        return index;
+      });
+
+      expect(results).toEqual([0, 1, 2, 3]);
+      expect(maxRunning).toBe(2);
+    });
+
+    it('should reject with the first error', async () => {
+      await expect(
+        mapWithConcurrency([1, 2], 2, async (value) => {
+          if (value === 2) throw new Error('batch failed');
+          return value;
+        })
+      ).rejects.toThrow('batch failed');
+    });
+  });
+
+  describe('mergeReviews', () => {
+    it('should concatenate issues and relevant summaries', () => {
+      expect(
+        mergeReviews([
+          { summary: 'No significant issues found.', issues: [] },
+          { summary: 'Typo in German.', issues: [{ comment: 'a' }] },
+          { summary: 'Wrong plural in French.', issues: [{ comment: 'b' }] },
+        ])
+      ).toEqual({
+        summary: 'Typo in German.\n\nWrong plural in French.',
+        issues: [{ comment: 'a' }, { comment: 'b' }],
+      });
+    });
+
+    it('should keep the default summary when nothing was found', () => {
+      expect(mergeReviews([{ summary: 'No significant issues found.', issues: [] }]).summary).toBe(
+        'No significant issues found.'
+      );
+    });
+  });
+
+  describe('sumUsage', () => {
+    it('should add up usage statistics including nested details', () => {
+      expect(
+        sumUsage([
+          { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12, prompt_tokens_details: { cached_tokens: 4 } },
+          undefined,
+          { prompt_tokens: 5, completion_tokens: 1, total_tokens: 6, prompt_tokens_details: { cached_tokens: 1 } },
+        ])
+      ).toEqual({ prompt_tokens: 15, completion_tokens: 3, total_tokens: 18, prompt_tokens_details: { cached_tokens: 5 } });
+    });
+  });
+});
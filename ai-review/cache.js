@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getLocaleFromPath } = require('./utils');
+const { extractKey } = require('./lines');
+
+// Oldest entries are dropped beyond this, the cache only has to cover the open pull requests
+const MAX_CACHE_ENTRIES = 20000;
+
+/**
+ * Content address of a changed translation. The previous value is left out,
+ * it only keeps the model from suggesting it again. The key context is only
+ * part of it when there is one, see context.js.
+ */
+const getCacheKey = ({ file, key, newValue, englishValue, context }) =>
+  crypto
+    .createHash('sha256')
+    .update(JSON.stringify([getLocaleFromPath(file), key, newValue, englishValue, ...(context ? [context] : [])]))
+    .digest('hex');
+
+/**
+ * Load the review cache. Results of other prompt versions are discarded, the
+ * model could judge the same translation differently with other instructions.
+ *
+ * @param {string} filePath - Cache file, it doesn't have to exist yet
+ * @param {string} version - Version of the prompt templates, see prompts.js
+ * @returns {{ version: string, entries: Object<string, { issues: Array }> }}
+ */
+const loadReviewCache = (filePath, version) => {
+  try {
+    const cache = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (cache.version === version && cache.entries && typeof cache.entries === 'object') {
+      return cache;
+    }
+    console.log(`Discarding review cache of prompt version ${cache.version}`);
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn(`Ignoring unreadable review cache ${filePath}`, err.message);
+  }
+  return { version, entries: {} };
+};
+
+const saveReviewCache = (filePath, cache) => {
+  const keys = Object.keys(cache.entries);
+  const entries = Object.fromEntries(keys.slice(-MAX_CACHE_ENTRIES).map((key) => [key, cache.entries[key]]));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify({ version: cache.version, entries }));
+};
+
+/**
+ * Split the changed translations into the ones reviewed before and the ones
+ * that still have to be sent to the model.
+ *
+ * @returns {{ hits: Array<{ change: Object, issues: Array }>, misses: Array }} Issues are copies
+ */
+const partitionCachedChanges = (cache, changes) => {
+  const hits = [];
+  const misses = [];
+  for (const change of changes) {
+    const entry = cache.entries[getCacheKey(change)];
+    if (entry) {
+      hits.push({ change, issues: entry.issues.map((issue) => ({ ...issue, filePath: change.file })) });
+    } else {
+      misses.push(change);
+    }
+  }
+  return { hits, misses };
+};
+
+/**
+ * Find the changed translation an issue of the model is about, by its key or
+ * by the line it quotes.
+ */
+const findChangeForIssue = (issue, changes) => {
+  const fileChanges = changes.filter(({ file }) => file === issue.filePath);
+  const key = typeof issue.key === 'string' ? issue.key : extractKey(issue.lineContent);
+  if (key !== null) {
+    return fileChanges.find((change) => change.key === key);
+  }
+  const matches = fileChanges.filter(({ line }) => line.includes(issue.lineContent?.trim()));
+  return matches.length === 1 ? matches[0] : undefined;
+};
+
+/**
+ * Store the review outcome of every entry of a batch, including the entries
+ * without issues. When an issue can't be attributed to a single entry the
+ * outcome of the batch is unclear and nothing is stored.
+ *
+ * @param {Object} cache - See loadReviewCache
+ * @param {Array} changes - The reviewed batch
+ * @param {Array} issues - Validated issues of the model for the batch
+ * @returns {boolean} Whether the outcome was stored
+ */
+const storeReviewResults = (cache, changes, issues) => {
+  const issuesByChange = new Map(changes.map((change) => [change, []]));
+  for (const issue of issues) {
+    const change = findChangeForIssue(issue, changes);
+    if (!change) return false;
+    issuesByChange.get(change).push(issue);
+  }
+
+  for (const [change, changeIssues] of issuesByChange) {
+    const key = getCacheKey(change);
+    // Re-inserted, so recently reviewed entries are dropped last
+    delete cache.entries[key];
+    cache.entries[key] = { issues: changeIssues };
+  }
+  return true;
+};
+
+module.exports = {
+  getCacheKey,
+  loadReviewCache,
+  saveReviewCache,
+  partitionCachedChanges,
+  storeReviewResults,
+};
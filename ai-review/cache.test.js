@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getCacheKey,
+  loadReviewCache,
+  saveReviewCache,
+  partitionCachedChanges,
+  storeReviewResults,
+} = require('./cache');
+
+describe('review cache tests', () => {
+  const change = (key, newValue, file = 'de.json') => ({
+    file,
+    key,
+    newValue,
+    oldValue: null,
+    englishValue: `English ${key}`,
+    line: `  "${key}": "${newValue}",`,
+  });
+
+  describe('getCacheKey', () => {
+    it('should address the locale, key and both values', () => {
+      const base = getCacheKey(change('waypoint', 'Wegpunkt'));
+
+      expect(getCacheKey({ ...change('waypoint', 'Wegpunkt'), oldValue: 'Punkt', line: 'moved' })).toBe(base);
+      expect(getCacheKey(change('waypoint', 'Wegpunkt', 'fr.json'))).not.toBe(base);
+      expect(getCacheKey(change('waypoint', 'Wegpunktt'))).not.toBe(base);
+      expect(getCacheKey({ ...change('waypoint', 'Wegpunkt'), englishValue: 'Stop' })).not.toBe(base);
+      expect(getCacheKey({ ...change('waypoint', 'Wegpunkt'), context: { maxLength: 8 } })).not.toBe(base);
+    });
+  });
+
+  describe('loadReviewCache and saveReviewCache', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should round-trip the entries of the same prompt version', () => {
+      const filePath = path.join(dir, 'nested', 'reviews.json');
+      expect(loadReviewCache(filePath, 'v1')).toEqual({ version: 'v1', entries: {} });
+
+      saveReviewCache(filePath, { version: 'v1', entries: { abc: { issues: [] } } });
+      expect(loadReviewCache(filePath, 'v1').entries).toEqual({ abc: { issues: [] } });
+    });
+
+    it('should discard the entries of other prompt versions and broken files', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const filePath = path.join(dir, 'reviews.json');
+
+      saveReviewCache(filePath, { version: 'v1', entries: { abc: { issues: [] } } });
+      expect(loadReviewCache(filePath, 'v2')).toEqual({ version: 'v2', entries: {} });
+
+      fs.writeFileSync(filePath, '{');
+      expect(loadReviewCache(filePath, 'v1')).toEqual({ version: 'v1', entries: {} });
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('storeReviewResults and partitionCachedChanges', () => {
+    it('should store the outcome of every entry and replay it', () => {
+      const cache = { version: 'v1', entries: {} };
+      const batch = [change('waypoint', 'Wegpunktt'), change('settings', 'Einstellungen')];
+      const issue = { filePath: 'de.json', lineContent: '  "waypoint": "Wegpunktt",', comment: 'Typo' };
+
+      expect(storeReviewResults(cache, batch, [issue])).toBe(true);
+
+      const { hits, misses } = partitionCachedChanges(cache, [
+        change('waypoint', 'Wegpunktt'),
+        change('settings', 'Einstellungen'),
+        change('settings', 'Optionen'),
+      ]);
+      expect(hits.map(({ change: { key }, issues }) => [key, issues])).toEqual([
+        ['waypoint', [issue]],
+        ['settings', []],
+      ]);
+      expect(misses.map(({ newValue }) => newValue)).toEqual(['Optionen']);
+    });
+
+    it('should attribute issues by key or by a unique line match', () => {
+      const cache = { version: 'v1', entries: {} };
+      const batch = [change('waypoint', 'Wegpunktt'), change('settings', 'Einstellungen')];
+
+      storeReviewResults(cache, batch, [
+        { filePath: 'de.json', key: 'settings', lineContent: 'Einstellungen', comment: 'By key' },
+        { filePath: 'de.json', lineContent: 'Wegpunktt', comment: 'By line' },
+      ]);
+
+      const { hits } = partitionCachedChanges(cache, batch);
+      expect(hits.map(({ issues }) => issues.map(({ comment }) => comment))).toEqual([['By line'], ['By key']]);
+    });
+
+    it('should store nothing when an issue matches no single entry', () => {
+      const cache = { version: 'v1', entries: {} };
+      const batch = [change('waypoint', 'Wegpunktt'), change('settings', 'Einstellungen')];
+
+      expect(storeReviewResults(cache, batch, [{ filePath: 'de.json', lineContent: '",', comment: 'Vague' }])).toBe(false);
+      expect(cache.entries).toEqual({});
+    });
+  });
+});
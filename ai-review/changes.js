@@ -0,0 +1,112 @@
+const { isLocaleFile, getNestedValue, MISSING_ENGLISH_SOURCE } = require('./utils');
+const { parseKeys } = require('./keys');
+
+// Non-string values (like the arrays in en.json) are compared and shown as JSON
+const stringifyValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * Parse a JSON file into its top-level entries. When a key is defined more
+ * than once the last definition wins, like it does for `JSON.parse`.
+ *
+ * @returns {Map<string, { value: string, lineNumber: number, endLineNumber: number, line: string }>}
+ * @throws {SyntaxError} When the content is not valid JSON
+ */
+const parseEntries = (content) => {
+  const values = JSON.parse(content);
+  const entries = new Map();
+  for (const { key, lineNumber, endLineNumber, line } of parseKeys(content)) {
+    entries.set(key, { value: stringifyValue(values[key]), lineNumber, endLineNumber, line });
+  }
+  return entries;
+};
+
+/**
+ * Key-level semantic diff of two versions of a translation file. Unlike a line
+ * diff it's not affected by formatting, escaped quotes or values spanning lines,
+ * and entries that only moved or gained a trailing comma are not changes.
+ *
+ * @param {string|null} baseContent - Old version, null for a new file
+ * @param {string} headContent - New version
+ * @returns {Array<{ key: string, type: 'added'|'changed'|'removed', oldValue: string|null,
+ *   newValue: string|null, lineNumber: number, endLineNumber: number, line: string }>}
+ *   Added and changed entries in the order of the new version, followed by the
+ *   removed ones. Positions and lines refer to the new version, for removed
+ *   entries to the old one.
+ * @throws {SyntaxError} When a version is not valid JSON
+ */
+const diffTranslations = (baseContent, headContent) => {
+  const baseEntries = baseContent ? parseEntries(baseContent) : new Map();
+  const headEntries = parseEntries(headContent);
+  const diff = [];
+
+  for (const [key, { value, lineNumber, endLineNumber, line }] of headEntries) {
+    const previous = baseEntries.get(key);
+    if (!previous) {
+      diff.push({ key, type: 'added', oldValue: null, newValue: value, lineNumber, endLineNumber, line });
+    } else if (previous.value !== value) {
+      diff.push({ key, type: 'changed', oldValue: previous.value, newValue: value, lineNumber, endLineNumber, line });
+    }
+  }
+
+  for (const [key, { value, lineNumber, endLineNumber, line }] of baseEntries) {
+    if (!headEntries.has(key)) {
+      diff.push({ key, type: 'removed', oldValue: value, newValue: null, lineNumber, endLineNumber, line });
+    }
+  }
+
+  return diff;
+};
+
+/**
+ * Get the changed translation entries of all touched locale files, from the
+ * versions before and after the change.
+ *
+ * Each entry comes with its previous value, so the AI reviewer doesn't suggest
+ * a "better" translation that just happens to be the value the contributor
+ * intentionally replaced. Removed entries are left out, there is nothing to review.
+ *
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @param {Array<{ path: string, content: string|null }>} baseContents - Versions at the merge base
+ * @param {Object} englishTranslations - Parsed en.json
+ * @param {string} [sourceFile] - File the translations are made from
+ * @returns {Array<{ file: string, key: string, newValue: string, oldValue: string|null,
+ *   englishValue: string, line: string }>} `oldValue` is null for new keys
+ */
+const getTranslationChanges = (fileContents, baseContents, englishTranslations, sourceFile = 'en.json') => {
+  const changes = [];
+
+  for (const { path: filePath, content } of fileContents) {
+    // Skip non-translation files (e.g. glossaries) and the source file
+    if (!isLocaleFile(filePath) || filePath === sourceFile) continue;
+
+    const baseContent = baseContents.find(({ path: p }) => p === filePath)?.content ?? null;
+    let diff;
+    try {
+      diff = diffTranslations(baseContent, content);
+    } catch (err) {
+      // Reported by the key integrity check
+      console.warn(`Failed to parse ${filePath}, skipping its translations`, err.message);
+      continue;
+    }
+
+    for (const { key, type, oldValue, newValue, line } of diff) {
+      if (type === 'removed') continue;
+      changes.push({
+        file: filePath,
+        key,
+        newValue,
+        oldValue,
+        englishValue: getNestedValue(englishTranslations, key) || MISSING_ENGLISH_SOURCE,
+        line,
+      });
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  parseEntries,
+  diffTranslations,
+  getTranslationChanges,
+};
@@ -0,0 +1,158 @@
+const { parseEntries, diffTranslations, getTranslationChanges } = require('./changes');
+
+describe('translation change tests', () => {
+  const englishTranslations = {
+    starting_point: 'Starting point',
+    ending_point: 'The end of your trip',
+    settings: 'Settings',
+    premium_option_month: 'Monthly',
+    charger: {
+      zero: 'No charges',
+      one: 'One charge',
+    },
+  };
+
+  describe('parseEntries', () => {
+    it('should keep the last definition of duplicated keys', () => {
+      const entries = parseEntries('{\n  "a": "x",\n  "a": "y"\n}');
+      expect(entries.get('a')).toEqual({ value: 'y', lineNumber: 3, endLineNumber: 3, line: '  "a": "y"' });
+    });
+  });
+
+  describe('diffTranslations', () => {
+    it('should report added, changed and removed keys with their lines', () => {
+      const base = '{\n  "a": "x",\n  "b": "y",\n  "c": "z"\n}';
+      const head = '{\n  "a": "x",\n  "b": "Y",\n  "d": "w"\n}';
+
+      expect(diffTranslations(base, head)).toEqual([
+        { key: 'b', type: 'changed', oldValue: 'y', newValue: 'Y', lineNumber: 3, endLineNumber: 3, line: '  "b": "Y",' },
+        { key: 'd', type: 'added', oldValue: null, newValue: 'w', lineNumber: 4, endLineNumber: 4, line: '  "d": "w"' },
+        { key: 'c', type: 'removed', oldValue: 'z', newValue: null, lineNumber: 4, endLineNumber: 4, line: '  "c": "z"' },
+      ]);
+    });
+
+    it('should ignore formatting and order', () => {
+      const base = '{\n  "a": "x",\n  "b": "y"\n}';
+      const head = '{\n  "b": "y",\n  "a":   "x"\n}\n';
+      expect(diffTranslations(base, head)).toEqual([]);
+    });
+
+    it('should parse values the line regex got wrong', () => {
+      const base = '{\n  "quote": "x",\n  "colon": "x",\n  "multi": "x",\n  "list": ["a"]\n}';
+      const head =
+        '{\n  "quote": "Say \\"hi\\"",\n  "colon": "a \\": b",\n  "multi":\n    "long value",\n  "list": ["a", "b"]\n}';
+
+      expect(diffTranslations(base, head).map(({ key, newValue, line }) => [key, newValue, line])).toEqual([
+        ['quote', 'Say "hi"', '  "quote": "Say \\"hi\\"",'],
+        ['colon', 'a ": b', '  "colon": "a \\": b",'],
+        ['multi', 'long value', '  "multi":\n    "long value",'],
+        ['list', '["a","b"]', '  "list": ["a", "b"]'],
+      ]);
+    });
+
+    it('should treat every key of a new file as added', () => {
+      expect(diffTranslations(null, '{"a": "x"}')).toEqual([
+        { key: 'a', type: 'added', oldValue: null, newValue: 'x', lineNumber: 1, endLineNumber: 1, line: '{"a": "x"}' },
+      ]);
+    });
+  });
+
+  describe('getTranslationChanges', () => {
+    const file = (path, content) => ({ path, content });
+
+    it('should parse simple translation changes', () => {
+      const result = getTranslationChanges(
+        [file('de.json', '{\n  "starting_point": "Startpunkt",\n  "ending_point": "Ende der Reise"\n}')],
+        [file('de.json', '{\n  "starting_point": "Startpunkttt",\n  "ending_point": "Ende der Reise"\n}')],
+        englishTranslations
+      );
+
+      expect(result).toEqual([
+        {
+          file: 'de.json',
+          key: 'starting_point',
+          newValue: 'Startpunkt',
+          oldValue: 'Startpunkttt',
+          englishValue: 'Starting point',
+          line: '  "starting_point": "Startpunkt",',
+        },
+      ]);
+    });
+
+    it('should set oldValue to null for newly added keys', () => {
+      const result = getTranslationChanges(
+        [file('de.json', '{\n  "settings": "Einstellungen",\n  "starting_point": "Startpunkt"\n}')],
+        [file('de.json', '{\n  "settings": "Einstellungen"\n}')],
+        englishTranslations
+      );
+
+      expect(result).toHaveLength(1);
+      expect(result[0].newValue).toBe('Startpunkt');
+      expect(result[0].oldValue).toBeNull();
+    });
+
+    it('should pair oldValue with newValue for modified entries', () => {
+      // Mirrors the real-world PR where "Mensual" was intentionally changed to "Mes"
+      // and the AI then suggested reverting back to "Mensual" because it had no
+      // context that the previous value had been the original translation.
+      const result = getTranslationChanges(
+        [file('es.json', '{\n  "premium_option_month": "Mes"\n}')],
+        [file('es.json', '{\n  "premium_option_month": "Mensual"\n}')],
+        englishTranslations
+      );
+
+      expect(result).toHaveLength(1);
+      expect(result[0].newValue).toBe('Mes');
+      expect(result[0].oldValue).toBe('Mensual');
+    });
+
+    it('should skip en.json and files that are not locale files', () => {
+      const result = getTranslationChanges(
+        [
+          file('en.json', '{"new_key": "New value"}'),
+          file('.glossary/de.json', '{"Waypoint": "Wegpunkt"}'),
+          file('ai-review/package.json', '{"name": "chatgpt-reviewer"}'),
+          file('README.md', '"not_a_translation": "value"'),
+        ],
+        [],
+        englishTranslations
+      );
+
+      expect(result).toHaveLength(0);
+    });
+
+    it('should handle multiple files', () => {
+      const result = getTranslationChanges(
+        [file('de.json', '{"starting_point": "Startpunkt"}'), file('fr.json', '{"starting_point": "Point de départ"}')],
+        [file('de.json', '{}'), file('fr.json', '{}')],
+        englishTranslations
+      );
+
+      expect(result.map(({ file: filePath }) => filePath)).toEqual(['de.json', 'fr.json']);
+    });
+
+    it('should handle missing English translation', () => {
+      const result = getTranslationChanges(
+        [file('de.json', '{"unknown_key": "Unbekannt"}')],
+        [file('de.json', '{}')],
+        englishTranslations
+      );
+
+      expect(result).toHaveLength(1);
+      expect(result[0].englishValue).toBe('(no English source found)');
+    });
+
+    it('should skip files that are not valid JSON', () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const result = getTranslationChanges(
+        [file('de.json', '{"starting_point": "Startpunkt",}')],
+        [file('de.json', '{}')],
+        englishTranslations
+      );
+
+      expect(result).toEqual([]);
+      expect(console.warn).toHaveBeenCalled();
+      console.warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { resolveLineNumber } = require('./lines');
+const { SEVERITIES, DEFAULT_SEVERITY, isAtLeast, formatIssueOverview } = require('./severity');
+
+const CHECK_RUN_NAME = 'Translation review';
+
+// GitHub accepts at most 50 annotations per request and 65535 characters of summary
+const MAX_ANNOTATIONS_PER_REQUEST = 50;
+const MAX_SUMMARY_LENGTH = 65535;
+
+// Severities that can fail the check run, `none` never fails it
+const FAIL_LEVELS = [...SEVERITIES, 'none'];
+
+const ANNOTATION_LEVELS = { error: 'failure', warning: 'warning', suggestion: 'notice' };
+
+const CHECK_TITLES = {
+  keys: 'Key integrity',
+  placeholders: 'Placeholders',
+  markup: 'Markup',
+  plurals: 'Plural forms',
+  glossary: 'Glossary',
+  length: 'Length',
+};
+
+/**
+ * @returns {'failure'|'warning'|'notice'}
+ */
+const getAnnotationLevel = ({ severity }) => ANNOTATION_LEVELS[severity] || ANNOTATION_LEVELS[DEFAULT_SEVERITY];
+
+const getAnnotationTitle = ({ check, category }) =>
+  CHECK_TITLES[check] || (category ? `AI review: ${category}` : 'AI review');
+
+/**
+ * Create an annotation for every issue. Unlike review comments annotations
+ * can target any line of the file, not only the ones in the diff.
+ *
+ * @param {Array} issues - Review issues
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @returns {{ annotations: Array, unanchored: Array }} `unanchored` are the issues without a line in their file
+ */
+const createAnnotations = (issues, fileContents) => {
+  const annotations = [];
+  const unanchored = [];
+
+  for (const issue of issues) {
+    const file = fileContents.find(({ path }) => path === issue.filePath);
+    const lineNumber = file ? resolveLineNumber(issue, file.content) : -1;
+    if (lineNumber === -1) {
+      unanchored.push(issue);
+      continue;
+    }
+    annotations.push({
+      path: issue.filePath,
+      start_line: lineNumber,
+      end_line: lineNumber,
+      annotation_level: getAnnotationLevel(issue),
+      title: getAnnotationTitle(issue),
+      message: issue.comment,
+    });
+  }
+
+  return { annotations, unanchored };
+};
+
+/**
+ * Conclusion of the check run: `failure` when an issue reaches the fail level,
+ * `neutral` when there are only less severe issues.
+ *
+ * @param {Array} issues - Review issues
+ * @param {string} failLevel - One of FAIL_LEVELS
+ * @returns {'success'|'neutral'|'failure'}
+ */
+const getConclusion = (issues, failLevel) => {
+  if (issues.length === 0) return 'success';
+  return issues.some(({ severity }) => isAtLeast(severity, failLevel)) ? 'failure' : 'neutral';
+};
+
+/**
+ * Markdown summary of the check run: the review summary, the findings per
+ * severity and the findings that have no line to be annotated on.
+ */
+const formatCheckSummary = (review, unanchored) => {
+  const overview = formatIssueOverview(review.issues || []);
+
+  let summary = review.summary;
+  if (overview) {
+    summary += `\n\n${overview}`;
+  }
+  if (unanchored.length > 0) {
+    summary += '\n\n## General Comments\n\n';
+    summary += unanchored.map(({ filePath, comment }) => `**${filePath}:**\n${comment}`).join('\n\n');
+  }
+  return summary.length > MAX_SUMMARY_LENGTH ? `${summary.slice(0, MAX_SUMMARY_LENGTH - 1)}…` : summary;
+};
+
+/**
+ * Report the review as a check run on the head commit, with an annotation for
+ * every issue. Unlike a review it shows up in the checks tab and can be
+ * required for merging.
+ *
+ * @param {Object} gitHubContext - Octokit client and pull request coordinates
+ * @param {string} headSha - Reviewed commit
+ * @param {{ summary: string, issues: Array }} review - Issues before they are turned into review comments
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @param {{ failLevel?: string }} options - Least severe issue that fails the check run, see FAIL_LEVELS
+ * @returns {Promise<string>} The conclusion
+ */
+const createCheckRun = async (
+  { octokit, owner, repo },
+  headSha,
+  review,
+  fileContents,
+  { failLevel = 'error' } = {}
+) => {
+  const issues = review.issues || [];
+  const { annotations, unanchored } = createAnnotations(issues, fileContents);
+  const conclusion = getConclusion(issues, failLevel);
+  const title = issues.length > 0 ? `${issues.length} translation findings` : 'No translation issues found';
+  const summary = formatCheckSummary(review, unanchored);
+
+  const { data: checkRun } = await octokit.checks.create({
+    owner,
+    repo,
+    name: CHECK_RUN_NAME,
+    head_sha: headSha,
+    status: 'completed',
+    conclusion,
+    output: { title, summary, annotations: annotations.slice(0, MAX_ANNOTATIONS_PER_REQUEST) },
+  });
+
+  // Further annotations are appended by updating the check run
+  for (let i = MAX_ANNOTATIONS_PER_REQUEST; i < annotations.length; i += MAX_ANNOTATIONS_PER_REQUEST) {
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRun.id,
+      output: { title, summary, annotations: annotations.slice(i, i + MAX_ANNOTATIONS_PER_REQUEST) },
+    });
+  }
+
+  console.log(`Created check run ${checkRun.id} with ${annotations.length} annotations, conclusion ${conclusion}`);
+  return conclusion;
+};
+
+module.exports = {
+  CHECK_RUN_NAME,
+  FAIL_LEVELS,
+  getAnnotationLevel,
+  createAnnotations,
+  getConclusion,
+  formatCheckSummary,
+  createCheckRun,
+};
@@ -0,0 +1,127 @@
+const {
+  getAnnotationLevel,
+  createAnnotations,
+  getConclusion,
+  formatCheckSummary,
+  createCheckRun,
+} = require('./checks');
+
+describe('check run tests', () => {
+  const content = '{\n  "waypoint": "Wegpunktt",\n  "remaining_charges": "{{anzahl}} Ladungen übrig"\n}\n';
+  const fileContents = [{ path: 'de.json', content }];
+  const placeholderIssue = {
+    filePath: 'de.json',
+    lineContent: '  "remaining_charges": "{{anzahl}} Ladungen übrig"',
+    comment: 'Placeholder mismatch',
+    check: 'placeholders',
+    severity: 'error',
+    category: 'placeholder',
+  };
+  const aiIssue = { filePath: 'de.json', key: 'waypoint', lineContent: 'Wegpunktt', comment: 'Typo', severity: 'warning' };
+
+  describe('getAnnotationLevel', () => {
+    it('should map the severity onto the annotation level', () => {
+      expect(getAnnotationLevel(placeholderIssue)).toBe('failure');
+      expect(getAnnotationLevel(aiIssue)).toBe('warning');
+      expect(getAnnotationLevel({ ...aiIssue, severity: 'suggestion' })).toBe('notice');
+    });
+  });
+
+  describe('createAnnotations', () => {
+    it('should annotate any line of the file', () => {
+      const { annotations, unanchored } = createAnnotations([placeholderIssue, aiIssue], fileContents);
+
+      expect(annotations).toEqual([
+        {
+          path: 'de.json',
+          start_line: 3,
+          end_line: 3,
+          annotation_level: 'failure',
+          title: 'Placeholders',
+          message: 'Placeholder mismatch',
+        },
+        { path: 'de.json', start_line: 2, end_line: 2, annotation_level: 'warning', title: 'AI review', message: 'Typo' },
+      ]);
+      expect(unanchored).toEqual([]);
+    });
+
+    it('should leave out issues without a line', () => {
+      const deleted = { filePath: 'de.json', lineContent: '"settings": "x"', comment: 'Deleted', check: 'keys' };
+      const otherFile = { filePath: 'fr.json', lineContent: 'x', comment: 'Elsewhere' };
+
+      const { annotations, unanchored } = createAnnotations([deleted, otherFile], fileContents);
+
+      expect(annotations).toEqual([]);
+      expect(unanchored).toEqual([deleted, otherFile]);
+    });
+  });
+
+  describe('getConclusion', () => {
+    it('should fail when a finding reaches the fail level', () => {
+      const suggestion = { ...aiIssue, severity: 'suggestion' };
+      expect(getConclusion([], 'error')).toBe('success');
+      expect(getConclusion([aiIssue], 'error')).toBe('neutral');
+      expect(getConclusion([aiIssue, placeholderIssue], 'error')).toBe('failure');
+      expect(getConclusion([aiIssue], 'warning')).toBe('failure');
+      expect(getConclusion([suggestion], 'warning')).toBe('neutral');
+      expect(getConclusion([suggestion], 'suggestion')).toBe('failure');
+      expect(getConclusion([placeholderIssue], 'none')).toBe('neutral');
+    });
+  });
+
+  describe('formatCheckSummary', () => {
+    it('should group the findings by severity and list the unanchored ones', () => {
+      const deleted = {
+        filePath: 'de.json',
+        comment: 'Key `settings` was deleted',
+        check: 'keys',
+        severity: 'error',
+        category: 'key',
+      };
+      const summary = formatCheckSummary({ summary: 'Found a typo.', issues: [placeholderIssue, aiIssue, deleted] }, [
+        deleted,
+      ]);
+
+      expect(summary).toBe(
+        'Found a typo.\n\n- 🔴 **2 errors**: placeholder (1), key (1)\n- 🟠 **1 warning**: other (1)' +
+          '\n\n## General Comments\n\n**de.json:**\nKey `settings` was deleted'
+      );
+    });
+
+    it('should stay within the size GitHub accepts', () => {
+      const summary = formatCheckSummary({ summary: 'x'.repeat(70000), issues: [] }, []);
+      expect(summary).toHaveLength(65535);
+    });
+  });
+
+  describe('createCheckRun', () => {
+    it('should send annotations in chunks of 50', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const octokit = {
+        checks: {
+          create: jest.fn().mockResolvedValue({ data: { id: 5 } }),
+          update: jest.fn().mockResolvedValue({}),
+        },
+      };
+      const issues = Array.from({ length: 120 }, () => aiIssue);
+
+      const context = { octokit, owner: 'owner', repo: 'repo' };
+      const conclusion = await createCheckRun(context, 'sha', { summary: 'Typos.', issues }, fileContents);
+
+      expect(conclusion).toBe('neutral');
+      expect(octokit.checks.create).toHaveBeenCalledWith(
+        expect.objectContaining({ name: 'Translation review', head_sha: 'sha', status: 'completed', conclusion: 'neutral' })
+      );
+      expect(octokit.checks.create.mock.calls[0][0].output.annotations).toHaveLength(50);
+      const updates = octokit.checks.update.mock.calls.map(([{ check_run_id: id, output }]) => [
+        id,
+        output.annotations.length,
+      ]);
+      expect(updates).toEqual([
+        [5, 50],
+        [5, 20],
+      ]);
+      console.log.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { parseArgs } = require('util');
+const { requestReview } = require('./ai-review');
+const { loadConfig } = require('./config');
+const { formatStaleTranslations } = require('./stale');
+const { createLocalGitSource } = require('./sources');
+const { resolveLineNumber } = require('./lines');
+
+const USAGE = `Usage: node ai-review/cli.js --base <ref> [options]
+
+Runs the translation reviewer against local git changes, without GitHub.
+
+Options:
+  --base <ref>          Branch or commit the changes are compared to (required)
+  --head <ref>          Last commit of the changes, defaults to the working tree
+  --title <text>        Pull request title passed to the reviewer
+  --description <text>  Pull request description passed to the reviewer
+  --format <format>     Output format: text (default) or json
+  --config <file>       Reviewer configuration, defaults to .ai-review.json
+  --dry-run             Print the prompt instead of calling the model
+  --help                Show this message`;
+
+/**
+ * Render a review as plain text, one block per issue with its file, line,
+ * severity and category.
+ */
+const formatReview = (review, fileContents) => {
+  const lines = [review.summary, ''];
+
+  for (const issue of review.issues || []) {
+    const file = fileContents.find(({ path }) => path === issue.filePath);
+    const lineNumber = file ? resolveLineNumber(issue, file.content) : -1;
+    const location = lineNumber === -1 ? `${issue.filePath}:` : `${issue.filePath}:${lineNumber}:`;
+    const label = [issue.severity, issue.category].filter(Boolean).join(' · ');
+    lines.push(label ? `${location} ${label}` : location);
+    lines.push(issue.comment, '');
+  }
+
+  return lines.join('\n');
+};
+
+// Changed keys fail the run, like they fail the pull request check
+const hasKeyIssues = (review) => (review.issues || []).some(({ check }) => check === 'keys');
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      base: { type: 'string' },
+      head: { type: 'string' },
+      title: { type: 'string', default: '' },
+      description: { type: 'string', default: '' },
+      format: { type: 'string', default: 'text' },
+      config: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || !values.base || !['text', 'json'].includes(values.format)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const source = createLocalGitSource({
+    base: values.base,
+    head: values.head,
+    title: values.title,
+    description: values.description,
+  });
+
+  // Progress logs of the pipeline go to stderr, so stdout only holds the result
+  const print = console.log;
+  console.log = console.error;
+
+  const config = loadConfig({ filePath: values.config });
+  const { review, fileContents, stale, prompts = [] } = await requestReview(source, {
+    dryRun: values['dry-run'],
+    config,
+  });
+  const staleSection = formatStaleTranslations(stale);
+
+  if (values['dry-run']) {
+    if (values.format === 'json') {
+      print(JSON.stringify({ prompts, review }, null, 2));
+    } else {
+      prompts.forEach(({ messages }, index) => {
+        messages.forEach(({ role, content }) => {
+          print(`### batch ${index + 1}/${prompts.length}: ${role}\n\n${content}\n`);
+        });
+      });
+      print(`### automated checks\n\n${formatReview(review, fileContents)}`);
+      if (staleSection) print(staleSection);
+    }
+    return hasKeyIssues(review) ? 1 : 0;
+  }
+
+  if (values.format === 'json') {
+    print(JSON.stringify(review, null, 2));
+  } else {
+    print(formatReview(review, fileContents));
+    if (staleSection) print(staleSection);
+  }
+  return hasKeyIssues(review) ? 1 : 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to review translations', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { formatReview, run };
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { IGNORED_FILES } = require('./utils');
+const { SEVERITIES, CATEGORIES, filterIssues } = require('./severity');
+const { FAIL_LEVELS } = require('./checks');
+
+// Read from the checked out base branch, like the prompt templates, so a pull request can't change its review
+const CONFIG_FILE = path.resolve(__dirname, '..', '.ai-review.json');
+
+// Checks that can be turned off, `ai` is the review by the model
+const CHECK_NAMES = ['keys', 'placeholders', 'markup', 'plurals', 'glossary', 'length', 'ai'];
+
+const DEFAULT_INTRO = `👋 Thank you for contributing translations to ABRP!
+
+🤖 **This is an automated AI review** to help catch potential translation issues. This feature is new, so please let us know if the AI suggests anything that seems incorrect or unhelpful.`;
+
+/**
+ * Configuration of the reviewer, every field is optional in `.ai-review.json`:
+ *
+ * - `ignore`: globs of files that are never reviewed (`*` within a directory, `**` across directories)
+ * - `sourceLocale`: locale of the source file the translations are made from, `en` for `en.json`
+ * - `botLogin`: GitHub login the reviews are posted as, earlier comments of it are replaced
+ * - `intro`: Markdown shown above the first review of a pull request
+ * - `maxComments`: most findings posted per review, the most severe first, null for all
+ * - `minSeverity`, `ignoredCategories`: findings that are posted, see severity.js
+ * - `failLevel`: least severe finding that fails the check run, see checks.js
+ * - `incremental`: only review the commits since the last review, see incremental.js
+ * - `cacheFile`: review cache, see cache.js
+ * - `checks`: turn checks on or off, see CHECK_NAMES
+ * - `maxLengthRatio`: how many times longer than English a translation may be, null for no limit, see length.js
+ * - `model`: token budget of a batch, parallel requests, and `temperature` / `maxTokens` of the model
+ * - `locales`: overrides per locale file name, e.g. `{ "pt-br": { "checks": { "glossary": false } } }`,
+ *   `skip` leaves the locale out of the review, `maxLengthRatio` suits languages with longer words like `fi`
+ */
+const DEFAULT_CONFIG = {
+  ignore: [...IGNORED_FILES, 'node_modules/**'],
+  sourceLocale: 'en',
+  botLogin: 'github-actions[bot]',
+  intro: DEFAULT_INTRO,
+  maxComments: null,
+  minSeverity: 'suggestion',
+  ignoredCategories: [],
+  failLevel: 'error',
+  incremental: true,
+  cacheFile: null,
+  checks: Object.fromEntries(CHECK_NAMES.map((name) => [name, true])),
+  maxLengthRatio: 2,
+  model: { maxBatchTokens: 8000, concurrency: 3, temperature: null, maxTokens: null },
+  locales: {},
+};
+
+const LOCALE_OVERRIDES = ['skip', 'checks', 'minSeverity', 'ignoredCategories', 'maxLengthRatio'];
+
+// Environment variables override the file for a single run or workflow, e.g. the cache path of the runner
+const ENV_OVERRIDES = {
+  AI_REVIEW_MAX_BATCH_TOKENS: (value) => ({ model: { maxBatchTokens: Number(value) } }),
+  AI_REVIEW_CONCURRENCY: (value) => ({ model: { concurrency: Number(value) } }),
+  AI_REVIEW_CACHE_FILE: (value) => ({ cacheFile: value }),
+  AI_REVIEW_INCREMENTAL: (value) => ({ incremental: value !== 'false' }),
+  AI_REVIEW_FAIL_LEVEL: (value) => ({ failLevel: value }),
+  AI_REVIEW_MIN_SEVERITY: (value) => ({ minSeverity: value }),
+  AI_REVIEW_IGNORED_CATEGORIES: (value) => ({ ignoredCategories: value.split(',').filter(Boolean) }),
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Merge configurations, nested objects are merged and anything else replaced.
+ */
+const mergeConfig = (base, override) => {
+  const merged = { ...base };
+  for (const [name, value] of Object.entries(override || {})) {
+    merged[name] = isObject(value) && isObject(base[name]) ? mergeConfig(base[name], value) : value;
+  }
+  return merged;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const isStringList = (value, allowed) =>
+  Array.isArray(value) && value.every((entry) => typeof entry === 'string' && (!allowed || allowed.includes(entry)));
+
+const validateChecks = (checks, name) => {
+  if (!isObject(checks)) throw new Error(`"${name}" must be an object`);
+  for (const [check, enabled] of Object.entries(checks)) {
+    if (!CHECK_NAMES.includes(check)) {
+      throw new Error(`Unknown check "${check}" in "${name}", expected one of ${CHECK_NAMES.join(', ')}`);
+    }
+    if (typeof enabled !== 'boolean') throw new Error(`"${name}.${check}" must be true or false`);
+  }
+};
+
+const validateLengthRatio = (ratio, name) => {
+  if (ratio !== null && !(typeof ratio === 'number' && ratio >= 1)) {
+    throw new Error(`"${name}" must be a number of at least 1 or null`);
+  }
+};
+
+const validateSeverityFilter = ({ minSeverity, ignoredCategories }, prefix) => {
+  if (minSeverity !== undefined && !SEVERITIES.includes(minSeverity)) {
+    throw new Error(`"${prefix}minSeverity" must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (ignoredCategories !== undefined && !isStringList(ignoredCategories, CATEGORIES)) {
+    throw new Error(`"${prefix}ignoredCategories" must be a list of ${CATEGORIES.join(', ')}`);
+  }
+};
+
+/**
+ * Validate a complete configuration.
+ *
+ * @throws {Error} Describing the first invalid field
+ */
+const validateConfig = (config) => {
+  const unknown = Object.keys(config).filter((name) => !(name in DEFAULT_CONFIG));
+  if (unknown.length > 0) throw new Error(`Unknown option "${unknown[0]}"`);
+
+  if (!isStringList(config.ignore) || config.ignore.some((glob) => glob === '')) {
+    throw new Error('"ignore" must be a list of globs');
+  }
+  try {
+    Intl.getCanonicalLocales(config.sourceLocale);
+  } catch (err) {
+    throw new Error('"sourceLocale" must be a locale like "en"');
+  }
+  if (typeof config.botLogin !== 'string' || config.botLogin === '') throw new Error('"botLogin" must be a login');
+  if (typeof config.intro !== 'string') throw new Error('"intro" must be a string');
+  if (config.maxComments !== null && !isPositiveInteger(config.maxComments)) {
+    throw new Error('"maxComments" must be a positive integer or null');
+  }
+  validateSeverityFilter(config, '');
+  if (!FAIL_LEVELS.includes(config.failLevel)) throw new Error(`"failLevel" must be one of ${FAIL_LEVELS.join(', ')}`);
+  if (typeof config.incremental !== 'boolean') throw new Error('"incremental" must be true or false');
+  if (config.cacheFile !== null && typeof config.cacheFile !== 'string') {
+    throw new Error('"cacheFile" must be a path or null');
+  }
+  validateChecks(config.checks, 'checks');
+  validateLengthRatio(config.maxLengthRatio, 'maxLengthRatio');
+
+  const { maxBatchTokens, concurrency, temperature, maxTokens, ...unknownModel } = config.model || {};
+  if (Object.keys(unknownModel).length > 0) throw new Error(`Unknown option "model.${Object.keys(unknownModel)[0]}"`);
+  if (!isPositiveInteger(maxBatchTokens)) throw new Error('"model.maxBatchTokens" must be a positive integer');
+  if (!isPositiveInteger(concurrency)) throw new Error('"model.concurrency" must be a positive integer');
+  if (temperature !== null && !(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    throw new Error('"model.temperature" must be a number between 0 and 2 or null');
+  }
+  if (maxTokens !== null && !isPositiveInteger(maxTokens)) {
+    throw new Error('"model.maxTokens" must be a positive integer or null');
+  }
+
+  if (!isObject(config.locales)) throw new Error('"locales" must be an object');
+  for (const [locale, overrides] of Object.entries(config.locales)) {
+    const prefix = `locales.${locale}.`;
+    if (!isObject(overrides)) throw new Error(`"locales.${locale}" must be an object`);
+    const unknownOverride = Object.keys(overrides).find((name) => !LOCALE_OVERRIDES.includes(name));
+    if (unknownOverride) throw new Error(`Unknown option "${prefix}${unknownOverride}"`);
+    if (overrides.skip !== undefined && typeof overrides.skip !== 'boolean') {
+      throw new Error(`"${prefix}skip" must be true or false`);
+    }
+    if (overrides.checks !== undefined) validateChecks(overrides.checks, `${prefix}checks`);
+    if (overrides.maxLengthRatio !== undefined) {
+      validateLengthRatio(overrides.maxLengthRatio, `${prefix}maxLengthRatio`);
+    }
+    validateSeverityFilter(overrides, prefix);
+  }
+
+  return config;
+};
+
+/**
+ * Load the configuration: the defaults, overridden by the configuration file,
+ * the environment and `overrides`, in that order.
+ *
+ * @param {{ filePath?: string, env?: Object, overrides?: Object }} options
+ * @returns {Object} The validated configuration, see DEFAULT_CONFIG
+ * @throws {Error} When the file or the resulting configuration is invalid
+ */
+const loadConfig = ({ filePath = CONFIG_FILE, env = process.env, overrides } = {}) => {
+  let config = DEFAULT_CONFIG;
+
+  if (fs.existsSync(filePath)) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!isObject(json)) throw new Error(`${path.basename(filePath)} must be a JSON object`);
+    config = mergeConfig(config, json);
+  }
+
+  for (const [name, toConfig] of Object.entries(ENV_OVERRIDES)) {
+    if (env[name]) config = mergeConfig(config, toConfig(env[name]));
+  }
+
+  config = mergeConfig(config, overrides);
+  try {
+    return validateConfig(config);
+  } catch (err) {
+    throw new Error(`Invalid reviewer configuration: ${err.message}`);
+  }
+};
+
+/**
+ * Get the configuration of a locale file, with its overrides applied.
+ *
+ * @param {Object} config - See loadConfig
+ * @param {string} filePath - Locale file, e.g. `pt-br.json`
+ * @returns {{ skip: boolean, checks: Object, minSeverity: string, ignoredCategories: string[],
+ *   maxLengthRatio: number|null }}
+ */
+const getLocaleConfig = (config, filePath) => {
+  const overrides = config.locales[path.basename(filePath, '.json')] || {};
+  return {
+    skip: overrides.skip || false,
+    checks: { ...config.checks, ...overrides.checks },
+    minSeverity: overrides.minSeverity || config.minSeverity,
+    ignoredCategories: overrides.ignoredCategories || config.ignoredCategories,
+    maxLengthRatio: overrides.maxLengthRatio !== undefined ? overrides.maxLengthRatio : config.maxLengthRatio,
+  };
+};
+
+/**
+ * Keep the issues worth posting, by the severity filter of their locale.
+ */
+const filterPostedIssues = (issues, config) =>
+  issues.filter((issue) => filterIssues([issue], getLocaleConfig(config, issue.filePath)).length > 0);
+
+/**
+ * Build one regular expression matching the repository paths of any of the globs.
+ */
+const createIgnoreRegex = (globs) => {
+  const patterns = globs.map((glob) =>
+    glob
+      .split(/(\*\*\/|\*\*|\*|\?)/)
+      .map((part) => {
+        if (part === '**/') return '(?:.*/)?';
+        if (part === '**') return '.*';
+        if (part === '*') return '[^/]*';
+        if (part === '?') return '[^/]';
+        return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('')
+  );
+  return new RegExp(`^(?:${patterns.join('|')})$`);
+};
+
+module.exports = {
+  CONFIG_FILE,
+  CHECK_NAMES,
+  DEFAULT_CONFIG,
+  mergeConfig,
+  validateConfig,
+  loadConfig,
+  getLocaleConfig,
+  filterPostedIssues,
+  createIgnoreRegex,
+};
@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_CONFIG,
+  mergeConfig,
+  validateConfig,
+  loadConfig,
+  getLocaleConfig,
+  filterPostedIssues,
+  createIgnoreRegex,
+} = require('./config');
+
+describe('reviewer configuration tests', () => {
+  const writeConfig = (content) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-config-'));
+    const filePath = path.join(dir, '.ai-review.json');
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+  };
+
+  describe('mergeConfig', () => {
+    it('should merge nested objects and replace lists', () => {
+      const merged = mergeConfig(
+        { ignore: ['a'], model: { concurrency: 3, maxBatchTokens: 8000 } },
+        { ignore: ['b'], model: { concurrency: 1 } }
+      );
+
+      expect(merged).toEqual({ ignore: ['b'], model: { concurrency: 1, maxBatchTokens: 8000 } });
+    });
+  });
+
+  describe('validateConfig', () => {
+    const withOverride = (override) => mergeConfig(DEFAULT_CONFIG, override);
+
+    it('should accept the defaults', () => {
+      expect(validateConfig(DEFAULT_CONFIG)).toBe(DEFAULT_CONFIG);
+    });
+
+    it.each([
+      [{ colour: 'blue' }, 'Unknown option "colour"'],
+      [{ ignore: 'package.json' }, '"ignore" must be a list of globs'],
+      [{ sourceLocale: 'not a locale' }, '"sourceLocale" must be a locale like "en"'],
+      [{ maxComments: 0 }, '"maxComments" must be a positive integer or null'],
+      [{ minSeverity: 'critical' }, '"minSeverity" must be one of error, warning, suggestion'],
+      [{ failLevel: 'failure' }, '"failLevel" must be one of error, warning, suggestion, none'],
+      [{ checks: { spelling: false } }, 'Unknown check "spelling" in "checks"'],
+      [{ maxLengthRatio: 0.5 }, '"maxLengthRatio" must be a number of at least 1 or null'],
+      [{ locales: { fi: { maxLengthRatio: '3' } } }, '"locales.fi.maxLengthRatio" must be a number of at least 1'],
+      [{ model: { temperature: 3 } }, '"model.temperature" must be a number between 0 and 2 or null'],
+      [{ model: { topP: 1 } }, 'Unknown option "model.topP"'],
+      [{ locales: { de: { failLevel: 'none' } } }, 'Unknown option "locales.de.failLevel"'],
+      [{ locales: { de: { ignoredCategories: ['style'] } } }, '"locales.de.ignoredCategories" must be a list of'],
+    ])('should reject %j', (override, message) => {
+      expect(() => validateConfig(withOverride(override))).toThrow(message);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should use the defaults without a configuration file', () => {
+      expect(loadConfig({ filePath: '/nonexistent/.ai-review.json', env: {} })).toEqual(DEFAULT_CONFIG);
+    });
+
+    it('should apply the file, then the environment, then the overrides', () => {
+      const filePath = writeConfig({ maxComments: 20, failLevel: 'warning', model: { concurrency: 1 } });
+
+      const config = loadConfig({
+        filePath,
+        env: { AI_REVIEW_FAIL_LEVEL: 'none', AI_REVIEW_IGNORED_CATEGORIES: 'grammar,terminology' },
+        overrides: { maxComments: 5 },
+      });
+
+      expect(config.maxComments).toBe(5);
+      expect(config.failLevel).toBe('none');
+      expect(config.ignoredCategories).toEqual(['grammar', 'terminology']);
+      expect(config.model).toEqual({ maxBatchTokens: 8000, concurrency: 1, temperature: null, maxTokens: null });
+    });
+
+    it('should explain invalid configurations', () => {
+      expect(() => loadConfig({ filePath: writeConfig({ maxComments: -1 }), env: {} })).toThrow(
+        'Invalid reviewer configuration: "maxComments" must be a positive integer or null'
+      );
+      expect(() => loadConfig({ filePath: writeConfig('[]'), env: {} })).toThrow(
+        '.ai-review.json must be a JSON object'
+      );
+      expect(() => loadConfig({ filePath: writeConfig('{ maxComments: 1 }'), env: {} })).toThrow(SyntaxError);
+    });
+  });
+
+  describe('getLocaleConfig', () => {
+    const config = mergeConfig(DEFAULT_CONFIG, {
+      minSeverity: 'warning',
+      locales: {
+        'pt-br': { checks: { glossary: false }, minSeverity: 'error' },
+        ja: { skip: true },
+        fi: { maxLengthRatio: null },
+      },
+    });
+
+    it('should apply the overrides of the locale file', () => {
+      const ptBr = getLocaleConfig(config, 'pt-br.json');
+      expect(ptBr.checks).toEqual({ ...DEFAULT_CONFIG.checks, glossary: false });
+      expect(ptBr.minSeverity).toBe('error');
+      expect(ptBr.skip).toBe(false);
+      expect(getLocaleConfig(config, 'ja.json').skip).toBe(true);
+      expect(getLocaleConfig(config, 'fi.json').maxLengthRatio).toBeNull();
+    });
+
+    it('should fall back to the global settings', () => {
+      expect(getLocaleConfig(config, 'de.json')).toEqual({
+        skip: false,
+        checks: DEFAULT_CONFIG.checks,
+        minSeverity: 'warning',
+        ignoredCategories: [],
+        maxLengthRatio: 2,
+      });
+    });
+  });
+
+  describe('filterPostedIssues', () => {
+    it('should filter each issue by the settings of its locale', () => {
+      const config = mergeConfig(DEFAULT_CONFIG, { locales: { fr: { minSeverity: 'error' } } });
+      const issues = [
+        { filePath: 'de.json', severity: 'warning' },
+        { filePath: 'fr.json', severity: 'warning' },
+        { filePath: 'fr.json', severity: 'error' },
+      ];
+
+      expect(filterPostedIssues(issues, config)).toEqual([issues[0], issues[2]]);
+    });
+  });
+
+  describe('createIgnoreRegex', () => {
+    it('should match the globs against repository paths', () => {
+      const regex = createIgnoreRegex(['package.json', 'node_modules/**', '**/*.bak', 'zh-??.json']);
+
+      expect(regex.test('package.json')).toBe(true);
+      expect(regex.test('ai-review/package.json')).toBe(false);
+      expect(regex.test('node_modules/axios/index.js')).toBe(true);
+      expect(regex.test('de.json.bak')).toBe(true);
+      expect(regex.test('old/de.json.bak')).toBe(true);
+      expect(regex.test('zh-CN.json')).toBe(true);
+      expect(regex.test('zh-Hant.json')).toBe(false);
+      expect(regex.test('de.json')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { getDisplayWidth } = require('./utils');
+const { getPluralGroups, splitPluralKey } = require('./plurals');
+
+/**
+ * Context of the English strings, for reviewers and translators. Short keys
+ * like `or` or `yes` are ambiguous without knowing where they appear.
+ *
+ * The context is kept in a sidecar file of the source locale, `en.context.json`:
+ *
+ *   {
+ *     "or": {
+ *       "description": "Between two alternative routes",
+ *       "screen": "Route planner",
+ *       "maxLength": 6,
+ *       "screenshot": "docs/screenshots/alternatives.png"
+ *     }
+ *   }
+ *
+ * All fields are optional. Plural groups are described by their base name
+ * (`charges` for `charges_one` and `charges_other`), arrays by their key.
+ * Screenshots are paths relative to the repository root.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const CONTEXT_FIELDS = {
+  description: 'string',
+  screen: 'string',
+  maxLength: 'number',
+  screenshot: 'string',
+};
+
+const USAGE = `Usage: node ai-review/context.js [options]
+
+Checks the context of the English strings in en.context.json against en.json.
+
+Options:
+  --root <dir>  Directory holding the locale files, defaults to the repository root
+  --help        Show this message`;
+
+/**
+ * Context file of a source file, e.g. `en.json` -> `en.context.json`.
+ */
+const getContextFile = (sourceFile) => sourceFile.replace(/\.json$/, '.context.json');
+
+/**
+ * Validate the fields of a context file.
+ *
+ * @returns {Object<string, { description?: string, screen?: string, maxLength?: number, screenshot?: string }>}
+ * @throws {Error} When an entry isn't an object or has unknown fields or values of the wrong type
+ */
+const normalizeContext = (json, name) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error(`Context ${name} must be a JSON object`);
+  }
+
+  for (const [key, entry] of Object.entries(json)) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Context of "${key}" in ${name} must be an object`);
+    }
+    for (const [field, value] of Object.entries(entry)) {
+      if (!CONTEXT_FIELDS[field]) {
+        throw new Error(`Unknown field "${field}" in the context of "${key}" in ${name}`);
+      }
+      if (typeof value !== CONTEXT_FIELDS[field] || value === '') {
+        const type = CONTEXT_FIELDS[field];
+        throw new Error(`"${field}" in the context of "${key}" in ${name} must be a non-empty ${type}`);
+      }
+    }
+    if (entry.maxLength !== undefined && !(Number.isInteger(entry.maxLength) && entry.maxLength > 0)) {
+      throw new Error(`"maxLength" in the context of "${key}" in ${name} must be a positive integer`);
+    }
+  }
+
+  return json;
+};
+
+/**
+ * Load the context of the source locale, empty when there is no context file.
+ *
+ * @param {string} [rootDir] - Directory holding the locale files, defaults to the repository root
+ * @param {string} [sourceFile] - File the translations are made from
+ * @throws {Error} When the context file is invalid
+ */
+const loadKeyContext = (rootDir = REPO_ROOT, sourceFile = 'en.json') => {
+  const name = getContextFile(sourceFile);
+  const filePath = path.join(rootDir, name);
+  if (!fs.existsSync(filePath)) return {};
+  return normalizeContext(JSON.parse(fs.readFileSync(filePath, 'utf-8')), name);
+};
+
+/**
+ * Context of a key, also for plural forms (`charges_other`) and array items
+ * (`day_names[0]`) when their group is described.
+ *
+ * @returns {Object|null}
+ */
+const getKeyContext = (context, key) => {
+  const arrayName = /^(.+)\[\d+\]$/.exec(key)?.[1];
+  const pluralBase = splitPluralKey(key)?.base;
+  return context[key] ?? (arrayName && context[arrayName]) ?? (pluralBase && context[pluralBase]) ?? null;
+};
+
+/**
+ * Check a context against the English source: every key must exist in
+ * English, and the English text has to fit its maximum length, see getDisplayWidth.
+ *
+ * @param {Object} context - See normalizeContext
+ * @param {Object} englishTranslations - Parsed en.json
+ * @param {{ rootDir?: string }} options - Screenshots are looked up in `rootDir` when it's set
+ * @returns {Array<{ key: string, problem: string }>}
+ */
+const validateContext = (context, englishTranslations, { rootDir } = {}) => {
+  const pluralGroups = getPluralGroups(englishTranslations);
+  const problems = [];
+
+  for (const [key, { maxLength, screenshot }] of Object.entries(context)) {
+    if (!(key in englishTranslations) && !pluralGroups.has(key)) {
+      problems.push({ key, problem: 'The key does not exist in English' });
+      continue;
+    }
+    // A base name can be a regular key and a plural group at the same time
+    const values = [
+      ...[englishTranslations[key] ?? []].flat(),
+      ...(pluralGroups.get(key) ?? []).map((category) => englishTranslations[`${key}_${category}`]),
+    ];
+    const tooLong = values.find((value) => typeof value === 'string' && getDisplayWidth(value) > maxLength);
+    if (tooLong !== undefined) {
+      problems.push({ key, problem: `The English text "${tooLong}" is longer than the maximum of ${maxLength}` });
+    }
+    if (screenshot && rootDir && !fs.existsSync(path.join(rootDir, screenshot))) {
+      problems.push({ key, problem: `The screenshot ${screenshot} does not exist` });
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Notes for translators describing the context of a key.
+ *
+ * @param {Object|null} entry - See getKeyContext
+ * @returns {string[]}
+ */
+const formatContextNotes = (entry) => {
+  if (!entry) return [];
+  const { description, screen, maxLength, screenshot } = entry;
+  return [
+    description && `Context: ${description}`,
+    screen && `Screen: ${screen}`,
+    maxLength && `Maximum length: ${maxLength} characters`,
+    screenshot && `Screenshot: ${screenshot}`,
+  ].filter(Boolean);
+};
+
+/**
+ * Add the context of their key to changed translations, as `context`.
+ * Changes of keys without context are left as they are.
+ *
+ * @param {Array<{ key: string }>} changes - See getTranslationChanges
+ * @param {Object} context - See normalizeContext
+ * @returns {Array<Object>}
+ */
+const addKeyContext = (changes, context) =>
+  changes.map((change) => {
+    const entry = getKeyContext(context, change.key);
+    return entry ? { ...change, context: entry } : change;
+  });
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      root: { type: 'string', default: REPO_ROOT },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  if (values.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  const contextFile = getContextFile('en.json');
+  if (!fs.existsSync(path.join(values.root, contextFile))) {
+    console.log(`No ${contextFile} found`);
+    return 0;
+  }
+
+  const context = loadKeyContext(values.root);
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+  const problems = validateContext(context, englishTranslations, { rootDir: values.root });
+  problems.forEach(({ key, problem }) => console.log(`${contextFile}: ${key}: ${problem}`));
+  console.log(`Checked the context of ${Object.keys(context).length} keys, found ${problems.length} problems`);
+  return problems.length > 0 ? 1 : 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to check the key context', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  getContextFile,
+  normalizeContext,
+  loadKeyContext,
+  getKeyContext,
+  validateContext,
+  formatContextNotes,
+  addKeyContext,
+  run,
+};
@@ -0,0 +1,137 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getContextFile,
+  normalizeContext,
+  loadKeyContext,
+  getKeyContext,
+  validateContext,
+  formatContextNotes,
+  addKeyContext,
+  run,
+} = require('./context');
+
+describe('context tests', () => {
+  const englishTranslations = {
+    or: 'or',
+    day_names: ['Sunday', 'Monday'],
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+  };
+  const context = {
+    or: { description: 'Between two alternative routes', screen: 'Route planner', maxLength: 6 },
+    day_names: { screen: 'Charger opening hours' },
+    charges: { description: 'Charging stops of a plan' },
+  };
+
+  describe('getContextFile', () => {
+    it('should name the sidecar file of a source file', () => {
+      expect(getContextFile('en.json')).toBe('en.context.json');
+    });
+  });
+
+  describe('normalizeContext', () => {
+    it('should accept valid context', () => {
+      expect(normalizeContext(context, 'en.context.json')).toBe(context);
+    });
+
+    it.each([
+      [[], 'Context en.context.json must be a JSON object'],
+      [{ or: 'Between routes' }, 'Context of "or" in en.context.json must be an object'],
+      [{ or: { note: 'x' } }, 'Unknown field "note" in the context of "or" in en.context.json'],
+      [{ or: { screen: '' } }, '"screen" in the context of "or" in en.context.json must be a non-empty string'],
+      [{ or: { maxLength: '6' } }, '"maxLength" in the context of "or" in en.context.json must be a non-empty number'],
+      [{ or: { maxLength: 1.5 } }, '"maxLength" in the context of "or" in en.context.json must be a positive integer'],
+    ])('should reject %j', (json, message) => {
+      expect(() => normalizeContext(json, 'en.context.json')).toThrow(message);
+    });
+  });
+
+  describe('getKeyContext', () => {
+    it('should find the context of keys, array items and plural forms', () => {
+      expect(getKeyContext(context, 'or')).toBe(context.or);
+      expect(getKeyContext(context, 'day_names[1]')).toBe(context.day_names);
+      expect(getKeyContext(context, 'charges_few')).toBe(context.charges);
+      expect(getKeyContext(context, 'yes')).toBeNull();
+    });
+  });
+
+  describe('validateContext', () => {
+    it('should report unknown keys, English text over the maximum length and missing screenshots', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-'));
+      try {
+        const problems = validateContext(
+          {
+            ...context,
+            day_names: { maxLength: 6 },
+            charges: { maxLength: 9, screenshot: 'charges.png' },
+            orphan: { description: 'Removed' },
+          },
+          englishTranslations,
+          { rootDir: dir }
+        );
+
+        expect(problems).toEqual([
+          { key: 'charges', problem: 'The English text "One charge" is longer than the maximum of 9' },
+          { key: 'charges', problem: 'The screenshot charges.png does not exist' },
+          { key: 'orphan', problem: 'The key does not exist in English' },
+        ]);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('formatContextNotes', () => {
+    it('should describe every field', () => {
+      expect(formatContextNotes({ ...context.or, screenshot: 'docs/or.png' })).toEqual([
+        'Context: Between two alternative routes',
+        'Screen: Route planner',
+        'Maximum length: 6 characters',
+        'Screenshot: docs/or.png',
+      ]);
+      expect(formatContextNotes(null)).toEqual([]);
+    });
+  });
+
+  describe('addKeyContext', () => {
+    it('should add the context to changes of described keys', () => {
+      const changes = [
+        { file: 'de.json', key: 'or', newValue: 'oder' },
+        { file: 'de.json', key: 'yes', newValue: 'ja' },
+      ];
+
+      expect(addKeyContext(changes, context)).toEqual([{ ...changes[0], context: context.or }, changes[1]]);
+    });
+  });
+
+  describe('run', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(englishTranslations, null, 2));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should check the context file', async () => {
+      expect(await run(['--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenCalledWith('No en.context.json found');
+
+      fs.writeFileSync(path.join(dir, 'en.context.json'), JSON.stringify(context));
+      expect(loadKeyContext(dir)).toEqual(context);
+      expect(await run(['--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenLastCalledWith('Checked the context of 3 keys, found 0 problems');
+
+      fs.writeFileSync(path.join(dir, 'en.context.json'), JSON.stringify({ ...context, yes: {} }));
+      expect(await run(['--root', dir])).toBe(1);
+      expect(console.log).toHaveBeenCalledWith('en.context.json: yes: The key does not exist in English');
+    });
+  });
+});
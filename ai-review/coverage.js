@@ -0,0 +1,276 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { KEEP_COMMENT_MARKER, isLocaleFile, getLocaleFromPath, getNestedValue } = require('./utils');
+const { splitPluralKey, getPluralGroups, getExpectedKeys } = require('./plurals');
+const { loadGlossaries, getGlossary } = require('./glossary');
+const { getStaleKeys, loadLocaleState } = require('./stale');
+const { loadConfig } = require('./config');
+const { getLengthReport } = require('./length');
+
+// Identifies the coverage comment on a pull request, so it's updated instead of posted again
+const COVERAGE_MARKER = '<!-- translation-coverage -->';
+
+const USAGE = `Usage: node ai-review/coverage.js [options]
+
+Reports how much of the English source each locale file actually translates.
+
+Options:
+  --format <format>  Output format: markdown (default), json or badge
+  --locale <locale>  Only report this locale, e.g. de or pt-BR
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --post             Post the Markdown report as a comment on the current pull request
+  --help             Show this message`;
+
+const markupRegex = /\{\{[^}]*\}\}|\{[^}]*\}|<[^>]*>/g;
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a string has nothing to translate: once placeholders, tags and
+ * do-not-translate terms are removed, no letters are left ("{{x}} km", "ABRP").
+ */
+const isUntranslatable = (value, doNotTranslate = []) => {
+  const text = doNotTranslate.reduce(
+    (remaining, term) => remaining.replace(new RegExp(escapeRegex(term), 'g'), ''),
+    String(value).replace(markupRegex, '')
+  );
+  return !/\p{L}/u.test(text);
+};
+
+/**
+ * Compute the translation coverage of one locale file.
+ *
+ * - translated: differs from English, or is allowed to be identical
+ * - untranslated: a copy of the English source
+ * - missing: expected key that is absent
+ * - orphaned: key that doesn't exist in English and isn't a plural form of the locale.
+ *   English plural forms the locale doesn't use (`_one` in Japanese) are neither
+ *   expected nor orphaned, see the plural report for those
+ * - stale: translated, but the English source changed since, see stale.js
+ *
+ * Identical strings are allowed for keys in the glossary's `identicalKeys` and
+ * for strings without anything translatable, see isUntranslatable.
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {{ locale: string, identicalKeys?: string[], doNotTranslate?: string[], state?: Object }} options -
+ *   `state` is the stale translation state of the locale
+ */
+const computeCoverage = (
+  englishTranslations,
+  translations,
+  { locale, identicalKeys = [], doNotTranslate = [], state = {} }
+) => {
+  const pluralGroups = getPluralGroups(englishTranslations);
+  const expected = getExpectedKeys(englishTranslations, locale, pluralGroups);
+  const allowed = new Set(identicalKeys);
+  const keys = { translated: [], untranslated: [], missing: [], orphaned: [], stale: [] };
+
+  for (const [key, englishValue] of expected) {
+    const value = getNestedValue(translations, key);
+    if (value === undefined) {
+      keys.missing.push(key);
+    } else if (
+      value !== englishValue ||
+      allowed.has(key) ||
+      allowed.has(splitPluralKey(key)?.base) ||
+      isUntranslatable(englishValue, doNotTranslate)
+    ) {
+      keys.translated.push(key);
+    } else {
+      keys.untranslated.push(key);
+    }
+  }
+
+  for (const key of Object.keys(translations)) {
+    const plural = splitPluralKey(key);
+    const isPluralForm = plural && pluralGroups.has(plural.base);
+    if (!expected.has(key) && !(key in englishTranslations) && !(isPluralForm && plural.category === 'zero')) {
+      keys.orphaned.push(key);
+    }
+  }
+
+  // Stale strings are still translated, they are counted on top
+  const translated = new Set(keys.translated);
+  keys.stale = getStaleKeys(state, englishTranslations, translations, locale).filter((key) => translated.has(key));
+
+  const total = expected.size;
+  return {
+    locale,
+    total,
+    coverage: total === 0 ? 100 : Math.floor((keys.translated.length / total) * 1000) / 10,
+    translated: keys.translated.length,
+    untranslated: keys.untranslated.length,
+    missing: keys.missing.length,
+    orphaned: keys.orphaned.length,
+    stale: keys.stale.length,
+    keys,
+  };
+};
+
+/**
+ * Coverage of every locale file in a directory, sorted by file name.
+ *
+ * @param {string} rootDir - Directory holding en.json, the locale files and their stale translation state
+ * @param {Object} glossaries - See loadGlossaries, for the allowlists of identical strings
+ * @param {Object} config - See loadConfig, for the `maxLengthRatio` of the length report
+ * @returns {Array<Object>} See computeCoverage, with the `file` added, and `tooLong` counting the
+ *   strings of the length report, see length.js
+ */
+const getCoverageReport = (rootDir, glossaries = loadGlossaries(), config = loadConfig()) => {
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(rootDir, 'en.json'), 'utf-8'));
+  const lengths = new Map(getLengthReport(rootDir, { config }).map(({ file, violations }) => [file, violations]));
+
+  return fs
+    .readdirSync(rootDir)
+    .filter((file) => isLocaleFile(file) && file !== 'en.json')
+    .sort()
+    .map((file) => {
+      const locale = getLocaleFromPath(file);
+      const translations = JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf-8'));
+      const { identicalKeys, doNotTranslate } = getGlossary(glossaries, locale);
+      const state = loadLocaleState(rootDir, file);
+      const options = { locale, identicalKeys, doNotTranslate, state };
+      const coverage = computeCoverage(englishTranslations, translations, options);
+      const tooLong = lengths.get(file).map(({ key }) => key);
+      return { file, ...coverage, tooLong: tooLong.length, keys: { ...coverage.keys, tooLong } };
+    });
+};
+
+/**
+ * Coverage across all reported locales, weighted by their number of keys.
+ */
+const getOverallCoverage = (report) => {
+  const total = report.reduce((sum, { total: count }) => sum + count, 0);
+  const translated = report.reduce((sum, { translated: count }) => sum + count, 0);
+  return total === 0 ? 100 : Math.floor((translated / total) * 1000) / 10;
+};
+
+const getBadgeColor = (coverage) => {
+  if (coverage >= 95) return 'brightgreen';
+  if (coverage >= 80) return 'green';
+  if (coverage >= 60) return 'yellow';
+  return 'red';
+};
+
+/**
+ * Summary in the shields.io endpoint format, see https://shields.io/badges/endpoint-badge
+ */
+const formatCoverageBadge = (report) => {
+  const coverage = getOverallCoverage(report);
+  return {
+    schemaVersion: 1,
+    label: report.length === 1 ? `translations (${report[0].locale})` : 'translations',
+    message: `${coverage}%`,
+    color: getBadgeColor(coverage),
+  };
+};
+
+/**
+ * Render the report as a Markdown table, usable as a pull request comment.
+ */
+const formatCoverageMarkdown = (report) => {
+  const lines = [
+    COVERAGE_MARKER,
+    KEEP_COMMENT_MARKER,
+    `## 🌍 Translation coverage: ${getOverallCoverage(report)}%`,
+    '',
+    'Strings identical to English count as untranslated, unless they are allowlisted in `identicalKeys` of the `.glossary/` files.',
+    'Stale strings are translated, but their English source changed since, see `node ai-review/stale.js`.',
+    'Too long strings exceed their `maxLength` in `en.context.json` or `maxLengthRatio` times the English length, ' +
+      'see `node ai-review/length.js`.',
+    '',
+    '| Locale | Coverage | Translated | Untranslated | Missing | Orphaned | Stale | Too long |',
+    '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+    ...report.map(
+      ({ file, coverage, translated, untranslated, missing, orphaned, stale, tooLong }) =>
+        `| \`${file}\` | ${coverage}% | ${translated} | ${untranslated} | ${missing} | ${orphaned} | ${stale} ` +
+        `| ${tooLong} |`
+    ),
+  ];
+  return lines.join('\n');
+};
+
+/**
+ * Create or update the coverage comment on the current pull request.
+ */
+const postCoverageComment = async ({ octokit, owner, repo, pullNumber }, body) => {
+  const comments = await octokit.paginate(octokit.issues.listComments, {
+    owner,
+    repo,
+    issue_number: pullNumber,
+    per_page: 100,
+  });
+  const existing = comments.find((comment) => comment.body?.includes(COVERAGE_MARKER));
+
+  if (existing) {
+    await octokit.issues.updateComment({ owner, repo, comment_id: existing.id, body });
+  } else {
+    await octokit.issues.createComment({ owner, repo, issue_number: pullNumber, body });
+  }
+};
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      format: { type: 'string', default: 'markdown' },
+      locale: { type: 'string' },
+      root: { type: 'string', default: path.resolve(__dirname, '..') },
+      post: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || !['markdown', 'json', 'badge'].includes(values.format)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  let report = getCoverageReport(values.root);
+  if (values.locale) {
+    report = report.filter(({ locale }) => locale === getLocaleFromPath(`${values.locale}.json`));
+    if (report.length === 0) {
+      console.error(`No locale file found for "${values.locale}"`);
+      return 1;
+    }
+  }
+
+  if (values.post) {
+    // Required lazily, posting is the only part that needs the GitHub Actions environment
+    const { getGitHubContext } = require('./ai-review');
+    await postCoverageComment(getGitHubContext(), formatCoverageMarkdown(report));
+  }
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else if (values.format === 'badge') {
+    console.log(JSON.stringify(formatCoverageBadge(report)));
+  } else {
+    console.log(formatCoverageMarkdown(report));
+  }
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to report translation coverage', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  COVERAGE_MARKER,
+  isUntranslatable,
+  computeCoverage,
+  getCoverageReport,
+  getOverallCoverage,
+  formatCoverageBadge,
+  formatCoverageMarkdown,
+  postCoverageComment,
+  run,
+};
@@ -0,0 +1,201 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  COVERAGE_MARKER,
+  isUntranslatable,
+  computeCoverage,
+  getCoverageReport,
+  formatCoverageBadge,
+  formatCoverageMarkdown,
+  postCoverageComment,
+} = require('./coverage');
+const { hashValue } = require('./stale');
+const { DEFAULT_CONFIG } = require('./config');
+
+describe('translation coverage tests', () => {
+  const englishTranslations = {
+    settings: 'Settings',
+    hybrid: 'Hybrid',
+    distance: '{{distance}} km',
+    brand: 'ABRP',
+    share: 'Share',
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+  };
+
+  describe('isUntranslatable', () => {
+    it('should detect strings without translatable text', () => {
+      expect(isUntranslatable('{{distance}} km')).toBe(false);
+      expect(isUntranslatable('{{value}} %')).toBe(true);
+      expect(isUntranslatable('<bold>{{name}}</bold>:')).toBe(true);
+      expect(isUntranslatable('ABRP', ['ABRP'])).toBe(true);
+      expect(isUntranslatable('')).toBe(true);
+    });
+  });
+
+  describe('computeCoverage', () => {
+    it('should count translated, untranslated, missing and orphaned keys', () => {
+      const coverage = computeCoverage(
+        englishTranslations,
+        {
+          settings: 'Einstellungen',
+          hybrid: 'Hybrid',
+          distance: '{{distance}} km',
+          brand: 'ABRP',
+          charges_one: 'Eine Ladung',
+          charges_other: '{{count}} Ladungen',
+          old_key: 'Alt',
+        },
+        { locale: 'de', identicalKeys: ['hybrid'], doNotTranslate: ['ABRP'] }
+      );
+
+      expect(coverage).toMatchObject({ locale: 'de', total: 7, translated: 5, untranslated: 1, missing: 1, orphaned: 1 });
+      expect(coverage.coverage).toBe(71.4);
+      expect(coverage.keys.untranslated).toEqual(['distance']);
+      expect(coverage.keys.missing).toEqual(['share']);
+      expect(coverage.keys.orphaned).toEqual(['old_key']);
+    });
+
+    it('should accept the plural forms of the locale', () => {
+      const coverage = computeCoverage(
+        { charges_one: 'One charge', charges_other: '{{count}} charges' },
+        { charges_other: '{{count}}回', charges_one: '1回', charges_zero: 'なし' },
+        { locale: 'ja' }
+      );
+
+      expect(coverage).toMatchObject({ total: 1, translated: 1, missing: 0, orphaned: 0 });
+    });
+
+    it('should allow identical plural forms through the base key', () => {
+      const coverage = computeCoverage(
+        englishTranslations,
+        { charges_one: 'One charge', charges_other: '{{count}} charges' },
+        { locale: 'nl', identicalKeys: ['charges'] }
+      );
+
+      expect(coverage.keys.untranslated).toEqual([]);
+    });
+  });
+
+  describe('reports', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'coverage-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ settings: 'Settings', share: 'Share' }));
+      fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ settings: 'Einstellungen', share: 'Teilen' }));
+      fs.writeFileSync(path.join(dir, 'fr.json'), JSON.stringify({ settings: 'Paramètres', share: 'Share' }));
+      fs.writeFileSync(path.join(dir, 'package.json'), '{}');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const glossaries = { global: { doNotTranslate: [], terms: {}, identicalKeys: [] }, locales: {} };
+
+    it('should report every locale file except English', () => {
+      const report = getCoverageReport(dir, glossaries);
+      expect(report.map(({ file, coverage }) => [file, coverage])).toEqual([
+        ['de.json', 100],
+        ['fr.json', 50],
+      ]);
+    });
+
+    it('should format a Markdown table with the comment marker', () => {
+      const markdown = formatCoverageMarkdown(getCoverageReport(dir, glossaries));
+      expect(markdown).toContain(COVERAGE_MARKER);
+      expect(markdown).toContain('## 🌍 Translation coverage: 75%');
+      expect(markdown).toContain('| `fr.json` | 50% | 1 | 1 | 0 | 0 | 0 | 0 |');
+    });
+
+    it('should format a shields.io endpoint badge', () => {
+      const report = getCoverageReport(dir, glossaries);
+      expect(formatCoverageBadge(report)).toEqual({
+        schemaVersion: 1,
+        label: 'translations',
+        message: '75%',
+        color: 'yellow',
+      });
+      expect(formatCoverageBadge(report.slice(0, 1))).toMatchObject({ label: 'translations (de)', color: 'brightgreen' });
+    });
+
+    it('should count stale translations', () => {
+      fs.mkdirSync(path.join(dir, '.i18n-state'));
+      fs.writeFileSync(
+        path.join(dir, '.i18n-state', 'de.json'),
+        JSON.stringify({ share: { source: hashValue('Share it'), translation: hashValue('Teilen') } })
+      );
+
+      const report = getCoverageReport(dir, glossaries);
+      expect(report[0]).toMatchObject({ file: 'de.json', coverage: 100, stale: 1 });
+      expect(report[0].keys.stale).toEqual(['share']);
+      expect(formatCoverageMarkdown(report)).toContain('| `de.json` | 100% | 2 | 0 | 0 | 0 | 1 | 0 |');
+    });
+
+    it('should count too long strings', () => {
+      fs.writeFileSync(path.join(dir, 'en.context.json'), JSON.stringify({ share: { maxLength: 5 } }));
+
+      const report = getCoverageReport(dir, glossaries, DEFAULT_CONFIG);
+      expect(report[0]).toMatchObject({ file: 'de.json', tooLong: 1 });
+      expect(report[0].keys.tooLong).toEqual(['share']);
+      expect(formatCoverageMarkdown(report)).toContain('| `de.json` | 100% | 2 | 0 | 0 | 0 | 0 | 1 |');
+    });
+
+    it('should report the locale files of the repository', () => {
+      const report = getCoverageReport(path.resolve(__dirname, '..'));
+      expect(report.length).toBeGreaterThan(30);
+      expect(report.find(({ file }) => file === 'de.json').orphaned).toBe(0);
+    });
+  });
+
+  describe('postCoverageComment', () => {
+    const createOctokit = (comments) => ({
+      // Like octokit.paginate, requests pages until one isn't full
+      paginate: async (method, params) => {
+        const items = [];
+        for (let page = 1; ; page++) {
+          const { data } = await method({ ...params, page });
+          items.push(...data);
+          if (data.length < params.per_page) return items;
+        }
+      },
+      issues: {
+        listComments: jest.fn(async ({ page = 1, per_page: perPage = 30 }) => ({
+          data: comments.slice((page - 1) * perPage, page * perPage),
+        })),
+        createComment: jest.fn().mockResolvedValue({}),
+        updateComment: jest.fn().mockResolvedValue({}),
+      },
+    });
+
+    it('should update an existing coverage comment', async () => {
+      const octokit = createOctokit([
+        { id: 1, body: 'Other comment' },
+        { id: 2, body: `${COVERAGE_MARKER}\nOld report` },
+      ]);
+      await postCoverageComment({ octokit, owner: 'o', repo: 'r', pullNumber: 5 }, 'New report');
+
+      expect(octokit.issues.updateComment).toHaveBeenCalledWith({ owner: 'o', repo: 'r', comment_id: 2, body: 'New report' });
+      expect(octokit.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should find the coverage comment on later pages', async () => {
+      const comments = Array.from({ length: 130 }, (_, i) => ({ id: i, body: `Comment ${i}` }));
+      comments[110] = { id: 110, body: `${COVERAGE_MARKER}\nOld report` };
+      const octokit = createOctokit(comments);
+      await postCoverageComment({ octokit, owner: 'o', repo: 'r', pullNumber: 5 }, 'New report');
+
+      expect(octokit.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({ comment_id: 110 }));
+      expect(octokit.issues.createComment).not.toHaveBeenCalled();
+    });
+
+    it('should create the coverage comment once', async () => {
+      const octokit = createOctokit([]);
+      await postCoverageComment({ octokit, owner: 'o', repo: 'r', pullNumber: 5 }, 'Report');
+
+      expect(octokit.issues.createComment).toHaveBeenCalledWith({ owner: 'o', repo: 'r', issue_number: 5, body: 'Report' });
+    });
+  });
+});
@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isLocaleFile, getLocaleFromPath, comparePlaceholders } = require('./utils');
+const { getPluralExamples, getPluralGroups, getExpectedKeys, splitPluralKey } = require('./plurals');
+const { computeCoverage } = require('./coverage');
+const { loadGlossaries, getGlossary } = require('./glossary');
+const { loadLocaleState } = require('./stale');
+const { loadKeyContext, getKeyContext, formatContextNotes } = require('./context');
+const { setEntries, getEnglishValue, getSyncedKeys } = require('./sync');
+const { exportXliff, parseXliff } = require('./formats/xliff');
+const { exportPo, parsePo } = require('./formats/po');
+
+/**
+ * Exchange of translations with CAT tools like OmegaT, Poedit or Weblate: a
+ * locale file is exported with its English source as XLIFF 2.0 or gettext PO,
+ * the translated file is merged back into the locale file.
+ *
+ * Both formats are built from the same units, one per string, keyed by their
+ * JSON key. Items of arrays are keyed like `day_names[0]`.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const FORMATS = {
+  xliff: { extensions: ['.xlf', '.xliff'], exportUnits: exportXliff, parse: parseXliff },
+  po: { extensions: ['.po'], exportUnits: exportPo, parse: parsePo },
+};
+
+const USAGE = `Usage: node ai-review/exchange.js export --locale <locale> [options]
+       node ai-review/exchange.js import <file> [options]
+
+Exports a locale with its English source for translation tools, and imports the translated file.
+
+Options:
+  --locale <locale>  Locale to export, or to import into instead of the target language of the file
+  --format <format>  xliff (default) or po, imports detect it from the file extension
+  --output <file>    Write the export to a file instead of stdout
+  --dry-run          Only report what an import would change
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --help             Show this message`;
+
+const arrayItemRegex = /^(.+)\[(\d+)\]$/;
+
+const getTarget = (value, source) => (typeof value === 'string' && (value !== '' || source === '') ? value : null);
+
+/**
+ * Units of a locale for translation tools, in the order of en.json:
+ *
+ * - `state`: `translated`, `stale` when the English text changed since, or
+ *   `untranslated` for missing keys and copies of the English text, see computeCoverage
+ * - `target`: the current translation, null when untranslated. Empty translations
+ *   of English texts that aren't empty are untranslated, PO has no way to tell them apart
+ * - `group`: plural group or array the unit belongs to
+ * - `notes`: for translators, like the counts a plural form is used for and the context of the key
+ * - `context`: where the string appears in the app, see context.js
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {string} locale - BCP 47 locale
+ * @param {{ identicalKeys?: string[], doNotTranslate?: string[], state?: Object, context?: Object }} options -
+ *   See computeCoverage, `context` is the content of en.context.json
+ * @returns {Array<{ key: string, source: string, target: string|null, state: string,
+ *   group: { type: 'plural'|'array', name: string }|null, notes: string[], context: Object|null }>}
+ */
+const getExchangeUnits = (englishTranslations, translations, locale, options = {}) => {
+  const { context: keyContext = {}, ...coverageOptions } = options;
+  const { keys } = computeCoverage(englishTranslations, translations, { locale, ...coverageOptions });
+  const untranslated = new Set([...keys.untranslated, ...keys.missing]);
+  const stale = new Set(keys.stale);
+  const pluralGroups = getPluralGroups(englishTranslations);
+  const examples = getPluralExamples(locale);
+  const units = [];
+
+  for (const key of getSyncedKeys(englishTranslations, {}, locale)) {
+    const source = getEnglishValue(englishTranslations, key);
+    const value = untranslated.has(key) ? undefined : translations[key];
+    const state = (stale.has(key) && 'stale') || (untranslated.has(key) && 'untranslated') || 'translated';
+    const context = getKeyContext(keyContext, key);
+    const notes = state === 'stale' ? ['The English text changed since this was translated'] : [];
+    notes.push(...formatContextNotes(context));
+
+    if (Array.isArray(source)) {
+      source.forEach((item, index) => {
+        const target = Array.isArray(value) ? getTarget(value[index], item) : null;
+        units.push({
+          key: `${key}[${index}]`,
+          source: item,
+          target,
+          state: target === null ? 'untranslated' : state,
+          group: { type: 'array', name: key },
+          notes,
+          context,
+        });
+      });
+      continue;
+    }
+
+    const plural = splitPluralKey(key);
+    const group = plural && pluralGroups.has(plural.base) ? { type: 'plural', name: plural.base } : null;
+    if (group) {
+      const counts = examples[plural.category] ?? [0];
+      notes.unshift(`Plural form "${plural.category}", used for counts like ${counts.join(', ')}`);
+    }
+    const target = getTarget(value, source);
+    units.push({ key, source, target, state: target === null ? 'untranslated' : state, group, notes, context });
+  }
+
+  return units;
+};
+
+/**
+ * Merge translations read from an exported file into a locale file. Entries
+ * that aren't translated yet are skipped. Changed entries of unknown keys and
+ * whose placeholders differ from the English text are rejected.
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {string} locale - BCP 47 locale
+ * @param {Array<{ key: string|null, target: string|null, translated: boolean }>} entries - See parseXliff / parsePo
+ * @returns {{ values: Object, skipped: string[], rejected: Array<{ key: string|null, problem: string }> }}
+ *   `values` are the changed values by key
+ */
+const mergeTranslations = (englishTranslations, translations, locale, entries) => {
+  const expected = getExpectedKeys(englishTranslations, locale);
+  const values = {};
+  const skipped = [];
+  const rejected = [];
+
+  for (const { key, target, translated } of entries) {
+    if (!translated) {
+      skipped.push(key);
+      continue;
+    }
+
+    const [, name, index] = arrayItemRegex.exec(key ?? '') ?? [null, key];
+    const source = expected.has(name) ? getEnglishValue(englishTranslations, name) : undefined;
+    const englishValue = index === undefined ? source : Array.isArray(source) && source[index];
+    if (typeof englishValue !== 'string') {
+      rejected.push({ key, problem: key === null ? 'The entry has no key' : 'The key does not exist in English' });
+      continue;
+    }
+
+    const current = index === undefined ? translations[name] : translations[name]?.[index];
+    if (target === current) continue;
+
+    const { missing, extra, renamed } = comparePlaceholders(englishValue, target);
+    const problems = [
+      ...renamed.map(({ from, to }) => `${to} should be ${from}`),
+      ...missing.map((placeholder) => `${placeholder} is missing`),
+      ...extra.map((placeholder) => `${placeholder} does not exist in English`),
+    ];
+    if (problems.length > 0) {
+      rejected.push({ key, problem: `Placeholders differ from the English text: ${problems.join(', ')}` });
+      continue;
+    }
+
+    if (index === undefined) {
+      values[name] = target;
+    } else {
+      // Items that aren't translated yet are copied from English
+      values[name] ??= Array.isArray(translations[name]) ? [...translations[name]] : [...source];
+      values[name][index] = target;
+    }
+  }
+
+  for (const [name, value] of Object.entries(values)) {
+    if (JSON.stringify(value) === JSON.stringify(translations[name])) delete values[name];
+  }
+  return { values, skipped, rejected };
+};
+
+/**
+ * File name of a locale in the root directory, or undefined when it has none.
+ */
+const findLocaleFile = (rootDir, locale) => {
+  const wanted = getLocaleFromPath(`${locale}.json`);
+  return fs
+    .readdirSync(rootDir)
+    .find((file) => isLocaleFile(file) && file !== 'en.json' && getLocaleFromPath(file) === wanted);
+};
+
+/**
+ * Units of a locale file, with the glossary, the stale state and the key context of the repository.
+ *
+ * @param {string} rootDir - Directory holding the locale files
+ * @param {string} localeFile - File name of the locale, e.g. `pt-BR.json`
+ * @param {Object} englishTranslations - The content of en.json
+ * @returns {Array<Object>} See getExchangeUnits
+ */
+const loadExchangeUnits = (rootDir, localeFile, englishTranslations) => {
+  const locale = getLocaleFromPath(localeFile);
+  const translations = JSON.parse(fs.readFileSync(path.join(rootDir, localeFile), 'utf-8'));
+  const { identicalKeys, doNotTranslate } = getGlossary(loadGlossaries(), locale);
+  const state = loadLocaleState(rootDir, localeFile);
+  const context = loadKeyContext(rootDir);
+  return getExchangeUnits(englishTranslations, translations, locale, { identicalKeys, doNotTranslate, state, context });
+};
+
+const run = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      locale: { type: 'string' },
+      format: { type: 'string' },
+      output: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      root: { type: 'string', default: REPO_ROOT },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  const [command, file] = positionals;
+  const isExport = command === 'export' && values.locale && positionals.length === 1;
+  const isImport = command === 'import' && file && positionals.length === 2;
+
+  if (values.help || !(isExport || isImport) || (values.format && !FORMATS[values.format])) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+
+  if (isExport) {
+    const localeFile = findLocaleFile(values.root, values.locale);
+    if (!localeFile) {
+      console.error(`No locale file found for "${values.locale}"`);
+      return 1;
+    }
+    const locale = getLocaleFromPath(localeFile);
+    const units = loadExchangeUnits(values.root, localeFile, englishTranslations);
+    const content = FORMATS[values.format || 'xliff'].exportUnits(units, { sourceLocale: 'en', targetLocale: locale });
+
+    if (!values.output) {
+      process.stdout.write(content);
+      return 0;
+    }
+    fs.writeFileSync(values.output, content);
+    const count = (state) => units.filter((unit) => unit.state === state).length;
+    console.log(
+      `Exported ${units.length} strings of ${localeFile} to ${values.output}, ` +
+        `${count('untranslated')} untranslated and ${count('stale')} stale`
+    );
+    return 0;
+  }
+
+  const format =
+    values.format ||
+    Object.keys(FORMATS).find((name) => FORMATS[name].extensions.includes(path.extname(file).toLowerCase()));
+  if (!format) {
+    console.error(`Unknown format of ${file}, pass --format`);
+    return 1;
+  }
+  const parsed = FORMATS[format].parse(fs.readFileSync(file, 'utf-8'));
+  const targetLocale = values.locale || parsed.locale;
+  if (!targetLocale) {
+    console.error(`${file} has no target language, pass --locale`);
+    return 1;
+  }
+  const localeFile = findLocaleFile(values.root, targetLocale);
+  if (!localeFile) {
+    console.error(`No locale file found for "${targetLocale}"`);
+    return 1;
+  }
+
+  const content = fs.readFileSync(path.join(values.root, localeFile), 'utf-8');
+  const locale = getLocaleFromPath(localeFile);
+  const result = mergeTranslations(englishTranslations, JSON.parse(content), locale, parsed.entries);
+  const changed = Object.keys(result.values);
+
+  console.log(
+    `${localeFile}: ${changed.length} updated, ${result.skipped.length} not translated, ` +
+      `${result.rejected.length} rejected`
+  );
+  result.rejected.forEach(({ key, problem }) => console.log(`  ${key}: ${problem}`));
+  if (!values['dry-run'] && changed.length > 0) {
+    fs.writeFileSync(path.join(values.root, localeFile), setEntries(content, result.values));
+  }
+  return result.rejected.length > 0 ? 1 : 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to exchange translations', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  findLocaleFile,
+  getExchangeUnits,
+  loadExchangeUnits,
+  mergeTranslations,
+  run,
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATE_DIR, hashValue } = require('./stale');
+const { getExchangeUnits, mergeTranslations, run } = require('./exchange');
+
+describe('exchange tests', () => {
+  const englishTranslations = {
+    settings: 'Settings',
+    share: 'Share {{name}}',
+    day_names: ['Sunday', 'Monday'],
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+    ok: 'OK',
+  };
+  const german = {
+    settings: 'Einstellungen',
+    share: 'Share {{name}}',
+    day_names: ['Sonntag'],
+    charges_other: '{{count}} Ladungen',
+    ok: 'OK',
+  };
+
+  describe('getExchangeUnits', () => {
+    it('should make a unit of every string with its state', () => {
+      const units = getExchangeUnits(englishTranslations, german, 'de', { identicalKeys: ['ok'] });
+
+      expect(units.map(({ key, target, state }) => [key, target, state])).toEqual([
+        ['settings', 'Einstellungen', 'translated'],
+        ['share', null, 'untranslated'],
+        ['day_names[0]', 'Sonntag', 'translated'],
+        ['day_names[1]', null, 'untranslated'],
+        ['charges_one', null, 'untranslated'],
+        ['charges_other', '{{count}} Ladungen', 'translated'],
+        ['ok', 'OK', 'translated'],
+      ]);
+      expect(units[2].group).toEqual({ type: 'array', name: 'day_names' });
+      expect(units[5]).toMatchObject({
+        group: { type: 'plural', name: 'charges' },
+        notes: ['Plural form "other", used for counts like 0, 2, 3'],
+      });
+    });
+
+    it('should only keep empty translations of empty English texts', () => {
+      const english = { blank: '', at_clock: 'at', day_names: ['Sunday', ''] };
+      const finnish = { blank: '', at_clock: '', day_names: ['', ''] };
+
+      expect(getExchangeUnits(english, finnish, 'fi').map(({ key, target, state }) => [key, target, state])).toEqual([
+        ['blank', '', 'translated'],
+        ['at_clock', null, 'untranslated'],
+        ['day_names[0]', null, 'untranslated'],
+        ['day_names[1]', '', 'translated'],
+      ]);
+    });
+
+    it('should describe the context of the keys in the notes', () => {
+      const context = { charges: { description: 'Charging stops of a plan', maxLength: 20 } };
+      const units = getExchangeUnits(englishTranslations, german, 'de', { context });
+
+      expect(units[4]).toMatchObject({
+        context: context.charges,
+        notes: [
+          'Plural form "one", used for counts like 1',
+          'Context: Charging stops of a plan',
+          'Maximum length: 20 characters',
+        ],
+      });
+      expect(units[0].context).toBeNull();
+    });
+
+    it('should add the plural forms of the locale and mark stale translations', () => {
+      const state = { settings: { source: 'outdated', translation: hashValue('Ustawienia') } };
+      const units = getExchangeUnits(englishTranslations, { settings: 'Ustawienia' }, 'pl', { state });
+
+      expect(units[0]).toMatchObject({ state: 'stale', notes: ['The English text changed since this was translated'] });
+      expect(units.filter(({ group }) => group?.type === 'plural').map(({ key, source }) => [key, source])).toEqual([
+        ['charges_one', 'One charge'],
+        ['charges_few', '{{count}} charges'],
+        ['charges_many', '{{count}} charges'],
+        ['charges_other', '{{count}} charges'],
+      ]);
+    });
+  });
+
+  describe('mergeTranslations', () => {
+    it('should merge changed translations', () => {
+      const result = mergeTranslations(englishTranslations, german, 'de', [
+        { key: 'settings', target: 'Einstellungen', translated: true },
+        { key: 'share', target: '{{name}} teilen', translated: true },
+        { key: 'day_names[1]', target: 'Montag', translated: true },
+        { key: 'charges_one', target: 'Eine Ladung', translated: false },
+      ]);
+
+      expect(result).toEqual({
+        values: { share: '{{name}} teilen', day_names: ['Sonntag', 'Montag'] },
+        skipped: ['charges_one'],
+        rejected: [],
+      });
+    });
+
+    it('should reject unknown keys and placeholder mismatches', () => {
+      const result = mergeTranslations(englishTranslations, german, 'de', [
+        { key: 'orphan', target: 'x', translated: true },
+        { key: 'day_names[2]', target: 'Dienstag', translated: true },
+        { key: 'charges_few', target: '{{count}} Ladungen', translated: true },
+        { key: null, target: 'x', translated: true },
+        { key: 'share', target: '{{nom}} teilen', translated: true },
+        { key: 'charges_one', target: '{{count}} Ladung', translated: true },
+      ]);
+
+      expect(result.values).toEqual({});
+      expect(result.rejected).toEqual([
+        { key: 'orphan', problem: 'The key does not exist in English' },
+        { key: 'day_names[2]', problem: 'The key does not exist in English' },
+        { key: 'charges_few', problem: 'The key does not exist in English' },
+        { key: null, problem: 'The entry has no key' },
+        { key: 'share', problem: 'Placeholders differ from the English text: {{nom}} should be {{name}}' },
+        {
+          key: 'charges_one',
+          problem: 'Placeholders differ from the English text: {{count}} does not exist in English',
+        },
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    let dir;
+    const read = (name) => fs.readFileSync(path.join(dir, name), 'utf-8');
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exchange-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(englishTranslations, null, 2));
+      fs.writeFileSync(path.join(dir, 'de.json'), `${JSON.stringify(german, null, 2)}\n`);
+      fs.mkdirSync(path.join(dir, STATE_DIR));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it.each([
+      ['xlf', '<target>Montag</target>'],
+      ['po', 'msgstr "Montag"'],
+    ])('should export and import %s files', async (extension, translated) => {
+      const file = path.join(dir, `de.${extension}`);
+      const format = extension === 'po' ? 'po' : 'xliff';
+      expect(await run(['export', '--locale', 'de', '--format', format, '--output', file, '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenCalledWith(`Exported 7 strings of de.json to ${file}, 4 untranslated and 0 stale`);
+
+      const exported = fs.readFileSync(file, 'utf-8');
+      const edited =
+        extension === 'po'
+          ? exported.replace(/(msgctxt "day_names\[1\]"\nmsgid "Monday"\n)msgstr ""/, `$1${translated}`)
+          : exported.replace(
+              /(<segment state=")initial(">\s*<source>Monday<\/source>)/,
+              `$1translated$2\n          ${translated}`
+            );
+      fs.writeFileSync(file, edited);
+
+      expect(await run(['import', file, '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenLastCalledWith('de.json: 1 updated, 3 not translated, 0 rejected');
+      // Only the changed entry is rewritten
+      expect(read('de.json')).toBe(
+        `${JSON.stringify(german, null, 2)}\n`.replace('"Sonntag"\n', '"Sonntag",\n    "Montag"\n')
+      );
+    });
+
+    it('should not write rejected or dry-run imports', async () => {
+      const file = path.join(dir, 'de.po');
+      fs.writeFileSync(file, 'msgid ""\nmsgstr "Language: de\\n"\n\nmsgctxt "orphan"\nmsgid "x"\nmsgstr "y"\n');
+      const before = read('de.json');
+
+      expect(await run(['import', file, '--root', dir])).toBe(1);
+      expect(console.log).toHaveBeenCalledWith('  orphan: The key does not exist in English');
+
+      fs.writeFileSync(file, 'msgctxt "settings"\nmsgid "Settings"\nmsgstr "Optionen"\n');
+      expect(await run(['import', file, '--root', dir])).toBe(1);
+      expect(console.error).toHaveBeenCalledWith(`${file} has no target language, pass --locale`);
+      expect(await run(['import', file, '--locale', 'de', '--dry-run', '--root', dir])).toBe(0);
+      expect(read('de.json')).toBe(before);
+    });
+
+    it('should print the usage on invalid arguments', async () => {
+      expect(await run(['export', '--root', dir])).toBe(1);
+      expect(await run(['import', 'de.txt', '--format', 'csv', '--root', dir])).toBe(1);
+      expect(await run(['import', 'de.txt', '--root', dir])).toBe(1);
+      expect(console.error).toHaveBeenLastCalledWith('Unknown format of de.txt, pass --format');
+    });
+  });
+});
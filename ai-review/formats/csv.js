@@ -0,0 +1,104 @@
+/**
+ * CSV, see https://www.rfc-editor.org/rfc/rfc4180
+ *
+ * Files start with a byte order mark, so spreadsheet applications open them
+ * as UTF-8. Spreadsheets saved with `;` or tabs as delimiter can be read too.
+ */
+
+const BOM = '\uFEFF';
+
+const DELIMITERS = [',', ';', '\t'];
+
+const formatField = (value) => (/[",;\t\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Spreadsheet applications evaluate fields starting like this as formulas, a leading `'` keeps them text.
+// Fields starting with `'` and a formula character get another `'`, so stripping one always restores the value.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+
+/**
+ * Keep a field of free text from being evaluated as a formula when the CSV
+ * file is opened in a spreadsheet application.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeFormula = (value) => (FORMULA_START.test(value) ? `'${value}` : value);
+
+/**
+ * Restore a field kept from being a formula by escapeFormula. Spreadsheet
+ * applications keep the `'` when they save, also to other formats than CSV.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+const unescapeFormula = (value) => (FORMULA_START.test(value) && value.startsWith("'") ? value.slice(1) : value);
+
+/**
+ * Write rows of strings as CSV.
+ *
+ * @param {string[][]} rows
+ * @returns {string}
+ */
+const formatCsv = (rows) => `${BOM}${rows.map((row) => row.map(formatField).join(',')).join('\r\n')}\r\n`;
+
+/**
+ * Read CSV to rows of strings, empty lines are left out.
+ *
+ * @param {string} content
+ * @returns {string[][]}
+ * @throws {Error} When a quoted field isn't closed
+ */
+const parseCsv = (content) => {
+  const text = content.startsWith(BOM) ? content.slice(1) : content;
+  // The delimiter that occurs most in the first line
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = DELIMITERS.reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+    if (char === '"' && field === '') {
+      const end = text.indexOf('"', i + 1);
+      let value = '';
+      let position = i + 1;
+      let close = end;
+      // Doubled quotes are escaped quotes
+      while (close !== -1 && text[close + 1] === '"') {
+        value += `${text.slice(position, close)}"`;
+        position = close + 2;
+        close = text.indexOf('"', position);
+      }
+      if (close === -1) throw new Error('Unclosed quoted field in CSV');
+      field = value + text.slice(position, close);
+      i = close + 1;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+      i++;
+    } else if (char === '\r' || char === '\n') {
+      row.push(field);
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+      field = '';
+      i += char === '\r' && text[i + 1] === '\n' ? 2 : 1;
+    } else {
+      field += char;
+      i++;
+    }
+  }
+  if (field !== '' || row.length > 0) rows.push([...row, field]);
+
+  return rows;
+};
+
+module.exports = {
+  formatCsv,
+  parseCsv,
+  escapeFormula,
+  unescapeFormula,
+};
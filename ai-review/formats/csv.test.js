@@ -0,0 +1,48 @@
+const { formatCsv, parseCsv, escapeFormula, unescapeFormula } = require('./csv');
+
+describe('csv tests', () => {
+  const rows = [
+    ['Key', 'English', 'de'],
+    ['share', 'Share "{{name}}"', ''],
+    ['address', 'Street, city\nCountry', ' Straße'],
+  ];
+
+  describe('formatCsv', () => {
+    it('should quote fields with delimiters, quotes, line breaks and outer spaces', () => {
+      expect(formatCsv(rows)).toBe(
+        '﻿Key,English,de\r\nshare,"Share ""{{name}}""",\r\naddress,"Street, city\nCountry"," Straße"\r\n'
+      );
+    });
+  });
+
+  describe('escapeFormula and unescapeFormula', () => {
+    it('should keep fields from being formulas and restore them', () => {
+      const fields = ['=SUM(A1)', '+ 1', '- ok', '@home', "'=x", "'quoted'", 'a-b'];
+      const escaped = fields.map(escapeFormula);
+
+      expect(escaped).toEqual(["'=SUM(A1)", "'+ 1", "'- ok", "'@home", "''=x", "'quoted'", 'a-b']);
+      expect(parseCsv(formatCsv([escaped]))[0].map(unescapeFormula)).toEqual(fields);
+    });
+  });
+
+  describe('parseCsv', () => {
+    it('should read back formatted rows', () => {
+      expect(parseCsv(formatCsv(rows))).toEqual(rows);
+    });
+
+    it('should detect the delimiter and skip empty lines', () => {
+      expect(parseCsv('Key;English\n\nok;"O;K"\n')).toEqual([
+        ['Key', 'English'],
+        ['ok', 'O;K'],
+      ]);
+      expect(parseCsv('Key\tEnglish\r\nok\tOK')).toEqual([
+        ['Key', 'English'],
+        ['ok', 'OK'],
+      ]);
+    });
+
+    it('should reject unclosed quotes', () => {
+      expect(() => parseCsv('Key,English\nok,"OK\n')).toThrow('Unclosed quoted field in CSV');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * gettext PO, see https://www.gnu.org/software/gettext/manual/html_node/PO-Files.html
+ *
+ * Every string is an entry with its key as `msgctxt`. Plural forms are
+ * entries of their own with a note of the counts they are used for, gettext
+ * plurals would need a `Plural-Forms` formula whose forms don't always match
+ * the CLDR categories i18next uses. Stale translations are `fuzzy`.
+ */
+
+const escapePo = (value) =>
+  value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\t/g, '\\t').replace(/\r/g, '\\r');
+
+const unescapePo = (value) => value.replace(/\\(.)/g, (escape, char) => ({ n: '\n', t: '\t', r: '\r' })[char] ?? char);
+
+/**
+ * A keyword with its string, multi-line strings are split after every line break.
+ */
+const formatString = (keyword, value) => {
+  const lines = value.split(/(?<=\n)(?!$)/);
+  if (lines.length === 1) return `${keyword} "${escapePo(value)}"`;
+  return [`${keyword} ""`, ...lines.map((line) => `"${escapePo(line)}"`)].join('\n');
+};
+
+/**
+ * Write exchange units as a PO file.
+ *
+ * @param {Array} units - See getExchangeUnits in exchange.js
+ * @param {{ sourceLocale: string, targetLocale: string }} options - BCP 47 locales
+ * @returns {string}
+ */
+const exportPo = (units, { sourceLocale, targetLocale }) => {
+  const header = [
+    `Language: ${targetLocale.replace(/-/g, '_')}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: 8bit',
+    `X-Source-Language: ${sourceLocale}`,
+  ];
+  const entries = [['msgid ""', 'msgstr ""', ...header.map((line) => `"${line}\\n"`)].join('\n')];
+
+  for (const { key, source, target, state, notes } of units) {
+    entries.push(
+      [
+        ...notes.map((note) => `#. ${note}`),
+        ...(state === 'stale' ? ['#, fuzzy'] : []),
+        formatString('msgctxt', key),
+        formatString('msgid', source),
+        formatString('msgstr', target ?? ''),
+      ].join('\n')
+    );
+  }
+
+  return `${entries.join('\n\n')}\n`;
+};
+
+/**
+ * Read the translations of a PO file. Entries without `msgctxt` have no key,
+ * obsolete entries (`#~`) are left out. An empty `msgstr` is untranslated,
+ * unless the English text is empty too.
+ *
+ * @param {string} content
+ * @returns {{ locale: string|null, entries: Array<{ key: string|null, target: string|null, translated: boolean }> }}
+ * @throws {Error} On lines that are no PO syntax
+ */
+const parsePo = (content) => {
+  let locale = null;
+  const entries = [];
+
+  for (const block of content.replace(/\r\n/g, '\n').split(/\n[ \t]*\n/)) {
+    const fields = {};
+    const flags = [];
+    let field = null;
+
+    for (const line of block.split('\n').map((text) => text.trim())) {
+      if (line === '' || line.startsWith('#~')) continue;
+      if (line.startsWith('#,')) {
+        flags.push(...line.slice(2).split(',').map((flag) => flag.trim()));
+        continue;
+      }
+      if (line.startsWith('#')) continue;
+
+      const match = /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s*"(.*)"$/.exec(line);
+      if (match) {
+        [, field] = match;
+        fields[field] = unescapePo(match[2]);
+      } else if (/^".*"$/.test(line) && field) {
+        fields[field] += unescapePo(line.slice(1, -1));
+      } else {
+        throw new Error(`Invalid PO line: ${line}`);
+      }
+    }
+
+    if (fields.msgid === undefined) continue;
+    if (fields.msgid === '' && fields.msgctxt === undefined) {
+      locale = /^Language:[ \t]*(\S+)/m.exec(fields.msgstr ?? '')?.[1].replace(/_/g, '-') ?? null;
+      continue;
+    }
+
+    // Like an empty target in XLIFF, see parseXliff
+    const target = fields.msgstr ?? fields['msgstr[0]'] ?? '';
+    const hasTarget = target !== '' || fields.msgid === '';
+    entries.push({
+      key: fields.msgctxt ?? null,
+      target: hasTarget ? target : null,
+      translated: hasTarget && !flags.includes('fuzzy'),
+    });
+  }
+
+  return { locale, entries };
+};
+
+module.exports = {
+  exportPo,
+  parsePo,
+};
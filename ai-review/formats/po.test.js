@@ -0,0 +1,120 @@
+const { exportPo, parsePo } = require('./po');
+const { exportXliff, parseXliff } = require('./xliff');
+
+describe('po tests', () => {
+  const units = [
+    { key: 'settings', source: 'Say "hi"\\', target: 'Sag "hallo"\\', state: 'translated', group: null, notes: [] },
+    {
+      key: 'share',
+      source: 'Share\nroute\n',
+      target: 'Teilen',
+      state: 'stale',
+      group: null,
+      notes: ['The English text changed since this was translated'],
+    },
+    {
+      key: 'charges_few',
+      source: '{{count}} charges',
+      target: null,
+      state: 'untranslated',
+      group: { type: 'plural', name: 'charges' },
+      notes: ['Plural form "few", used for counts like 2, 3, 4'],
+    },
+  ];
+
+  describe('exportPo', () => {
+    it('should write a header and one entry per unit', () => {
+      expect(exportPo(units, { sourceLocale: 'en', targetLocale: 'pt-BR' })).toBe(
+        [
+          'msgid ""',
+          'msgstr ""',
+          '"Language: pt_BR\\n"',
+          '"MIME-Version: 1.0\\n"',
+          '"Content-Type: text/plain; charset=UTF-8\\n"',
+          '"Content-Transfer-Encoding: 8bit\\n"',
+          '"X-Source-Language: en\\n"',
+          '',
+          'msgctxt "settings"',
+          'msgid "Say \\"hi\\"\\\\"',
+          'msgstr "Sag \\"hallo\\"\\\\"',
+          '',
+          '#. The English text changed since this was translated',
+          '#, fuzzy',
+          'msgctxt "share"',
+          'msgid ""',
+          '"Share\\n"',
+          '"route\\n"',
+          'msgstr "Teilen"',
+          '',
+          '#. Plural form "few", used for counts like 2, 3, 4',
+          'msgctxt "charges_few"',
+          'msgid "{{count}} charges"',
+          'msgstr ""',
+          '',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('parsePo', () => {
+    it('should read back exported files', () => {
+      expect(parsePo(exportPo(units, { sourceLocale: 'en', targetLocale: 'pt-BR' }))).toEqual({
+        locale: 'pt-BR',
+        entries: [
+          { key: 'settings', target: 'Sag "hallo"\\', translated: true },
+          { key: 'share', target: 'Teilen', translated: false },
+          { key: 'charges_few', target: null, translated: false },
+        ],
+      });
+    });
+
+    it('should read empty translations of empty English texts like XLIFF', () => {
+      const emptyUnits = [
+        { key: 'blank', source: '', target: '', state: 'translated', group: null, notes: [] },
+        { key: 'at_clock', source: 'at', target: null, state: 'untranslated', group: null, notes: [] },
+      ];
+      const options = { sourceLocale: 'en', targetLocale: 'fi' };
+
+      expect(parsePo(exportPo(emptyUnits, options)).entries).toEqual([
+        { key: 'blank', target: '', translated: true },
+        { key: 'at_clock', target: null, translated: false },
+      ]);
+      expect(parsePo(exportPo(emptyUnits, options))).toEqual(parseXliff(exportXliff(emptyUnits, options)));
+    });
+
+    it('should read edited files', () => {
+      const content = [
+        '# Translator comment',
+        'msgid ""',
+        'msgstr "Language: de\\n"',
+        '',
+        '#, fuzzy, c-format',
+        'msgctxt "share"',
+        'msgid "Share"',
+        'msgstr ""',
+        '"Route\\t"',
+        '"teilen"',
+        '',
+        'msgid "No context"',
+        'msgstr "Kein Kontext"',
+        '',
+        '#~ msgctxt "removed"',
+        '#~ msgid "Removed"',
+        '#~ msgstr "Entfernt"',
+        '',
+      ].join('\r\n');
+
+      expect(parsePo(content)).toEqual({
+        locale: 'de',
+        entries: [
+          { key: 'share', target: 'Route\tteilen', translated: false },
+          { key: null, target: 'Kein Kontext', translated: true },
+        ],
+      });
+    });
+
+    it('should reject invalid lines', () => {
+      expect(() => parsePo('msgid "a"\nmsgstr b')).toThrow('Invalid PO line: msgstr b');
+    });
+  });
+});
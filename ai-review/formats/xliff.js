@@ -0,0 +1,107 @@
+const { escapeXml, parseXml, findElements, getText } = require('./xml');
+
+/**
+ * XLIFF 2.0, see https://docs.oasis-open.org/xliff/xliff-core/v2.0/xliff-core-v2.0.html
+ *
+ * Every string is a unit with one segment, plural forms and array items are
+ * grouped. Units without a confirmed translation are in the `initial` state,
+ * with the outdated translation as target when the English text changed.
+ */
+
+const NAMESPACE = 'urn:oasis:names:tc:xliff:document:2.0';
+
+// Segment states of a confirmed translation
+const TRANSLATED_STATES = ['translated', 'reviewed', 'final'];
+
+const formatUnit = ({ key, source, target, state, group, notes }, indent) => {
+  // Array items aren't valid ids, their key is kept in the name
+  const name = group?.type === 'array' ? ` name="${escapeXml(key)}"` : '';
+  const id = group?.type === 'array' ? `${group.name}.${key.slice(group.name.length + 1, -1)}` : key;
+  const lines = [`<unit id="${escapeXml(id)}"${name}>`];
+  if (notes.length > 0) {
+    lines.push('  <notes>', ...notes.map((note) => `    <note>${escapeXml(note)}</note>`), '  </notes>');
+  }
+  lines.push(`  <segment state="${state === 'translated' ? 'translated' : 'initial'}">`);
+  lines.push(`    <source>${escapeXml(source)}</source>`);
+  if (target !== null) lines.push(`    <target>${escapeXml(target)}</target>`);
+  lines.push('  </segment>', '</unit>');
+  return lines.map((line) => indent + line);
+};
+
+/**
+ * Write exchange units as an XLIFF 2.0 document.
+ *
+ * @param {Array} units - See getExchangeUnits in exchange.js
+ * @param {{ sourceLocale: string, targetLocale: string }} options - BCP 47 locales
+ * @returns {string}
+ */
+const exportXliff = (units, { sourceLocale, targetLocale }) => {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff xmlns="${NAMESPACE}" version="2.0" srcLang="${sourceLocale}" trgLang="${targetLocale}">`,
+    `  <file id="${escapeXml(targetLocale)}" xml:space="preserve">`,
+  ];
+
+  units.forEach((unit, i) => {
+    const { group } = unit;
+    if (!group) {
+      lines.push(...formatUnit(unit, '    '));
+      return;
+    }
+    // Units of a group are next to each other
+    if (units[i - 1]?.group?.name !== group.name) {
+      const name = escapeXml(group.name);
+      lines.push(`    <group id="${group.type}.${name}" name="${name}" type="i18next:${group.type}">`);
+    }
+    lines.push(...formatUnit(unit, '      '));
+    if (units[i + 1]?.group?.name !== group.name) lines.push('    </group>');
+  });
+
+  lines.push('  </file>', '</xliff>');
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Read the translations of an XLIFF 2.0 document. Segments split by a CAT
+ * tool are joined again, a unit is translated when all its segments are. An
+ * empty target is untranslated, unless the English text is empty too.
+ *
+ * @param {string} content
+ * @returns {{ locale: string|null, entries: Array<{ key: string, target: string|null, translated: boolean }> }}
+ * @throws {Error} When the document isn't XLIFF 2.0
+ */
+const parseXliff = (content) => {
+  const xliff = parseXml(content).children.find((child) => typeof child !== 'string' && child.name === 'xliff');
+  if (!xliff || !/^2\./.test(xliff.attributes.version)) throw new Error('Not an XLIFF 2.0 document');
+
+  const entries = findElements(xliff, 'unit').map((unit) => {
+    const parts = unit.children.filter((child) => ['segment', 'ignorable'].includes(child.name));
+    const segments = parts.filter(({ name }) => name === 'segment');
+    const hasTarget = segments.some((segment) => findElements(segment, 'target').length > 0);
+    // Whitespace between segments is kept in ignorables, usually without a target
+    const texts = parts.map((part) => {
+      const [target] = findElements(part, 'target');
+      if (target) return getText(target);
+      const [source] = findElements(part, 'source');
+      return part.name === 'ignorable' && source ? getText(source) : '';
+    });
+    const source = parts.map((part) => findElements(part, 'source').map(getText).join('')).join('');
+    // Like an empty msgstr in PO, see parsePo
+    const isTranslated = hasTarget && (texts.join('') !== '' || source === '');
+    return {
+      key: unit.attributes.name ?? unit.attributes.id,
+      target: isTranslated ? texts.join('') : null,
+      translated:
+        isTranslated &&
+        segments.length > 0 &&
+        segments.every((segment) => TRANSLATED_STATES.includes(segment.attributes.state)),
+    };
+  });
+
+  return { locale: xliff.attributes.trgLang ?? null, entries };
+};
+
+module.exports = {
+  exportXliff,
+  parseXliff,
+};
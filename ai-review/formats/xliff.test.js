@@ -0,0 +1,137 @@
+const { exportXliff, parseXliff } = require('./xliff');
+
+describe('xliff tests', () => {
+  const units = [
+    { key: 'settings', source: 'Settings & co', target: 'Einstellungen', state: 'translated', group: null, notes: [] },
+    {
+      key: 'share',
+      source: 'Share <b>{{name}}</b>',
+      target: 'Teilen',
+      state: 'stale',
+      group: null,
+      notes: ['The English text changed since this was translated'],
+    },
+    {
+      key: 'charges_one',
+      source: 'One charge',
+      target: null,
+      state: 'untranslated',
+      group: { type: 'plural', name: 'charges' },
+      notes: ['Plural form "one", used for counts like 1'],
+    },
+    {
+      key: 'charges_other',
+      source: '{{count}} charges',
+      target: '{{count}} Ladungen',
+      state: 'translated',
+      group: { type: 'plural', name: 'charges' },
+      notes: [],
+    },
+    {
+      key: 'day_names[0]',
+      source: 'Sunday',
+      target: 'Sonntag',
+      state: 'translated',
+      group: { type: 'array', name: 'day_names' },
+      notes: [],
+    },
+  ];
+
+  describe('exportXliff', () => {
+    it('should write units, groups and their states', () => {
+      expect(exportXliff(units, { sourceLocale: 'en', targetLocale: 'de' })).toBe(
+        [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="de">',
+          '  <file id="de" xml:space="preserve">',
+          '    <unit id="settings">',
+          '      <segment state="translated">',
+          '        <source>Settings &amp; co</source>',
+          '        <target>Einstellungen</target>',
+          '      </segment>',
+          '    </unit>',
+          '    <unit id="share">',
+          '      <notes>',
+          '        <note>The English text changed since this was translated</note>',
+          '      </notes>',
+          '      <segment state="initial">',
+          '        <source>Share &lt;b&gt;{{name}}&lt;/b&gt;</source>',
+          '        <target>Teilen</target>',
+          '      </segment>',
+          '    </unit>',
+          '    <group id="plural.charges" name="charges" type="i18next:plural">',
+          '      <unit id="charges_one">',
+          '        <notes>',
+          '          <note>Plural form &quot;one&quot;, used for counts like 1</note>',
+          '        </notes>',
+          '        <segment state="initial">',
+          '          <source>One charge</source>',
+          '        </segment>',
+          '      </unit>',
+          '      <unit id="charges_other">',
+          '        <segment state="translated">',
+          '          <source>{{count}} charges</source>',
+          '          <target>{{count}} Ladungen</target>',
+          '        </segment>',
+          '      </unit>',
+          '    </group>',
+          '    <group id="array.day_names" name="day_names" type="i18next:array">',
+          '      <unit id="day_names.0" name="day_names[0]">',
+          '        <segment state="translated">',
+          '          <source>Sunday</source>',
+          '          <target>Sonntag</target>',
+          '        </segment>',
+          '      </unit>',
+          '    </group>',
+          '  </file>',
+          '</xliff>',
+          '',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('parseXliff', () => {
+    it('should read back exported files', () => {
+      expect(parseXliff(exportXliff(units, { sourceLocale: 'en', targetLocale: 'pt-BR' }))).toEqual({
+        locale: 'pt-BR',
+        entries: [
+          { key: 'settings', target: 'Einstellungen', translated: true },
+          { key: 'share', target: 'Teilen', translated: false },
+          { key: 'charges_one', target: null, translated: false },
+          { key: 'charges_other', target: '{{count}} Ladungen', translated: true },
+          { key: 'day_names[0]', target: 'Sonntag', translated: true },
+        ],
+      });
+    });
+
+    it('should join segments and read entities, CDATA and prefixed elements', () => {
+      const content = `<?xml version="1.0"?>
+<!-- Saved by a CAT tool -->
+<x:xliff xmlns:x="urn:oasis:names:tc:xliff:document:2.0" version="2.1" srcLang="en" trgLang="fr">
+  <x:file id="f1">
+    <x:unit id="intro">
+      <x:segment state="final"><x:source>One.</x:source><x:target>Un &amp; &#x263A;.</x:target></x:segment>
+      <x:ignorable><x:source> </x:source></x:ignorable>
+      <x:segment state='reviewed'><x:source>Two.</x:source><x:target><![CDATA[<b>Deux</b>.]]></x:target></x:segment>
+    </x:unit>
+    <x:unit id="empty"><x:segment><x:source>Empty</x:source><x:target/></x:segment></x:unit>
+  </x:file>
+</x:xliff>`;
+
+      expect(parseXliff(content)).toEqual({
+        locale: 'fr',
+        entries: [
+          { key: 'intro', target: 'Un & ☺. <b>Deux</b>.', translated: true },
+          { key: 'empty', target: null, translated: false },
+        ],
+      });
+    });
+
+    it('should reject other documents', () => {
+      expect(() => parseXliff('<xliff version="1.2"></xliff>')).toThrow('Not an XLIFF 2.0 document');
+      expect(() => parseXliff('<xliff version="2.0"><file>')).toThrow('<file> is not closed');
+      expect(() => parseXliff('<xliff version="2.0"></file>')).toThrow('Unexpected </file>');
+    });
+  });
+});
@@ -0,0 +1,202 @@
+const { escapeXml, parseXml, findElements, getText } = require('./xml');
+const { createZip, readZip } = require('./zip');
+
+/**
+ * XLSX (Office Open XML spreadsheets), with one worksheet of strings.
+ *
+ * Written files hold inline strings with a bold, frozen header row. Reading
+ * takes the first worksheet of a workbook saved by any spreadsheet application.
+ */
+
+const MAIN_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const CONTENT_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+
+// Cell formats of styles.xml: wrapped text aligned to the top, and bold for the header
+const CELL_STYLE = 0;
+const HEADER_STYLE = 1;
+
+const STYLES = `${XML_DECLARATION}
+<styleSheet xmlns="${MAIN_NAMESPACE}">
+<fonts count="2">
+<font><sz val="11"/><name val="Calibri"/></font>
+<font><b/><sz val="11"/><name val="Calibri"/></font>
+</fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0" applyAlignment="1">
+<alignment vertical="top" wrapText="1"/>
+</xf>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Column name of a zero-based index, e.g. 27 -> `AB`.
+ */
+const getColumnName = (index) =>
+  (index >= 26 ? getColumnName(Math.floor(index / 26) - 1) : '') + String.fromCharCode(65 + (index % 26));
+
+/**
+ * Zero-based column index of a cell reference, e.g. `AB12` -> 27.
+ */
+const getColumnIndex = (reference) =>
+  [.../^[A-Z]+/.exec(reference)[0]].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+const formatCell = (value, reference, style) =>
+  value === ''
+    ? ''
+    : `<c r="${reference}" s="${style}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+
+/**
+ * Create a workbook with one worksheet.
+ *
+ * @param {string[][]} rows - The first row is the header
+ * @param {{ sheetName?: string, columns?: Array<{ width?: number, hidden?: boolean }> }} options - Column layout
+ * @returns {Buffer}
+ */
+const createXlsx = (rows, { sheetName = 'Sheet1', columns = [] } = {}) => {
+  const cols = columns
+    .map(({ width = 10, hidden = false }, i) => {
+      const attributes = `min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"`;
+      return `<col ${attributes}${hidden ? ' hidden="1"' : ''}/>`;
+    })
+    .join('');
+  const sheetRows = rows.map((row, r) => {
+    const style = r === 0 ? HEADER_STYLE : CELL_STYLE;
+    const cells = row.map((value, c) => formatCell(value, `${getColumnName(c)}${r + 1}`, style)).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  });
+
+  const sheet = [
+    XML_DECLARATION,
+    `<worksheet xmlns="${MAIN_NAMESPACE}">`,
+    '<sheetViews><sheetView workbookViewId="0">',
+    '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>',
+    '</sheetView></sheetViews>',
+    cols ? `<cols>${cols}</cols>` : '',
+    `<sheetData>${sheetRows.join('\n')}</sheetData>`,
+    '</worksheet>',
+  ].join('\n');
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: [
+        XML_DECLARATION,
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+        `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>`,
+        '<Default Extension="xml" ContentType="application/xml"/>',
+        `<Override PartName="/xl/workbook.xml" ContentType="${CONTENT_TYPE}.sheet.main+xml"/>`,
+        `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="${CONTENT_TYPE}.worksheet+xml"/>`,
+        `<Override PartName="/xl/styles.xml" ContentType="${CONTENT_TYPE}.styles+xml"/>`,
+        '</Types>',
+      ].join('\n'),
+    },
+    {
+      name: '_rels/.rels',
+      content: [
+        XML_DECLARATION,
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NAMESPACE}">`,
+        `<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>`,
+        '</Relationships>',
+      ].join('\n'),
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: [
+        XML_DECLARATION,
+        `<workbook xmlns="${MAIN_NAMESPACE}" xmlns:r="${RELATIONSHIPS_NAMESPACE}">`,
+        `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`,
+        '</workbook>',
+      ].join('\n'),
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: [
+        XML_DECLARATION,
+        `<Relationships xmlns="${PACKAGE_RELATIONSHIPS_NAMESPACE}">`,
+        `<Relationship Id="rId1" Type="${RELATIONSHIPS_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>`,
+        `<Relationship Id="rId2" Type="${RELATIONSHIPS_NAMESPACE}/styles" Target="styles.xml"/>`,
+        '</Relationships>',
+      ].join('\n'),
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: sheet },
+    { name: 'xl/styles.xml', content: STYLES },
+  ]);
+};
+
+// Characters XML can't hold are written like `_x0001_`
+const decodeEscapes = (text) =>
+  text.replace(/_x([0-9A-Fa-f]{4})_/g, (escape, code) => String.fromCharCode(parseInt(code, 16)));
+
+/**
+ * Text of a shared or inline string, without the phonetic runs of East Asian text.
+ */
+const getStringText = (item) =>
+  decodeEscapes(
+    item.children
+      .map((child) => {
+        if (child.name === 't') return getText(child);
+        if (child.name === 'r') return findElements(child, 't').map(getText).join('');
+        return '';
+      })
+      .join('')
+  );
+
+const readXml = (files, name) => {
+  const content = files.get(name);
+  if (!content) throw new Error(`${name} is missing in the workbook`);
+  return parseXml(content.toString('utf-8'));
+};
+
+/**
+ * Read the first worksheet of a workbook.
+ *
+ * @param {Buffer} buffer
+ * @returns {string[][]} Rows of strings, empty rows are left out
+ * @throws {Error} When the file is no workbook
+ */
+const readXlsx = (buffer) => {
+  const files = readZip(buffer);
+
+  const [sheet] = findElements(readXml(files, 'xl/workbook.xml'), 'sheet');
+  if (!sheet) throw new Error('The workbook has no worksheets');
+  const relationships = findElements(readXml(files, 'xl/_rels/workbook.xml.rels'), 'Relationship');
+  const relationship = relationships.find(({ attributes }) => attributes.Id === sheet.attributes['r:id']);
+  const target = relationship?.attributes.Target ?? 'worksheets/sheet1.xml';
+  const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+
+  const sharedStrings = files.has('xl/sharedStrings.xml')
+    ? findElements(readXml(files, 'xl/sharedStrings.xml'), 'si').map(getStringText)
+    : [];
+
+  return findElements(readXml(files, sheetPath), 'row')
+    .map((row) => {
+      const values = [];
+      row.children
+        .filter((child) => child.name === 'c')
+        .forEach((cell, i) => {
+          const [value] = findElements(cell, 'v');
+          const [inline] = findElements(cell, 'is');
+          const index = cell.attributes.r ? getColumnIndex(cell.attributes.r) : i;
+          if (cell.attributes.t === 's') values[index] = sharedStrings[Number(getText(value))] ?? '';
+          else if (cell.attributes.t === 'inlineStr') values[index] = inline ? getStringText(inline) : '';
+          else if (cell.attributes.t === 'b') values[index] = value && getText(value) === '1' ? 'TRUE' : 'FALSE';
+          else values[index] = value ? decodeEscapes(getText(value)) : '';
+        });
+      return Array.from(values, (value) => value ?? '');
+    })
+    .filter((row) => row.some((value) => value !== ''));
+};
+
+module.exports = {
+  createXlsx,
+  readXlsx,
+};
@@ -0,0 +1,74 @@
+const { createZip, readZip } = require('./zip');
+const { createXlsx, readXlsx } = require('./xlsx');
+
+describe('xlsx tests', () => {
+  const rows = [
+    ['Key', 'English', 'de'],
+    ['share', 'Share <b>{{name}}</b> & more', ''],
+    ['address', 'Street\nCity', '  Straße'],
+  ];
+
+  describe('createXlsx', () => {
+    it('should write a workbook with a frozen header and column layout', () => {
+      const files = readZip(createXlsx(rows, { sheetName: 'Translations', columns: [{ width: 30 }, { hidden: true }] }));
+      const sheet = files.get('xl/worksheets/sheet1.xml').toString();
+
+      expect([...files.keys()]).toContain('[Content_Types].xml');
+      expect(files.get('xl/workbook.xml').toString()).toContain('<sheet name="Translations" sheetId="1" r:id="rId1"/>');
+      expect(sheet).toContain('state="frozen"');
+      expect(sheet).toContain(
+        '<cols><col min="1" max="1" width="30" customWidth="1"/><col min="2" max="2" width="10" customWidth="1" ' +
+          'hidden="1"/></cols>'
+      );
+      expect(sheet).toContain(
+        '<c r="B2" s="0" t="inlineStr"><is><t xml:space="preserve">Share &lt;b&gt;{{name}}&lt;/b&gt; &amp; more</t></is></c>'
+      );
+    });
+  });
+
+  describe('readXlsx', () => {
+    it('should read back created workbooks', () => {
+      expect(readXlsx(createXlsx(rows))).toEqual([rows[0], rows[1].slice(0, 2), rows[2]]);
+    });
+
+    it('should read shared strings, numbers and sparse cells of other applications', () => {
+      const workbook = createZip([
+        {
+          name: 'xl/workbook.xml',
+          content:
+            '<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            '<sheets><sheet name="Data" sheetId="1" r:id="rId7"/></sheets></workbook>',
+        },
+        {
+          name: 'xl/_rels/workbook.xml.rels',
+          content: '<Relationships><Relationship Id="rId7" Target="/xl/worksheets/data.xml"/></Relationships>',
+        },
+        {
+          name: 'xl/sharedStrings.xml',
+          content:
+            '<sst><si><t>Key</t></si><si><r><t>日本</t></r><rPh><t>にほん</t></rPh></si><si><t>a_x000D_b</t></si></sst>',
+        },
+        {
+          name: 'xl/worksheets/data.xml',
+          content:
+            '<worksheet><sheetData>' +
+            '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row>' +
+            '<row r="2"><c r="A2"/></row>' +
+            '<row r="3"><c r="A3"><v>42</v></c><c r="B3" t="b"><v>1</v></c><c r="D3" t="s"><v>2</v></c></row>' +
+            '</sheetData></worksheet>',
+        },
+      ]);
+
+      expect(readXlsx(workbook)).toEqual([
+        ['Key', '', '日本'],
+        ['42', 'TRUE', '', 'a\rb'],
+      ]);
+    });
+
+    it('should reject other archives', () => {
+      expect(() => readXlsx(createZip([{ name: 'a.txt', content: 'Hello' }]))).toThrow(
+        'xl/workbook.xml is missing in the workbook'
+      );
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Just enough XML for the exchange formats: escaping, and a parser for
+ * documents without DTDs, as written by translation tools and spreadsheets.
+ */
+
+const escapeXml = (value) =>
+  String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (entity, name) => {
+    if (name.startsWith('#x')) return String.fromCodePoint(parseInt(name.slice(2), 16));
+    if (name.startsWith('#')) return String.fromCodePoint(parseInt(name.slice(1), 10));
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[name];
+  });
+
+const ignoredPattern = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>/;
+const cdataPattern = /<!\[CDATA\[([\s\S]*?)\]\]>/;
+const tagPattern = /<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/;
+const tokenRegex = new RegExp(
+  [ignoredPattern, cdataPattern, tagPattern, /([^<]+)/].map(({ source }) => source).join('|'),
+  'g'
+);
+const attributeRegex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Parse XML to a tree of `{ name, attributes, children }` elements, with
+ * strings for text. Namespace prefixes are dropped from element names.
+ *
+ * @throws {Error} When elements aren't closed properly
+ */
+const parseXml = (content) => {
+  const root = { name: null, attributes: {}, children: [] };
+  const stack = [root];
+
+  for (const [token, cdata, closing, tag, attributes, selfClosing, text] of content.matchAll(tokenRegex)) {
+    const parent = stack.at(-1);
+    if (cdata !== undefined) {
+      parent.children.push(cdata);
+    } else if (text !== undefined) {
+      parent.children.push(decodeEntities(text));
+    } else if (tag === undefined) {
+      // Comments, declarations and doctypes are skipped
+    } else if (closing) {
+      if (parent.tag !== tag) throw new Error(`Unexpected ${token}`);
+      stack.pop();
+    } else {
+      const element = {
+        name: tag.split(':').pop(),
+        tag,
+        attributes: Object.fromEntries(
+          [...attributes.matchAll(attributeRegex)].map(([, name, double, single]) => [
+            name,
+            decodeEntities(double ?? single),
+          ])
+        ),
+        children: [],
+      };
+      parent.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`<${stack.at(-1).tag}> is not closed`);
+  return root;
+};
+
+const findElements = (element, name) =>
+  element.children.flatMap((child) =>
+    typeof child === 'string' ? [] : [...(child.name === name ? [child] : []), ...findElements(child, name)]
+  );
+
+const getText = (element) =>
+  element.children.map((child) => (typeof child === 'string' ? child : getText(child))).join('');
+
+module.exports = {
+  escapeXml,
+  parseXml,
+  findElements,
+  getText,
+};
@@ -0,0 +1,121 @@
+const zlib = require('zlib');
+
+/**
+ * Just enough ZIP for XLSX files, see
+ * https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ *
+ * Entries are stored or deflated, ZIP64 and encryption aren't supported.
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const STORED = 0;
+const DEFLATED = 8;
+
+// Bit 11 of the flags: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+/**
+ * Create a ZIP archive.
+ *
+ * @param {Array<{ name: string, content: string|Buffer }>} files
+ * @returns {Buffer}
+ */
+const createZip = (files) => {
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const { name, content } of files) {
+    const data = Buffer.from(content);
+    const compressed = zlib.deflateRawSync(data);
+    const fileName = Buffer.from(name);
+    // Fields shared by the local and the central header, from "version needed" to the file name length
+    const fields = Buffer.alloc(26);
+    fields.writeUInt16LE(20, 0);
+    fields.writeUInt16LE(UTF8_FLAG, 2);
+    fields.writeUInt16LE(DEFLATED, 4);
+    // Modification time and date 1980-01-01 00:00, so the same files make the same archive
+    fields.writeUInt16LE(0, 6);
+    fields.writeUInt16LE(0x21, 8);
+    fields.writeUInt32LE(zlib.crc32(data), 10);
+    fields.writeUInt32LE(compressed.length, 14);
+    fields.writeUInt32LE(data.length, 18);
+    fields.writeUInt16LE(fileName.length, 22);
+
+    const local = Buffer.alloc(4);
+    local.writeUInt32LE(LOCAL_HEADER);
+    parts.push(local, fields, fileName, compressed);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(CENTRAL_HEADER, 0);
+    header.writeUInt16LE(20, 4);
+    fields.copy(header, 6);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, fileName);
+
+    offset += local.length + fields.length + fileName.length + compressed.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...central, end]);
+};
+
+/**
+ * Read the files of a ZIP archive.
+ *
+ * @param {Buffer} buffer
+ * @returns {Map<string, Buffer>} Content by file name
+ * @throws {Error} When the archive is invalid or uses unsupported features
+ */
+const readZip = (buffer) => {
+  // The end of central directory record is followed by a comment of at most 64 KiB
+  const first = Math.max(0, buffer.length - 22 - 0xffff);
+  let end = buffer.length - 22;
+  while (end >= first && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) end--;
+  if (end < first) throw new Error('Not a ZIP archive');
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let position = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(position) !== CENTRAL_HEADER) throw new Error('Invalid ZIP central directory');
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    const name = buffer.toString('utf-8', position + 46, position + 46 + nameLength);
+
+    // The sizes of the local header may be in a data descriptor, the central directory has them
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    if (method === STORED) {
+      files.set(name, data);
+    } else if (method === DEFLATED) {
+      files.set(name, zlib.inflateRawSync(data));
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} of ${name}`);
+    }
+
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return files;
+};
+
+module.exports = {
+  createZip,
+  readZip,
+};
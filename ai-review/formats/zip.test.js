@@ -0,0 +1,46 @@
+const zlib = require('zlib');
+const { createZip, readZip } = require('./zip');
+
+describe('zip tests', () => {
+  it('should read back created archives', () => {
+    const files = readZip(
+      createZip([
+        { name: 'a.txt', content: 'Hello' },
+        { name: 'dir/ü.bin', content: Buffer.from([0, 1, 2]) },
+      ])
+    );
+
+    expect([...files.keys()]).toEqual(['a.txt', 'dir/ü.bin']);
+    expect(files.get('a.txt').toString()).toBe('Hello');
+    expect(files.get('dir/ü.bin')).toEqual(Buffer.from([0, 1, 2]));
+  });
+
+  it('should create the same archive from the same files', () => {
+    const files = [{ name: 'a.txt', content: 'Hello' }];
+
+    expect(createZip(files)).toEqual(createZip(files));
+  });
+
+  it('should read stored entries and skip comments', () => {
+    const archive = createZip([{ name: 'a.txt', content: 'Hello' }]);
+    // Replace the deflated data of the only entry by the stored text
+    const stored = Buffer.concat([archive.subarray(0, 35), Buffer.from('Hello')]);
+    stored.writeUInt16LE(0, 8);
+    stored.writeUInt32LE(5, 18);
+    const central = archive.subarray(35 + zlib.deflateRawSync('Hello').length);
+    const centralHeader = Buffer.from(central.subarray(0, 51));
+    centralHeader.writeUInt16LE(0, 10);
+    centralHeader.writeUInt32LE(5, 20);
+    const end = Buffer.from(central.subarray(51));
+    end.writeUInt32LE(stored.length, 16);
+    end.writeUInt16LE(7, 20);
+
+    expect(readZip(Buffer.concat([stored, centralHeader, end, Buffer.from('comment')])).get('a.txt').toString()).toBe(
+      'Hello'
+    );
+  });
+
+  it('should reject other files', () => {
+    expect(() => readZip(Buffer.from('not an archive at all, just text'))).toThrow('Not a ZIP archive');
+  });
+});
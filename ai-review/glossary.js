@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { getLocaleFromPath, MISSING_ENGLISH_SOURCE } = require('./utils');
+
+// Glossaries are read from the checked out base branch, like the prompt templates
+const GLOSSARY_DIR = path.resolve(__dirname, '..', '.glossary');
+
+// Entries of this file apply to every locale, e.g. brand names
+const GLOBAL_GLOSSARY_FILE = 'global.json';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Validate and normalize a glossary file:
+ * `{ "doNotTranslate": ["ABRP"], "terms": { "Waypoint": "Wegpunkt" | ["Wegpunkt", ...] }, "identicalKeys": ["ok"] }`
+ *
+ * `identicalKeys` lists keys whose translation is legitimately the same as the English source.
+ */
+const normalizeGlossary = (json, name) => {
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error(`Glossary ${name} must be a JSON object`);
+  }
+
+  const { doNotTranslate = [], terms = {}, identicalKeys = [] } = json;
+  for (const [field, list] of Object.entries({ doNotTranslate, identicalKeys })) {
+    if (!Array.isArray(list) || list.some((entry) => typeof entry !== 'string')) {
+      throw new Error(`"${field}" in glossary ${name} must be an array of strings`);
+    }
+  }
+  if (!terms || typeof terms !== 'object' || Array.isArray(terms)) {
+    throw new Error(`"terms" in glossary ${name} must be an object`);
+  }
+
+  const normalizedTerms = {};
+  for (const [term, translations] of Object.entries(terms)) {
+    const list = Array.isArray(translations) ? translations : [translations];
+    if (list.length === 0 || list.some((translation) => typeof translation !== 'string' || translation === '')) {
+      throw new Error(`Approved translations of "${term}" in glossary ${name} must be non-empty strings`);
+    }
+    normalizedTerms[term] = list;
+  }
+
+  return { ...json, doNotTranslate, terms: normalizedTerms, identicalKeys };
+};
+
+/**
+ * Load the global glossary and all per-locale glossaries, named after the
+ * locale file they apply to (`.glossary/de.json` for `de.json`).
+ *
+ * @param {string} dir - Directory holding the glossaries
+ * @returns {{ global: Object, locales: Object<string, Object> }}
+ */
+const loadGlossaries = (dir = GLOSSARY_DIR) => {
+  const glossaries = { global: normalizeGlossary({}, GLOBAL_GLOSSARY_FILE), locales: {} };
+  if (!fs.existsSync(dir)) return glossaries;
+
+  for (const name of fs.readdirSync(dir).sort()) {
+    const locale = getLocaleFromPath(name);
+    if (name !== GLOBAL_GLOSSARY_FILE && !locale) continue;
+
+    const glossary = normalizeGlossary(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf-8')), name);
+    if (name === GLOBAL_GLOSSARY_FILE) {
+      glossaries.global = glossary;
+    } else {
+      glossaries.locales[locale] = glossary;
+    }
+  }
+
+  return glossaries;
+};
+
+/**
+ * Get the glossary of a locale, merged with the global one.
+ */
+const getGlossary = (glossaries, locale) => {
+  const localGlossary = glossaries.locales[locale] || { doNotTranslate: [], terms: {}, identicalKeys: [] };
+  return {
+    doNotTranslate: [...new Set([...glossaries.global.doNotTranslate, ...localGlossary.doNotTranslate])],
+    terms: { ...glossaries.global.terms, ...localGlossary.terms },
+    identicalKeys: [...new Set([...glossaries.global.identicalKeys, ...localGlossary.identicalKeys])],
+  };
+};
+
+/**
+ * Find the glossary entries used by an English source string.
+ *
+ * Terms match case-insensitively at the start of a word, so "Waypoint" also
+ * covers "waypoints". Do-not-translate terms are brand names and match exactly.
+ *
+ * @returns {{ terms: Array<{ term: string, translations: string[] }>, doNotTranslate: string[] }}
+ */
+const findGlossaryTerms = (englishValue, glossary) => {
+  if (typeof englishValue !== 'string' || englishValue === MISSING_ENGLISH_SOURCE) {
+    return { terms: [], doNotTranslate: [] };
+  }
+
+  return {
+    terms: Object.entries(glossary.terms)
+      .filter(([term]) => new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}`, 'iu').test(englishValue))
+      .map(([term, translations]) => ({ term, translations })),
+    doNotTranslate: glossary.doNotTranslate.filter((term) =>
+      new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`, 'u').test(englishValue)
+    ),
+  };
+};
+
+/**
+ * Check a translation against the glossary terms its English source uses.
+ *
+ * @returns {string[]} Human readable problems, empty when the glossary is followed
+ */
+const checkGlossary = (englishValue, translatedValue, glossary, locale) => {
+  const { terms, doNotTranslate } = findGlossaryTerms(englishValue, glossary);
+  const translation = String(translatedValue).toLocaleLowerCase(locale);
+  const problems = [];
+
+  for (const { term, translations } of terms) {
+    const used = translations.some((approved) => translation.includes(approved.toLocaleLowerCase(locale)));
+    if (!used) {
+      problems.push(`"${term}" should be translated as ${translations.map((approved) => `"${approved}"`).join(' or ')}`);
+    }
+  }
+
+  for (const term of doNotTranslate) {
+    if (!String(translatedValue).includes(term)) {
+      problems.push(`"${term}" must not be translated`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Deterministic glossary check for the entries returned by `getTranslationChanges`.
+ * Terminology is a preference, the issues are warnings that don't fail the check run.
+ *
+ * @param {Array} changes - Changed translation entries
+ * @param {Object} glossaries - See loadGlossaries
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string, severity: string }>}
+ */
+const validateGlossary = (changes, glossaries) => {
+  const issues = [];
+
+  for (const change of changes) {
+    const locale = getLocaleFromPath(change.file);
+    if (!locale) continue;
+
+    const problems = checkGlossary(change.englishValue, change.newValue, getGlossary(glossaries, locale), locale);
+    if (problems.length > 0) {
+      issues.push({
+        filePath: change.file,
+        lineContent: change.line,
+        comment: `⚠️ **Glossary**:\n${problems.map((problem) => `- ${problem}`).join('\n')}`,
+        check: 'glossary',
+        severity: 'warning',
+      });
+    }
+  }
+
+  return issues;
+};
+
+/**
+ * Describe the glossary entries used by a batch of changes, as context for the AI review.
+ *
+ * @returns {string} Markdown list, empty when no glossary term is used
+ */
+const formatGlossaryForPrompt = (changes, glossary) => {
+  const terms = new Map();
+  const doNotTranslate = new Set();
+
+  for (const change of changes) {
+    const found = findGlossaryTerms(change.englishValue, glossary);
+    found.terms.forEach(({ term, translations }) => terms.set(term, translations));
+    found.doNotTranslate.forEach((term) => doNotTranslate.add(term));
+  }
+
+  return [
+    ...[...terms].map(([term, translations]) => `- "${term}": ${translations.map((t) => `"${t}"`).join(' or ')}`),
+    ...[...doNotTranslate].map((term) => `- "${term}": never translated`),
+  ].join('\n');
+};
+
+module.exports = {
+  GLOSSARY_DIR,
+  normalizeGlossary,
+  loadGlossaries,
+  getGlossary,
+  findGlossaryTerms,
+  checkGlossary,
+  validateGlossary,
+  formatGlossaryForPrompt,
+};
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  normalizeGlossary,
+  loadGlossaries,
+  getGlossary,
+  findGlossaryTerms,
+  checkGlossary,
+  validateGlossary,
+  formatGlossaryForPrompt,
+} = require('./glossary');
+
+describe('glossary tests', () => {
+  const glossaries = {
+    global: { doNotTranslate: ['ABRP'], terms: {}, identicalKeys: ['tronity'] },
+    locales: {
+      de: {
+        doNotTranslate: ['Premium'],
+        terms: { Waypoint: ['Wegpunkt'], 'Live Data': ['Live-Daten'] },
+        identicalKeys: ['hybrid'],
+      },
+    },
+  };
+
+  describe('normalizeGlossary', () => {
+    it('should turn single translations into lists', () => {
+      expect(normalizeGlossary({ terms: { Waypoint: 'Wegpunkt' } }, 'de.json')).toEqual({
+        doNotTranslate: [],
+        terms: { Waypoint: ['Wegpunkt'] },
+        identicalKeys: [],
+      });
+    });
+
+    it('should reject invalid glossaries', () => {
+      expect(() => normalizeGlossary([], 'de.json')).toThrow('Glossary de.json must be a JSON object');
+      expect(() => normalizeGlossary({ doNotTranslate: 'ABRP' }, 'x')).toThrow('"doNotTranslate" in glossary x');
+      expect(() => normalizeGlossary({ terms: { Waypoint: [] } }, 'x')).toThrow('Approved translations of "Waypoint"');
+      expect(() => normalizeGlossary({ identicalKeys: [1] }, 'x')).toThrow('"identicalKeys" in glossary x');
+    });
+  });
+
+  describe('loadGlossaries', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'glossary-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load the global and per-locale glossaries', () => {
+      fs.writeFileSync(path.join(dir, 'global.json'), '{"doNotTranslate": ["ABRP"]}');
+      fs.writeFileSync(path.join(dir, 'pt-br.json'), '{"terms": {"Waypoint": "Ponto de passagem"}}');
+      fs.writeFileSync(path.join(dir, 'README.md'), 'Not a glossary');
+
+      expect(loadGlossaries(dir)).toEqual({
+        global: { doNotTranslate: ['ABRP'], terms: {}, identicalKeys: [] },
+        locales: { 'pt-BR': { doNotTranslate: [], terms: { Waypoint: ['Ponto de passagem'] }, identicalKeys: [] } },
+      });
+    });
+
+    it('should return empty glossaries when the directory does not exist', () => {
+      expect(loadGlossaries(path.join(dir, 'missing'))).toEqual({
+        global: { doNotTranslate: [], terms: {}, identicalKeys: [] },
+        locales: {},
+      });
+    });
+
+    it('should load the glossaries shipped in the repository', () => {
+      const shipped = loadGlossaries();
+      expect(shipped.global.doNotTranslate).toContain('ABRP');
+      expect(shipped.locales.de.terms.Waypoint).toEqual(['Wegpunkt']);
+    });
+  });
+
+  describe('getGlossary', () => {
+    it('should merge the global glossary into the locale one', () => {
+      expect(getGlossary(glossaries, 'de').doNotTranslate).toEqual(['ABRP', 'Premium']);
+      expect(getGlossary(glossaries, 'de').identicalKeys).toEqual(['tronity', 'hybrid']);
+      expect(getGlossary(glossaries, 'fr')).toEqual({ doNotTranslate: ['ABRP'], terms: {}, identicalKeys: ['tronity'] });
+    });
+  });
+
+  describe('findGlossaryTerms', () => {
+    const glossary = getGlossary(glossaries, 'de');
+
+    it('should match terms case-insensitively at word starts', () => {
+      expect(findGlossaryTerms('Add waypoints and live data', glossary).terms.map(({ term }) => term)).toEqual([
+        'Waypoint',
+        'Live Data',
+      ]);
+    });
+
+    it('should not match terms inside other words', () => {
+      expect(findGlossaryTerms('Midwaypoint', glossary).terms).toEqual([]);
+    });
+
+    it('should match do-not-translate terms exactly', () => {
+      expect(findGlossaryTerms('ABRP Premium', glossary).doNotTranslate).toEqual(['ABRP', 'Premium']);
+      expect(findGlossaryTerms('premium quality, ABRPs', glossary).doNotTranslate).toEqual([]);
+    });
+
+    it('should ignore missing English sources', () => {
+      expect(findGlossaryTerms('(no English source found)', glossary)).toEqual({ terms: [], doNotTranslate: [] });
+    });
+  });
+
+  describe('checkGlossary', () => {
+    const glossary = getGlossary(glossaries, 'de');
+
+    it('should accept approved renderings including inflections', () => {
+      expect(checkGlossary('Remove waypoints', 'Wegpunkte entfernen', glossary, 'de')).toEqual([]);
+    });
+
+    it('should report other renderings of terms', () => {
+      expect(checkGlossary('Add a waypoint', 'Zwischenziel hinzufügen', glossary, 'de')).toEqual([
+        '"Waypoint" should be translated as "Wegpunkt"',
+      ]);
+    });
+
+    it('should report translated brand names', () => {
+      expect(checkGlossary('Get ABRP Premium', 'Hol dir ABRP Prämie', glossary, 'de')).toEqual([
+        '"Premium" must not be translated',
+      ]);
+    });
+  });
+
+  describe('validateGlossary', () => {
+    it('should create inline issues', () => {
+      const issues = validateGlossary(
+        [
+          {
+            file: 'de.json',
+            key: 'waypoint',
+            newValue: 'Zwischenziel',
+            oldValue: 'Wegpunkt',
+            englishValue: 'Waypoint',
+            line: '  "waypoint": "Zwischenziel",',
+          },
+        ],
+        glossaries
+      );
+
+      expect(issues).toEqual([
+        {
+          filePath: 'de.json',
+          lineContent: '  "waypoint": "Zwischenziel",',
+          comment: '⚠️ **Glossary**:\n- "Waypoint" should be translated as "Wegpunkt"',
+          check: 'glossary',
+          severity: 'warning',
+        },
+      ]);
+    });
+  });
+
+  describe('formatGlossaryForPrompt', () => {
+    it('should list the entries used by the changes once', () => {
+      const changes = [{ englishValue: 'Waypoint' }, { englishValue: 'Remove waypoint from ABRP' }];
+      expect(formatGlossaryForPrompt(changes, getGlossary(glossaries, 'de'))).toBe(
+        '- "Waypoint": "Wegpunkt"\n- "ABRP": never translated'
+      );
+    });
+
+    it('should return an empty string without glossary terms', () => {
+      expect(formatGlossaryForPrompt([{ englishValue: 'Settings' }], getGlossary(glossaries, 'de'))).toBe('');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+const { buildKeyLineIndex } = require('./lines');
+
+// Hidden marker in the review body recording the head commit that was reviewed
+const reviewedShaRegex = /<!-- ai-review:reviewed-sha=([0-9a-f]{7,40}) -->/;
+
+const formatReviewedShaMarker = (sha) => `<!-- ai-review:reviewed-sha=${sha} -->`;
+
+/**
+ * Find the head commit of the latest review posted by the bot.
+ *
+ * @param {Array} reviews - Pull request reviews, oldest first like the GitHub API returns them
+ * @param {string} username - Login of the bot
+ * @returns {string|null}
+ */
+const findLastReviewedSha = (reviews, username) => {
+  for (const review of [...reviews].reverse()) {
+    const match = review.user?.login === username ? reviewedShaRegex.exec(review.body || '') : null;
+    if (match) return match[1];
+  }
+  return null;
+};
+
+/**
+ * Get the commit to review the pull request from: the head of the last bot
+ * review, as long as it's still part of the pull request. After a force push
+ * or without an earlier review the whole pull request is reviewed again.
+ *
+ * @param {Object} gitHubContext - Octokit client and pull request coordinates
+ * @param {string} headSha - Current head of the pull request
+ * @param {string} username - Login of the bot
+ * @returns {Promise<string|null>} The commit, `headSha` when it was already reviewed, or null for a full review
+ */
+const getIncrementalBase = async ({ octokit, owner, repo, pullNumber }, headSha, username) => {
+  // Reviews come oldest first, the latest marker is on the last page
+  const reviews = await octokit.paginate(octokit.pulls.listReviews, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const lastSha = findLastReviewedSha(reviews, username);
+  if (!lastSha || lastSha === headSha) return lastSha;
+
+  try {
+    const { data: comparison } = await octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${lastSha}...${headSha}`,
+      per_page: 1,
+    });
+    return comparison.status === 'ahead' ? lastSha : null;
+  } catch (err) {
+    // The commit is gone after a force push
+    console.warn(`Last reviewed commit ${lastSha} is not available, reviewing the whole pull request`, err.message);
+    return null;
+  }
+};
+
+/**
+ * Split earlier bot comments into the ones that still apply and the outdated
+ * ones: GitHub couldn't place them on the current head anymore (their line
+ * changed), or they are anchored at an entry that is reviewed again now.
+ *
+ * @param {Array} comments - Review comments of the pull request
+ * @param {string} username - Login of the bot
+ * @param {Array} changes - Translation changes under review, see `getTranslationChanges`
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @returns {{ kept: Array, outdated: Array }}
+ */
+const partitionComments = (comments, username, changes, fileContents) => {
+  const changedLines = new Map();
+  for (const { path, content } of fileContents) {
+    const keyLines = buildKeyLineIndex(content);
+    const lines = new Set(changes.filter(({ file }) => file === path).map(({ key }) => keyLines.get(key)));
+    changedLines.set(path, lines);
+  }
+
+  const kept = [];
+  const outdated = [];
+  for (const comment of comments) {
+    if (comment.user?.login !== username) continue;
+    const reviewedAgain = changedLines.get(comment.path)?.has(comment.line);
+    if (comment.line === null || comment.line === undefined || reviewedAgain) {
+      outdated.push(comment);
+    } else {
+      kept.push(comment);
+    }
+  }
+  return { kept, outdated };
+};
+
+const reviewThreadsQuery = `query($owner: String!, $repo: String!, $pullNumber: Int!, $after: String) {
+  repository(owner: $owner, name: $repo) {
+    pullRequest(number: $pullNumber) {
+      reviewThreads(first: 100, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        nodes { id isResolved comments(first: 1) { nodes { databaseId } } }
+      }
+    }
+  }
+}`;
+
+const resolveThreadMutation = `mutation($threadId: ID!) {
+  resolveReviewThread(input: { threadId: $threadId }) { thread { id } }
+}`;
+
+/**
+ * Resolve the review threads started by the given comments. Review threads are
+ * only available through the GraphQL API.
+ *
+ * @param {Object} gitHubContext - Octokit client and pull request coordinates
+ * @param {number[]} commentIds - REST ids of the first comment of each thread
+ * @returns {Promise<number>} Number of resolved threads
+ */
+const resolveReviewThreads = async ({ octokit, owner, repo, pullNumber }, commentIds) => {
+  if (commentIds.length === 0) return 0;
+
+  const ids = new Set(commentIds);
+  const threadIds = [];
+  let after = null;
+  do {
+    const { repository } = await octokit.graphql(reviewThreadsQuery, {
+      owner,
+      repo,
+      pullNumber: Number(pullNumber),
+      after,
+    });
+    const { nodes, pageInfo } = repository.pullRequest.reviewThreads;
+    for (const thread of nodes) {
+      if (!thread.isResolved && ids.has(thread.comments.nodes[0]?.databaseId)) {
+        threadIds.push(thread.id);
+      }
+    }
+    after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (after);
+
+  await Promise.all(threadIds.map((threadId) => octokit.graphql(resolveThreadMutation, { threadId })));
+  return threadIds.length;
+};
+
+/**
+ * Leave out new findings that an earlier comment on the same line already reports.
+ */
+const filterKnownIssues = (issues, keptComments) =>
+  issues.filter(
+    (issue) =>
+      !keptComments.some(
+        (comment) => comment.path === issue.filePath && comment.line === issue.lineNumber && comment.body === issue.comment
+      )
+  );
+
+module.exports = {
+  formatReviewedShaMarker,
+  findLastReviewedSha,
+  getIncrementalBase,
+  partitionComments,
+  resolveReviewThreads,
+  filterKnownIssues,
+};
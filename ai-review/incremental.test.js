@@ -0,0 +1,167 @@
+const {
+  formatReviewedShaMarker,
+  findLastReviewedSha,
+  getIncrementalBase,
+  partitionComments,
+  resolveReviewThreads,
+  filterKnownIssues,
+} = require('./incremental');
+
+describe('incremental review tests', () => {
+  const bot = { login: 'github-actions[bot]' };
+  const sha1 = 'a'.repeat(40);
+  const sha2 = 'b'.repeat(40);
+
+  describe('findLastReviewedSha', () => {
+    it('should return the commit of the latest bot review', () => {
+      const reviews = [
+        { user: bot, body: `First\n${formatReviewedShaMarker(sha1)}` },
+        { user: bot, body: `Second\n${formatReviewedShaMarker(sha2)}` },
+        { user: bot, body: 'Failed review without marker' },
+      ];
+      expect(findLastReviewedSha(reviews, bot.login)).toBe(sha2);
+    });
+
+    it('should ignore markers of other users', () => {
+      const reviews = [{ user: { login: 'someone' }, body: formatReviewedShaMarker(sha1) }];
+      expect(findLastReviewedSha(reviews, bot.login)).toBeNull();
+    });
+  });
+
+  describe('getIncrementalBase', () => {
+    // Like octokit.paginate, requests pages until one isn't full
+    const paginate = async (method, params) => {
+      const items = [];
+      for (let page = 1; ; page++) {
+        const { data } = await method({ ...params, page });
+        items.push(...data);
+        if (data.length < params.per_page) return items;
+      }
+    };
+    const createContext = (reviews, compare) => ({
+      octokit: {
+        paginate,
+        pulls: {
+          listReviews: jest.fn(async ({ page = 1, per_page: perPage = 30 }) => ({
+            data: reviews.slice((page - 1) * perPage, page * perPage),
+          })),
+        },
+        repos: { compareCommitsWithBasehead: jest.fn(compare) },
+      },
+      owner: 'owner',
+      repo: 'repo',
+      pullNumber: 1,
+    });
+    const reviewed = [{ user: bot, body: formatReviewedShaMarker(sha1) }];
+
+    it('should start from the last reviewed commit when the head is ahead of it', async () => {
+      const context = createContext(reviewed, async () => ({ data: { status: 'ahead' } }));
+      await expect(getIncrementalBase(context, sha2, bot.login)).resolves.toBe(sha1);
+      expect(context.octokit.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: `${sha1}...${sha2}` })
+      );
+    });
+
+    it('should find the marker on later pages of reviews', async () => {
+      const reviews = Array.from({ length: 150 }, (_, i) => ({ user: { login: 'someone' }, body: `Review ${i}` }));
+      reviews[120] = { user: bot, body: formatReviewedShaMarker(sha2) };
+      const context = createContext(reviews);
+
+      await expect(getIncrementalBase(context, sha2, bot.login)).resolves.toBe(sha2);
+      expect(context.octokit.pulls.listReviews).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the head when it was already reviewed', async () => {
+      const context = createContext(reviewed);
+      await expect(getIncrementalBase(context, sha1, bot.login)).resolves.toBe(sha1);
+    });
+
+    it('should review everything without an earlier review', async () => {
+      const context = createContext([]);
+      await expect(getIncrementalBase(context, sha2, bot.login)).resolves.toBeNull();
+    });
+
+    it('should review everything when the history was rewritten', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const diverged = createContext(reviewed, async () => ({ data: { status: 'diverged' } }));
+      await expect(getIncrementalBase(diverged, sha2, bot.login)).resolves.toBeNull();
+
+      const missing = createContext(reviewed, async () => {
+        throw new Error('Not Found');
+      });
+      await expect(getIncrementalBase(missing, sha2, bot.login)).resolves.toBeNull();
+      console.warn.mockRestore();
+    });
+  });
+
+  describe('partitionComments', () => {
+    const fileContents = [{ path: 'de.json', content: '{\n  "a": "x",\n  "b": "y"\n}' }];
+
+    it('should mark comments on changed entries and detached comments as outdated', () => {
+      const comments = [
+        { id: 1, user: bot, path: 'de.json', line: 2 },
+        { id: 2, user: bot, path: 'de.json', line: 3 },
+        { id: 3, user: bot, path: 'de.json', line: null },
+        { id: 4, user: bot, path: 'fr.json', line: 3 },
+        { id: 5, user: { login: 'someone' }, path: 'de.json', line: 3 },
+      ];
+      const { kept, outdated } = partitionComments(comments, bot.login, [{ file: 'de.json', key: 'b' }], fileContents);
+
+      expect(kept.map(({ id }) => id)).toEqual([1, 4]);
+      expect(outdated.map(({ id }) => id)).toEqual([2, 3]);
+    });
+  });
+
+  describe('resolveReviewThreads', () => {
+    it('should resolve the open threads of the comments across pages', async () => {
+      const pages = [
+        {
+          pageInfo: { hasNextPage: true, endCursor: 'c1' },
+          nodes: [
+            { id: 'T1', isResolved: false, comments: { nodes: [{ databaseId: 1 }] } },
+            { id: 'T2', isResolved: false, comments: { nodes: [{ databaseId: 2 }] } },
+          ],
+        },
+        {
+          pageInfo: { hasNextPage: false, endCursor: null },
+          nodes: [
+            { id: 'T3', isResolved: true, comments: { nodes: [{ databaseId: 3 }] } },
+            { id: 'T4', isResolved: false, comments: { nodes: [{ databaseId: 4 }] } },
+          ],
+        },
+      ];
+      const graphql = jest.fn(async (query, { after }) =>
+        query.startsWith('query')
+          ? { repository: { pullRequest: { reviewThreads: pages[after ? 1 : 0] } } }
+          : { resolveReviewThread: {} }
+      );
+      const context = { octokit: { graphql }, owner: 'owner', repo: 'repo', pullNumber: '1' };
+
+      await expect(resolveReviewThreads(context, [1, 3, 4])).resolves.toBe(2);
+
+      expect(graphql.mock.calls[0][1]).toMatchObject({ pullNumber: 1, after: null });
+      expect(graphql.mock.calls[1][1]).toMatchObject({ after: 'c1' });
+      const mutations = graphql.mock.calls.filter(([query]) => query.startsWith('mutation'));
+      expect(mutations.map(([, { threadId }]) => threadId)).toEqual(['T1', 'T4']);
+    });
+
+    it('should not query GitHub without comments', async () => {
+      const graphql = jest.fn();
+      await expect(resolveReviewThreads({ octokit: { graphql } }, [])).resolves.toBe(0);
+      expect(graphql).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('filterKnownIssues', () => {
+    it('should drop issues that an earlier comment already reports', () => {
+      const issues = [
+        { filePath: 'de.json', lineNumber: 2, comment: 'Typo' },
+        { filePath: 'de.json', lineNumber: 2, comment: 'Another remark' },
+        { filePath: 'de.json', lineNumber: -1, comment: 'Typo' },
+      ];
+      const kept = [{ path: 'de.json', line: 2, body: 'Typo' }];
+
+      expect(filterKnownIssues(issues, kept)).toEqual(issues.slice(1));
+    });
+  });
+});
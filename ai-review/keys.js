@@ -0,0 +1,229 @@
+const { getLocaleFromPath } = require('./utils');
+const { splitPluralKey, getPluralGroups, getExpectedKeys } = require('./plurals');
+const { getSyncedKeys } = require('./sync');
+
+/**
+ * List the top-level keys of a JSON object in file order, including
+ * duplicates that `JSON.parse` silently collapses.
+ *
+ * @param {string} content - JSON text
+ * @returns {Array<{ key: string, lineNumber: number, endLineNumber: number, line: string }>}
+ *   `lineNumber` and `endLineNumber` are the 1-based first and last line of the
+ *   entry, `line` holds the source lines of the entry
+ */
+const parseKeys = (content) => {
+  const lines = content.split('\n');
+  const keys = [];
+  let depth = 0;
+  let lineNumber = 1;
+  let expectKey = false;
+  let current = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    const closesEntry = depth === 1 && (char === ',' || char === '}');
+    if (current && !expectKey && !closesEntry && !/\s/.test(char)) {
+      current.endLineNumber = lineNumber;
+    }
+
+    if (char === '\n') {
+      lineNumber++;
+    } else if (char === '"') {
+      const start = i;
+      for (i++; i < content.length && content[i] !== '"'; i++) {
+        if (content[i] === '\\') i++;
+      }
+      if (depth === 1 && expectKey) {
+        current = { key: JSON.parse(content.slice(start, i + 1)), lineNumber, endLineNumber: lineNumber };
+        keys.push(current);
+        expectKey = false;
+      }
+    } else if (char === '{' || char === '[') {
+      depth++;
+      expectKey = depth === 1 && char === '{';
+    } else if (char === '}' || char === ']') {
+      depth--;
+    } else if (char === ',' && depth === 1) {
+      expectKey = true;
+    }
+  }
+
+  return keys.map((entry) => ({ ...entry, line: lines.slice(entry.lineNumber - 1, entry.endLineNumber).join('\n') }));
+};
+
+/**
+ * Keys whose position relative to the other keys changed, found as the keys
+ * outside the longest run that kept its order.
+ */
+const findMovedKeys = (baseKeys, headKeys) => {
+  const baseIndex = new Map(baseKeys.map((key, index) => [key, index]));
+  const common = headKeys.filter((key) => baseIndex.has(key));
+
+  // Longest increasing subsequence of the base positions, O(n log n)
+  const tails = [];
+  const previous = new Array(common.length);
+  for (let i = 0; i < common.length; i++) {
+    const position = baseIndex.get(common[i]);
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (baseIndex.get(common[tails[middle]]) < position) low = middle + 1;
+      else high = middle;
+    }
+    previous[i] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = i;
+  }
+
+  const kept = new Set();
+  for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+    kept.add(common[i]);
+  }
+  return common.filter((key) => !kept.has(key));
+};
+
+/**
+ * Compare the keys of a locale file before and after a change against the
+ * English source. Only problems introduced by the change are reported, as
+ * existing files neither follow the key order of en.json nor are free of
+ * orphaned keys.
+ *
+ * - deleted: key of the old version that's gone, while English still has it
+ * - added: new key that's neither in English nor a plural form the locale needs
+ * - renamed: a deleted and an added key with the same value or position
+ * - duplicated: key that occurs more often than before
+ * - moved: key whose position changed and now breaks the key order of en.json,
+ *   so putting a file in the order of en.json (see sync.js) is no move
+ *
+ * @param {Object} englishTranslations - Parsed en.json of the pull request head
+ * @param {string|null} baseContent - Old version of the locale file, null for a new file
+ * @param {string} headContent - New version of the locale file
+ * @param {string} locale - BCP 47 locale of the file
+ * @returns {{ deleted: Array, added: Array, renamed: Array, duplicated: Array, moved: Array }}
+ *   Entries are `{ key, line }`, renamed entries are `{ from, to, line }`
+ */
+const checkKeyIntegrity = (englishTranslations, baseContent, headContent, locale) => {
+  const baseKeys = baseContent ? parseKeys(baseContent) : [];
+  const headKeys = parseKeys(headContent);
+  const baseValues = baseContent ? JSON.parse(baseContent) : {};
+  const headValues = JSON.parse(headContent);
+
+  const pluralGroups = getPluralGroups(englishTranslations);
+  const expected = getExpectedKeys(englishTranslations, locale, pluralGroups);
+  const isKnownKey = (key) => {
+    const plural = splitPluralKey(key);
+    return (
+      key in englishTranslations || expected.has(key) || Boolean(plural && plural.category === 'zero' && pluralGroups.has(plural.base))
+    );
+  };
+
+  const baseKeyNames = new Set(baseKeys.map(({ key }) => key));
+  const headKeyNames = new Set(headKeys.map(({ key }) => key));
+
+  let deleted = baseKeys.filter(({ key }) => !headKeyNames.has(key) && key in englishTranslations);
+  let added = headKeys.filter(({ key }) => !baseKeyNames.has(key) && !isKnownKey(key));
+  const renamed = [];
+
+  // A rename shows up as a deleted and an added key, pair them up by value, then by position
+  const baseOrder = baseKeys.map(({ key }) => key);
+  const headOrder = headKeys.map(({ key }) => key);
+  const precedingKey = (order, key) => order[order.indexOf(key) - 1];
+  for (const entry of [...added]) {
+    const match =
+      deleted.find(({ key }) => baseValues[key] === headValues[entry.key]) ||
+      deleted.find(({ key }) => precedingKey(baseOrder, key) === precedingKey(headOrder, entry.key));
+    if (match) {
+      renamed.push({ from: match.key, to: entry.key, line: entry.line });
+      deleted = deleted.filter((candidate) => candidate !== match);
+      added = added.filter((candidate) => candidate !== entry);
+    }
+  }
+
+  const countKeys = (keys) => keys.reduce((counts, { key }) => counts.set(key, (counts.get(key) || 0) + 1), new Map());
+  const baseCounts = countKeys(baseKeys);
+  const headCounts = countKeys(headKeys);
+  const duplicated = [];
+  for (const [key, count] of headCounts) {
+    if (count > 1 && count > (baseCounts.get(key) || 0)) {
+      duplicated.push({ key, line: headKeys.filter((entry) => entry.key === key).pop().line });
+    }
+  }
+
+  // Only keys that ended up next to a key they don't follow or precede in en.json count as moved
+  const englishIndex = new Map(getSyncedKeys(englishTranslations, headValues, locale).map((key, i) => [key, i]));
+  const ordered = [...new Set(headOrder)].filter((key) => englishIndex.has(key));
+  const breaksOrder = (key) => {
+    const i = ordered.indexOf(key);
+    const index = englishIndex.get(key);
+    return englishIndex.get(ordered[i - 1]) > index || englishIndex.get(ordered[i + 1]) < index;
+  };
+  const moved = findMovedKeys([...new Set(baseOrder)], [...new Set(headOrder)])
+    .filter((key) => englishIndex.has(key) && breaksOrder(key))
+    .map((key) => ({ key, line: headKeys.find((entry) => entry.key === key).line }));
+
+  return {
+    deleted: deleted.map(({ key, line }) => ({ key, line })),
+    added: added.map(({ key, line }) => ({ key, line })),
+    renamed,
+    duplicated,
+    moved,
+  };
+};
+
+const formatIssue = (filePath, lineContent, problem, sourceFile) => ({
+  filePath,
+  lineContent,
+  comment: `❌ **Key integrity**: ${problem}. Keys are defined by \`${sourceFile}\` and must not be changed in translations.`,
+  check: 'keys',
+});
+
+/**
+ * Structural check of all touched locale files, see checkKeyIntegrity.
+ *
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @param {Array<{ path: string, content: string|null }>} baseContents - Versions at the merge base
+ * @param {Object} englishTranslations - Parsed en.json of the pull request head
+ * @param {string} [sourceFile] - File the keys are defined by
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string }>}
+ */
+const validateKeyIntegrity = (fileContents, baseContents, englishTranslations, sourceFile = 'en.json') => {
+  const issues = [];
+  const report = (filePath, lineContent, problem) =>
+    issues.push(formatIssue(filePath, lineContent, problem, sourceFile));
+
+  for (const { path: filePath, content } of fileContents) {
+    const locale = getLocaleFromPath(filePath);
+    if (!locale || filePath === sourceFile) continue;
+
+    const baseContent = baseContents.find(({ path: p }) => p === filePath)?.content ?? null;
+    let result;
+    try {
+      result = checkKeyIntegrity(englishTranslations, baseContent, content, locale);
+    } catch (err) {
+      // Only the head version can be broken, the base branch is validated by previous runs
+      report(filePath, content.split('\n')[0], `\`${filePath}\` is not valid JSON (${err.message})`);
+      continue;
+    }
+
+    result.deleted.forEach(({ key, line }) => report(filePath, line, `Key \`${key}\` was deleted`));
+    result.added.forEach(({ key, line }) =>
+      report(filePath, line, `Key \`${key}\` doesn't exist in \`${sourceFile}\``)
+    );
+    result.renamed.forEach(({ from, to, line }) => report(filePath, line, `Key \`${from}\` was renamed to \`${to}\``));
+    result.duplicated.forEach(({ key, line }) =>
+      report(filePath, line, `Key \`${key}\` is defined more than once, only the last value is used`)
+    );
+    result.moved.forEach(({ key, line }) =>
+      report(filePath, line, `Key \`${key}\` was moved, please keep the key order of \`${sourceFile}\``)
+    );
+  }
+
+  return issues;
+};
+
+module.exports = {
+  parseKeys,
+  findMovedKeys,
+  checkKeyIntegrity,
+  validateKeyIntegrity,
+};
@@ -0,0 +1,183 @@
+const { parseKeys, findMovedKeys, checkKeyIntegrity, validateKeyIntegrity } = require('./keys');
+
+describe('key integrity tests', () => {
+  const englishTranslations = {
+    waypoint: 'Waypoint',
+    settings: 'Settings',
+    share: 'Share',
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+  };
+
+  const toJson = (entries) =>
+    `{\n${entries.map(([key, value]) => `  ${JSON.stringify(key)}: ${JSON.stringify(value)}`).join(',\n')}\n}\n`;
+
+  const base = toJson([
+    ['waypoint', 'Wegpunkt'],
+    ['settings', 'Einstellungen'],
+    ['share', 'Teilen'],
+    ['charges_one', 'Eine Ladung'],
+    ['charges_other', '{{count}} Ladungen'],
+  ]);
+
+  describe('parseKeys', () => {
+    it('should list top-level keys with their lines, including duplicates', () => {
+      const content = '{\n  "a": "x",\n  "b": {"c": "a, \\"b\\""},\n  "list": ["d", "e"],\n  "a": "y"\n}';
+      expect(parseKeys(content)).toEqual([
+        { key: 'a', lineNumber: 2, endLineNumber: 2, line: '  "a": "x",' },
+        { key: 'b', lineNumber: 3, endLineNumber: 3, line: '  "b": {"c": "a, \\"b\\""},' },
+        { key: 'list', lineNumber: 4, endLineNumber: 4, line: '  "list": ["d", "e"],' },
+        { key: 'a', lineNumber: 5, endLineNumber: 5, line: '  "a": "y"' },
+      ]);
+    });
+
+    it('should span entries formatted over multiple lines', () => {
+      const content = '{\n  "list": [\n    "d",\n    "e"\n  ],\n  "a":\n    "y"\n}';
+      expect(parseKeys(content)).toEqual([
+        { key: 'list', lineNumber: 2, endLineNumber: 5, line: '  "list": [\n    "d",\n    "e"\n  ],' },
+        { key: 'a', lineNumber: 6, endLineNumber: 7, line: '  "a":\n    "y"' },
+      ]);
+    });
+  });
+
+  describe('findMovedKeys', () => {
+    it('should find the keys that left their position', () => {
+      expect(findMovedKeys(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'b'])).toEqual(['b']);
+      expect(findMovedKeys(['a', 'b', 'c'], ['a', 'x', 'c'])).toEqual([]);
+    });
+  });
+
+  describe('checkKeyIntegrity', () => {
+    it('should accept changed values', () => {
+      const head = base.replace('Teilen', 'Freigeben');
+      expect(checkKeyIntegrity(englishTranslations, base, head, 'de')).toEqual({
+        deleted: [],
+        added: [],
+        renamed: [],
+        duplicated: [],
+        moved: [],
+      });
+    });
+
+    it('should report deleted and added keys', () => {
+      const head = base.replace('  "share": "Teilen",\n', '').replace('"settings"', '"settings_new"');
+      const result = checkKeyIntegrity(englishTranslations, base, head.replace('Einstellungen', 'Optionen'), 'de');
+
+      expect(result.renamed).toEqual([{ from: 'settings', to: 'settings_new', line: '  "settings_new": "Optionen",' }]);
+      expect(result.deleted).toEqual([{ key: 'share', line: '  "share": "Teilen",' }]);
+      expect(result.added).toEqual([]);
+    });
+
+    it('should pair renamed keys by value', () => {
+      const head = base.replace('"share"', '"teilen"');
+      expect(checkKeyIntegrity(englishTranslations, base, head, 'de').renamed).toEqual([
+        { from: 'share', to: 'teilen', line: '  "teilen": "Teilen",' },
+      ]);
+    });
+
+    it('should report keys that do not exist in English', () => {
+      const head = base.replace('\n}', ',\n  "hallo": "Welt"\n}').replace('"waypoint"', '"way"');
+      const result = checkKeyIntegrity(englishTranslations, base, head.replace('Wegpunkt', 'Weg'), 'de');
+      expect(result.added.map(({ key }) => key)).toEqual(['hallo']);
+      expect(result.renamed.map(({ to }) => to)).toEqual(['way']);
+    });
+
+    it('should allow the plural forms of the locale', () => {
+      const head = base.replace('  "charges_other"', '  "charges_few": "{{count}} ładunki",\n  "charges_zero": "Brak",\n  "charges_other"');
+      expect(checkKeyIntegrity(englishTranslations, base, head, 'pl').added).toEqual([]);
+      expect(checkKeyIntegrity(englishTranslations, base, head, 'de').added.map(({ key }) => key)).toEqual(['charges_few']);
+    });
+
+    it('should report duplicated and moved keys', () => {
+      const head = toJson([
+        ['settings', 'Einstellungen'],
+        ['waypoint', 'Wegpunkt'],
+        ['share', 'Teilen'],
+        ['charges_one', 'Eine Ladung'],
+        ['charges_other', '{{count}} Ladungen'],
+        ['share', 'Teilen!'],
+      ]);
+      const result = checkKeyIntegrity(englishTranslations, base, head, 'de');
+
+      expect(result.duplicated).toEqual([{ key: 'share', line: '  "share": "Teilen!"' }]);
+      expect(result.moved.map(({ key }) => key)).toEqual(['settings']);
+    });
+
+    it('should only report moves that break the order of en.json', () => {
+      const unordered = toJson([
+        ['share', 'Teilen'],
+        ['waypoint', 'Wegpunkt'],
+        ['settings', 'Einstellungen'],
+        ['charges_one', 'Eine Ladung'],
+        ['charges_other', '{{count}} Ladungen'],
+      ]);
+      expect(checkKeyIntegrity(englishTranslations, unordered, base, 'de').moved).toEqual([]);
+
+      const head = toJson([
+        ['waypoint', 'Wegpunkt'],
+        ['settings', 'Einstellungen'],
+        ['charges_one', 'Eine Ladung'],
+        ['share', 'Teilen'],
+        ['charges_other', '{{count}} Ladungen'],
+      ]);
+      expect(checkKeyIntegrity(englishTranslations, unordered, head, 'de').moved.map(({ key }) => key)).toEqual(['share']);
+    });
+
+    it('should only check new files against English', () => {
+      const head = toJson([['waypoint', 'Waypoint'], ['extra', 'x']]);
+      expect(checkKeyIntegrity(englishTranslations, null, head, 'de').added.map(({ key }) => key)).toEqual(['extra']);
+    });
+  });
+
+  describe('validateKeyIntegrity', () => {
+    it('should create one issue per problem', () => {
+      const head = base.replace('  "share": "Teilen",\n', '');
+      const issues = validateKeyIntegrity(
+        [
+          { path: 'de.json', content: head },
+          { path: 'en.json', content: '{}' },
+        ],
+        [{ path: 'de.json', content: base }],
+        englishTranslations
+      );
+
+      expect(issues).toEqual([
+        {
+          filePath: 'de.json',
+          lineContent: '  "share": "Teilen",',
+          comment:
+            '❌ **Key integrity**: Key `share` was deleted. Keys are defined by `en.json` and must not be changed in translations.',
+          check: 'keys',
+        },
+      ]);
+    });
+
+    it('should report files that are not valid JSON', () => {
+      const issues = validateKeyIntegrity(
+        [{ path: 'de.json', content: '{\n  "waypoint": "Wegpunkt",\n}' }],
+        [{ path: 'de.json', content: base }],
+        englishTranslations
+      );
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0].comment).toContain('`de.json` is not valid JSON');
+    });
+
+    it('should check the translations against the configured source locale', () => {
+      const head = base.replace('  "share": "Teilen",\n', '');
+      const issues = validateKeyIntegrity(
+        [
+          { path: 'de.json', content: '{}' },
+          { path: 'en.json', content: head },
+        ],
+        [{ path: 'en.json', content: base }],
+        englishTranslations,
+        'de.json'
+      );
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0].filePath).toBe('en.json');
+      expect(issues[0].comment).toContain('Keys are defined by `de.json`');
+    });
+  });
+});
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isLocaleFile, getLocaleFromPath, getDisplayWidth } = require('./utils');
+const { getExpectedKeys } = require('./plurals');
+const { getEnglishValue } = require('./sync');
+const { loadKeyContext, getKeyContext } = require('./context');
+const { loadConfig, getLocaleConfig } = require('./config');
+
+/**
+ * Translations that don't fit where the app shows them.
+ *
+ * A `maxLength` in the key context (see context.js) is a hard limit. Other
+ * translations may be `maxLengthRatio` times as long as the English text
+ * (see config.js), which catches the long outliers of languages like German
+ * or Finnish. Short labels like "OK" legitimately grow by more than any ratio,
+ * the ratio only applies to English texts of at least MIN_RATIO_WIDTH.
+ *
+ * Lengths are display widths, see getDisplayWidth: grapheme clusters, with
+ * wide CJK characters counting twice.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const MIN_RATIO_WIDTH = 10;
+
+const USAGE = `Usage: node ai-review/length.js [options]
+
+Reports the translations that are longer than their maximum length or than the English text allows.
+
+Options:
+  --format <format>  Output format: markdown (default) or json
+  --locale <locale>  Only report this locale, e.g. de or pt-BR
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --help             Show this message`;
+
+/**
+ * Check the length of a translation.
+ *
+ * @param {string} value - The translation
+ * @param {string} englishValue - The English text
+ * @param {{ maxLength?: number, ratio?: number|null }} limits - `maxLength` of the key context and
+ *   `maxLengthRatio` of the locale
+ * @returns {{ width: number, limit: number, type: 'maxLength'|'ratio' }|null} The violated limit, if any
+ */
+const checkLength = (value, englishValue, { maxLength, ratio } = {}) => {
+  const width = getDisplayWidth(value);
+  if (maxLength) {
+    return width > maxLength ? { width, limit: maxLength, type: 'maxLength' } : null;
+  }
+
+  const englishWidth = getDisplayWidth(englishValue);
+  if (!ratio || englishWidth < MIN_RATIO_WIDTH) return null;
+  const limit = Math.floor(englishWidth * ratio);
+  return width > limit ? { width, limit, type: 'ratio' } : null;
+};
+
+/**
+ * Check the lengths of a key, the items of arrays one by one.
+ *
+ * @returns {Array<{ key: string, width: number, limit: number, type: string }>} Keys of array items
+ *   are like `day_names[0]`
+ */
+const checkKeyLength = (key, value, englishValue, limits) => {
+  if (Array.isArray(englishValue)) {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap((item, index) => checkKeyLength(`${key}[${index}]`, item, englishValue[index], limits));
+  }
+  if (typeof value !== 'string' || typeof englishValue !== 'string') return [];
+  const violation = checkLength(value, englishValue, limits);
+  return violation ? [{ key, ...violation }] : [];
+};
+
+const describeViolation = ({ width, limit, type }) =>
+  type === 'maxLength'
+    ? `${width} characters long, the maximum is ${limit}`
+    : `${width} characters long, more than ${limit} for the length of the English text`;
+
+/**
+ * Length check for the entries returned by `getTranslationChanges`, with the
+ * key context added by `addKeyContext`. Over the maximum length of a key is an
+ * error, over the ratio only a warning.
+ *
+ * @param {Array} changes - Changed translation entries
+ * @param {Object} englishTranslations - Parsed en.json
+ * @param {{ getRatio?: function(string): number|null }} options - `maxLengthRatio` of a locale file
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string, severity: string }>}
+ */
+const validateLengths = (changes, englishTranslations, { getRatio = () => null } = {}) => {
+  const expectedKeys = new Map();
+  const issues = [];
+
+  for (const change of changes) {
+    const locale = getLocaleFromPath(change.file);
+    if (!locale) continue;
+    if (!expectedKeys.has(locale)) expectedKeys.set(locale, getExpectedKeys(englishTranslations, locale));
+    if (!expectedKeys.get(locale).has(change.key)) continue;
+    const englishValue = getEnglishValue(englishTranslations, change.key);
+
+    let value = change.newValue;
+    if (Array.isArray(englishValue)) {
+      try {
+        value = JSON.parse(change.newValue);
+      } catch (err) {
+        continue;
+      }
+    }
+    const limits = { maxLength: change.context?.maxLength, ratio: getRatio(change.file) };
+    const violations = checkKeyLength(change.key, value, englishValue, limits);
+    if (violations.length === 0) continue;
+
+    const problems = violations.map((violation) =>
+      violation.key === change.key
+        ? `The translation is ${describeViolation(violation)}`
+        : `\`${violation.key}\` is ${describeViolation(violation)}`
+    );
+    issues.push({
+      filePath: change.file,
+      lineContent: change.line,
+      comment: `⚠️ **Length**, it may not fit in the app:\n${problems.map((problem) => `- ${problem}`).join('\n')}`,
+      check: 'length',
+      severity: violations.some(({ type }) => type === 'maxLength') ? 'error' : 'warning',
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Build the length report for every locale file in the repository.
+ *
+ * @param {string} rootDir - Directory containing en.json and the locale files
+ * @param {{ config?: Object, locale?: string }} options - `maxLengthRatio` comes from `config`,
+ *   `locale` limits the report to one locale
+ * @returns {Array<{ file: string, locale: string, violations: Array }>}
+ */
+const getLengthReport = (rootDir, { config = loadConfig(), locale: onlyLocale } = {}) => {
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(rootDir, 'en.json'), 'utf-8'));
+  const context = loadKeyContext(rootDir);
+
+  return fs
+    .readdirSync(rootDir)
+    .filter((file) => isLocaleFile(file) && file !== 'en.json')
+    .filter((file) => !onlyLocale || getLocaleFromPath(file) === getLocaleFromPath(`${onlyLocale}.json`))
+    .sort()
+    .map((file) => {
+      const locale = getLocaleFromPath(file);
+      const translations = JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf-8'));
+      const ratio = getLocaleConfig(config, file).maxLengthRatio;
+      const violations = [...getExpectedKeys(englishTranslations, locale).keys()].flatMap((key) =>
+        checkKeyLength(key, translations[key], getEnglishValue(englishTranslations, key), {
+          maxLength: getKeyContext(context, key)?.maxLength,
+          ratio,
+        })
+      );
+      return { file, locale, violations };
+    });
+};
+
+/**
+ * Render the length report as Markdown.
+ */
+const formatLengthReport = (report) => {
+  let markdown = '## Length report\n\n';
+  markdown += '| File | Over the maximum length | Over the English length ratio |\n';
+  markdown += '| --- | --- | --- |\n';
+  for (const { file, violations } of report) {
+    const count = (type) => violations.filter((violation) => violation.type === type).length;
+    markdown += `| ${file} | ${count('maxLength')} | ${count('ratio')} |\n`;
+  }
+
+  for (const { file, violations } of report) {
+    if (violations.length === 0) continue;
+    markdown += `\n### ${file}\n\n`;
+    for (const violation of violations) {
+      markdown += `- \`${violation.key}\` is ${describeViolation(violation)}\n`;
+    }
+  }
+
+  return markdown;
+};
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      format: { type: 'string', default: 'markdown' },
+      locale: { type: 'string' },
+      root: { type: 'string', default: REPO_ROOT },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || !['markdown', 'json'].includes(values.format)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const report = getLengthReport(values.root, { locale: values.locale });
+  if (values.locale && report.length === 0) {
+    console.error(`No locale file found for "${values.locale}"`);
+    return 1;
+  }
+  console.log(values.format === 'json' ? JSON.stringify(report, null, 2) : formatLengthReport(report));
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to report translation lengths', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  MIN_RATIO_WIDTH,
+  checkLength,
+  validateLengths,
+  getLengthReport,
+  formatLengthReport,
+  run,
+};
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_CONFIG, mergeConfig } = require('./config');
+const { checkLength, validateLengths, getLengthReport, formatLengthReport, run } = require('./length');
+
+describe('length tests', () => {
+  const englishTranslations = {
+    ok: 'OK',
+    plan_settings: 'Plan settings',
+    charger_details: '<b>{{name}}</b> charger details',
+    day_names: ['Sunday', 'Monday'],
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges left',
+  };
+
+  describe('checkLength', () => {
+    it('should apply the maximum length of the key', () => {
+      expect(checkLength('Einstellungen', 'Settings', { maxLength: 12 })).toEqual({
+        width: 13,
+        limit: 12,
+        type: 'maxLength',
+      });
+      expect(checkLength('設定設定設定', 'Settings', { maxLength: 12 })).toBeNull();
+      expect(checkLength('設定設定設定設', 'Settings', { maxLength: 12 })).toEqual({
+        width: 14,
+        limit: 12,
+        type: 'maxLength',
+      });
+    });
+
+    it('should apply the ratio to English texts that are long enough', () => {
+      expect(checkLength('Ajustaments de la planificació', 'Plan settings', { ratio: 2 })).toEqual({
+        width: 30,
+        limit: 26,
+        type: 'ratio',
+      });
+      expect(checkLength('Ajustaments del pla', 'Plan settings', { ratio: 2 })).toBeNull();
+      expect(checkLength('Einverstanden', 'OK', { ratio: 2 })).toBeNull();
+      expect(checkLength('Ajustaments de la planificació', 'Plan settings', { ratio: null })).toBeNull();
+    });
+  });
+
+  describe('validateLengths', () => {
+    const change = (key, newValue, extra = {}) => ({
+      file: 'de.json',
+      key,
+      newValue,
+      oldValue: null,
+      englishValue: englishTranslations[key],
+      line: `  "${key}": ${JSON.stringify(newValue)},`,
+      ...extra,
+    });
+
+    it('should report changes over their maximum length as errors and over the ratio as warnings', () => {
+      const issues = validateLengths(
+        [
+          change('plan_settings', 'Einstellungen der Routenplanung'),
+          change('ok', 'Einverstanden', { context: { maxLength: 10 } }),
+          change('charger_details', '<b>{{name}}</b> Ladesäulendetails'),
+        ],
+        englishTranslations,
+        { getRatio: () => 2 }
+      );
+
+      expect(issues).toEqual([
+        {
+          filePath: 'de.json',
+          lineContent: '  "plan_settings": "Einstellungen der Routenplanung",',
+          comment:
+            '⚠️ **Length**, it may not fit in the app:\n' +
+            '- The translation is 31 characters long, more than 26 for the length of the English text',
+          check: 'length',
+          severity: 'warning',
+        },
+        {
+          filePath: 'de.json',
+          lineContent: '  "ok": "Einverstanden",',
+          comment:
+            '⚠️ **Length**, it may not fit in the app:\n- The translation is 13 characters long, the maximum is 10',
+          check: 'length',
+          severity: 'error',
+        },
+      ]);
+    });
+
+    it('should check array items and plural forms of the locale', () => {
+      const issues = validateLengths(
+        [
+          { ...change('day_names', JSON.stringify(['Niedziela', 'Poniedziałek'])), file: 'pl.json' },
+          { ...change('charges_few', '{{count}} pozostałe ładowania do końca trasy'), file: 'pl.json' },
+        ],
+        englishTranslations,
+        { getRatio: () => 1.5 }
+      );
+
+      expect(issues).toHaveLength(1);
+      expect(issues[0].comment).toContain('- The translation is 35 characters long, more than 19');
+
+      const [arrayIssue] = validateLengths(
+        [{ ...change('day_names', JSON.stringify(['Niedziela', 'Poniedziałek'])), context: { maxLength: 10 } }],
+        englishTranslations
+      );
+      expect(arrayIssue.comment).toContain('- `day_names[1]` is 12 characters long, the maximum is 10');
+    });
+  });
+
+  describe('getLengthReport and run', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'length-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(englishTranslations));
+      fs.writeFileSync(path.join(dir, 'en.context.json'), JSON.stringify({ day_names: { maxLength: 10 } }));
+      fs.writeFileSync(
+        path.join(dir, 'de.json'),
+        JSON.stringify({ plan_settings: 'Einstellungen der Routenplanung', day_names: ['Sonntag', 'Montag'] })
+      );
+      fs.writeFileSync(path.join(dir, 'pl.json'), JSON.stringify({ day_names: ['Niedziela', 'Poniedziałek'] }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should report every locale file', () => {
+      const config = mergeConfig(DEFAULT_CONFIG, { locales: { pl: { maxLengthRatio: null } } });
+      const report = getLengthReport(dir, { config });
+
+      expect(report).toEqual([
+        {
+          file: 'de.json',
+          locale: 'de',
+          violations: [{ key: 'plan_settings', width: 31, limit: 26, type: 'ratio' }],
+        },
+        {
+          file: 'pl.json',
+          locale: 'pl',
+          violations: [{ key: 'day_names[1]', width: 12, limit: 10, type: 'maxLength' }],
+        },
+      ]);
+      expect(formatLengthReport(report)).toBe(
+        [
+          '## Length report',
+          '',
+          '| File | Over the maximum length | Over the English length ratio |',
+          '| --- | --- | --- |',
+          '| de.json | 0 | 1 |',
+          '| pl.json | 1 | 0 |',
+          '',
+          '### de.json',
+          '',
+          '- `plan_settings` is 31 characters long, more than 26 for the length of the English text',
+          '',
+          '### pl.json',
+          '',
+          '- `day_names[1]` is 12 characters long, the maximum is 10',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should print the report of a locale', async () => {
+      expect(await run(['--locale', 'pl', '--format', 'json', '--root', dir])).toBe(0);
+      expect(JSON.parse(console.log.mock.calls[0][0])).toEqual([
+        {
+          file: 'pl.json',
+          locale: 'pl',
+          violations: [{ key: 'day_names[1]', width: 12, limit: 10, type: 'maxLength' }],
+        },
+      ]);
+
+      expect(await run(['--locale', 'xx', '--root', dir])).toBe(1);
+      expect(console.error).toHaveBeenCalledWith('No locale file found for "xx"');
+      expect(await run(['--format', 'csv', '--root', dir])).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,168 @@
+const { convertToRegexPattern } = require('./utils');
+const { parseKeys } = require('./keys');
+
+// Matches the key at the start of a JSON entry like `  "key": "value",`
+const entryKeyRegex = /^\s*("(?:[^"\\]|\\.)*")\s*:/;
+
+/**
+ * Get the translation key from the line content of an issue.
+ *
+ * @returns {string|null}
+ */
+const extractKey = (lineContent) => {
+  const match = typeof lineContent === 'string' ? entryKeyRegex.exec(lineContent) : null;
+  if (!match) return null;
+  try {
+    return JSON.parse(match[1]);
+  } catch (err) {
+    return null;
+  }
+};
+
+/**
+ * Index the top-level keys of a JSON file by the line GitHub anchors their
+ * comments to, the last line of the entry. The last definition of a duplicated
+ * key wins, like it does for `JSON.parse`.
+ *
+ * @returns {Map<string, number>} Key -> 1-based line number
+ */
+const buildKeyLineIndex = (content) => {
+  const index = new Map();
+  try {
+    parseKeys(content).forEach(({ key, endLineNumber }) => index.set(key, endLineNumber));
+  } catch (err) {
+    // Broken files are reported by the key integrity check, comments fall back to text matching
+  }
+  return index;
+};
+
+/**
+ * Collect the lines of each file that GitHub accepts review comments on: the
+ * added and context lines of the diff hunks, on the new side.
+ *
+ * @param {string} diff - Unified diff of the pull request
+ * @returns {Map<string, Set<number>>} File path -> 1-based line numbers
+ */
+const getCommentableLines = (diff) => {
+  const files = new Map();
+  let lines = null;
+  let lineNumber = 0;
+  let inHunk = false;
+
+  for (const line of (diff || '').split('\n')) {
+    const header = /^diff --git "?a\/.+?"? "?b\/(.+?)"?$/.exec(line);
+    if (header) {
+      lines = new Set();
+      files.set(header[1], lines);
+      inHunk = false;
+      continue;
+    }
+
+    const hunk = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+    if (hunk && lines) {
+      lineNumber = Number(hunk[1]);
+      inHunk = true;
+      continue;
+    }
+
+    if (!inHunk) continue;
+    if (line.startsWith('+') || line.startsWith(' ')) {
+      lines.add(lineNumber++);
+    } else if (!line.startsWith('-') && !line.startsWith('\\')) {
+      // Anything else ends the hunk, like the `index` line of the next file
+      inHunk = false;
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Fuzzy text search for the line content, like `getLineNumber`, but trying
+ * every match instead of only the first one.
+ *
+ * @returns {number[]} 1-based line numbers of the last line of each match
+ */
+const findLineNumbers = (text, searchString) => {
+  if (!text || !searchString) return [];
+
+  const regex = new RegExp(convertToRegexPattern(searchString), 'g');
+  const lineNumbers = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    lineNumbers.push(text.slice(0, match.index + match[0].length).split('\n').length);
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  return lineNumbers;
+};
+
+/**
+ * Find the line an issue should be commented on.
+ *
+ * Issues are anchored by their translation key, taken from `key` or from the
+ * start of `lineContent`, so a paraphrased value or the same text elsewhere in
+ * the file doesn't matter. Only when there is no key the line content is
+ * matched as text. Lines outside the diff hunks are rejected, GitHub doesn't
+ * accept comments on them.
+ *
+ * @param {{ key?: string, lineContent: string }} issue
+ * @param {string} content - Head version of the file
+ * @param {{ keyLines?: Map<string, number>, commentableLines?: Set<number> }} options -
+ *   See buildKeyLineIndex and getCommentableLines, without `commentableLines` every line is accepted
+ * @returns {number} 1-based line number, or -1 when the issue can't be commented inline
+ */
+const resolveLineNumber = (issue, content, { keyLines = buildKeyLineIndex(content), commentableLines } = {}) => {
+  const isCommentable = (lineNumber) => !commentableLines || commentableLines.has(lineNumber);
+
+  const key = typeof issue.key === 'string' ? issue.key : extractKey(issue.lineContent);
+  if (key !== null && keyLines.has(key)) {
+    const lineNumber = keyLines.get(key);
+    return isCommentable(lineNumber) ? lineNumber : -1;
+  }
+  if (key !== null) {
+    // The key doesn't exist in the file (anymore), a text match would only find something unrelated
+    return -1;
+  }
+
+  return findLineNumbers(content, issue.lineContent).find(isCommentable) ?? -1;
+};
+
+/**
+ * Set `lineNumber` on every issue, -1 for issues that become general comments.
+ *
+ * @param {Array} issues - Review issues with `filePath` and `lineContent`
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @param {string} [diff] - Diff of the pull request, to only target lines of its hunks
+ * @returns {Array} The issues
+ */
+const mapIssuesToLines = (issues, fileContents, diff) => {
+  const commentableLines = diff === undefined ? null : getCommentableLines(diff);
+  const keyLineIndexes = new Map();
+
+  for (const issue of issues) {
+    const file = fileContents.find(({ path }) => path === issue.filePath);
+    if (!file) {
+      issue.lineNumber = -1;
+      continue;
+    }
+
+    if (!keyLineIndexes.has(file.path)) {
+      keyLineIndexes.set(file.path, buildKeyLineIndex(file.content));
+    }
+    issue.lineNumber = resolveLineNumber(issue, file.content, {
+      keyLines: keyLineIndexes.get(file.path),
+      commentableLines: commentableLines ? commentableLines.get(file.path) || new Set() : undefined,
+    });
+  }
+
+  return issues;
+};
+
+module.exports = {
+  extractKey,
+  buildKeyLineIndex,
+  getCommentableLines,
+  findLineNumbers,
+  resolveLineNumber,
+  mapIssuesToLines,
+};
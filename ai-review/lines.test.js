@@ -0,0 +1,116 @@
+const {
+  extractKey,
+  buildKeyLineIndex,
+  getCommentableLines,
+  findLineNumbers,
+  resolveLineNumber,
+  mapIssuesToLines,
+} = require('./lines');
+
+describe('line mapping tests', () => {
+  const content = `{
+  "waypoint": "Wegpunkt",
+  "add_waypoint": "Wegpunkt",
+  "list": [
+    "a",
+    "b"
+  ],
+  "settings": "Einstellungen"
+}
+`;
+
+  const diff = `diff --git a/de.json b/de.json
+index 123..456 100644
+--- a/de.json
++++ b/de.json
+@@ -2,3 +2,3 @@
+   "waypoint": "Wegpunkt",
+-  "add_waypoint": "Wegpunk",
++  "add_waypoint": "Wegpunkt",
+   "list": [
+diff --git "a/zh-TW.json" "b/zh-TW.json"
+--- "a/zh-TW.json"
++++ "b/zh-TW.json"
+@@ -1 +1,2 @@
+ {
++  "a": "b"
+\\ No newline at end of file`;
+
+  describe('extractKey', () => {
+    it('should read the key of a JSON entry', () => {
+      expect(extractKey('  "add_waypoint": "Wegpunkt",')).toBe('add_waypoint');
+      expect(extractKey('"say \\"hi\\"": "x"')).toBe('say "hi"');
+      expect(extractKey('Wegpunkt')).toBeNull();
+      expect(extractKey(undefined)).toBeNull();
+    });
+  });
+
+  describe('buildKeyLineIndex', () => {
+    it('should map keys to the last line of their entry', () => {
+      expect([...buildKeyLineIndex(content)]).toEqual([
+        ['waypoint', 2],
+        ['add_waypoint', 3],
+        ['list', 7],
+        ['settings', 8],
+      ]);
+    });
+  });
+
+  describe('getCommentableLines', () => {
+    it('should collect added and context lines of the hunks', () => {
+      const lines = getCommentableLines(diff);
+      expect([...lines.get('de.json')]).toEqual([2, 3, 4]);
+      expect([...lines.get('zh-TW.json')]).toEqual([1, 2]);
+    });
+  });
+
+  describe('findLineNumbers', () => {
+    it('should find every match', () => {
+      expect(findLineNumbers(content, '"Wegpunkt",')).toEqual([2, 3]);
+      expect(findLineNumbers(content, 'missing')).toEqual([]);
+    });
+  });
+
+  describe('resolveLineNumber', () => {
+    it('should anchor issues by key even when the value is paraphrased', () => {
+      expect(resolveLineNumber({ lineContent: '  "add_waypoint": "Weg punkt"' }, content)).toBe(3);
+      expect(resolveLineNumber({ key: 'settings', lineContent: 'Einstellungen' }, content)).toBe(8);
+    });
+
+    it('should reject keys that are not in the file', () => {
+      expect(resolveLineNumber({ lineContent: '  "deleted": "Wegpunkt",' }, content)).toBe(-1);
+    });
+
+    it('should fall back to the first text match inside the hunks', () => {
+      const issue = { lineContent: '"Wegpunkt",' };
+      expect(resolveLineNumber(issue, content)).toBe(2);
+      expect(resolveLineNumber(issue, content, { commentableLines: new Set([3]) })).toBe(3);
+      expect(resolveLineNumber(issue, content, { commentableLines: new Set([5]) })).toBe(-1);
+    });
+
+    it('should reject keys outside the hunks', () => {
+      expect(resolveLineNumber({ key: 'settings', lineContent: '' }, content, { commentableLines: new Set([2]) })).toBe(-1);
+    });
+  });
+
+  describe('mapIssuesToLines', () => {
+    it('should set the line number of every issue', () => {
+      const issues = mapIssuesToLines(
+        [
+          { filePath: 'de.json', lineContent: '  "add_waypoint": "Wegpunkt",' },
+          { filePath: 'de.json', lineContent: '  "settings": "Einstellungen"' },
+          { filePath: 'fr.json', lineContent: '  "waypoint": "Étape"' },
+        ],
+        [{ path: 'de.json', content }],
+        diff
+      );
+
+      expect(issues.map(({ lineNumber }) => lineNumber)).toEqual([3, -1, -1]);
+    });
+
+    it('should accept every line without a diff', () => {
+      const [issue] = mapIssuesToLines([{ filePath: 'de.json', lineContent: '"settings": "x"' }], [{ path: 'de.json', content }]);
+      expect(issue.lineNumber).toBe(8);
+    });
+  });
+});
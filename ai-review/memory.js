@@ -0,0 +1,252 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { MISSING_ENGLISH_SOURCE, isLocaleFile, getLocaleFromPath, getNestedValue } = require('./utils');
+const { findChangedSourceKeys, hashValue, loadLocaleState } = require('./stale');
+
+/**
+ * Translation memory: the existing translations of English strings similar
+ * to a new or changed one. Similarity is the Dice coefficient of the character
+ * trigrams of both strings, after placeholders and tags are reduced to a
+ * marker, so "{{count}} chargers" and "{{n}} chargers" are the same string.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+// Matches below this similarity are rarely useful as a pre-fill
+const MIN_SIMILARITY = 0.7;
+
+const USAGE = `Usage: node ai-review/memory.js [options]
+
+Suggests translations for English strings from the existing translations of similar strings.
+
+Options:
+  --locale <locale>      Only this locale, e.g. de or pt-BR
+  --key <key>            English key to suggest translations for, repeatable
+  --since <ref>          Suggest for the keys added or changed in en.json since this git ref
+  --min-similarity <n>   Least similarity of a match, between 0 and 1, defaults to ${MIN_SIMILARITY}
+  --root <dir>           Directory holding the locale files, defaults to the repository root
+  --format <format>      Output format: text (default) or json
+  --help                 Show this message
+
+Without --key and --since, suggestions are made for the keys each locale still has to translate: missing keys,
+keys the sync marked as untranslated in .i18n-state and keys identical to English.`;
+
+const markupRegex = /\{\{[^}]*\}\}|\{[^}]*\}|<[^>]*>/g;
+
+/**
+ * Character trigrams of a string, case and whitespace insensitive.
+ *
+ * @returns {Set<string>}
+ */
+const getTrigrams = (text) => {
+  const normalized = ` ${String(text).replace(markupRegex, '\u0000').toLowerCase().replace(/\s+/g, ' ').trim()} `;
+  const trigrams = new Set();
+  for (let i = 0; i < normalized.length - 2; i++) {
+    trigrams.add(normalized.slice(i, i + 3));
+  }
+  return trigrams;
+};
+
+/**
+ * Dice coefficient of two trigram sets, 1 for equal strings.
+ */
+const getSimilarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const trigram of a) {
+    if (b.has(trigram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+};
+
+/**
+ * Index the English strings, shared by the memories of all locales.
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @returns {Array<{ key: string, source: string, trigrams: Set<string> }>}
+ */
+const createMemoryIndex = (englishTranslations) =>
+  Object.entries(englishTranslations)
+    .filter(([, source]) => typeof source === 'string' && source.trim() !== '')
+    .map(([key, source]) => ({ key, source, trigrams: getTrigrams(source) }));
+
+/**
+ * Find existing translations of English strings similar to `englishValue`.
+ * English strings that are not translated in the locale are skipped.
+ *
+ * @param {Array} index - See createMemoryIndex
+ * @param {string} englishValue - String to translate
+ * @param {Object} translations - Content of the locale file
+ * @param {{ minSimilarity?: number, limit?: number, excludeKeys?: Iterable<string> }} options - `excludeKeys`
+ *   are never matched, like the key itself
+ * @returns {Array<{ key: string, source: string, target: string, similarity: number }>} Most similar first
+ */
+const findMatches = (index, englishValue, translations, options = {}) => {
+  const { minSimilarity = MIN_SIMILARITY, limit = 3, excludeKeys = [] } = options;
+  if (typeof englishValue !== 'string' || englishValue === MISSING_ENGLISH_SOURCE) return [];
+  const excluded = new Set(excludeKeys);
+  const trigrams = getTrigrams(englishValue);
+  const matches = [];
+
+  for (const { key, source, trigrams: candidate } of index) {
+    if (excluded.has(key)) continue;
+    const similarity = getSimilarity(trigrams, candidate);
+    if (similarity < minSimilarity) continue;
+    const target = getNestedValue(translations, key);
+    if (typeof target !== 'string' || target === source) continue;
+    matches.push({ key, source, target, similarity: Math.round(similarity * 100) / 100 });
+  }
+
+  return matches.sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+};
+
+/**
+ * Describe how similar English strings are translated already, as context
+ * for the AI review of a batch of changes of one locale file.
+ *
+ * @param {Array} changes - Changed translation entries of one locale file
+ * @param {Array} index - See createMemoryIndex
+ * @param {Object} translations - Content of the locale file
+ * @returns {string} Markdown list, empty when nothing similar is translated
+ */
+const formatMemoryForPrompt = (changes, index, translations) => {
+  // The changed translations are under review, they are no reference
+  const excludeKeys = changes.map(({ key }) => key);
+
+  return changes
+    .map((change) => {
+      const matches = findMatches(index, change.englishValue, translations, { limit: 2, excludeKeys });
+      if (matches.length === 0) return null;
+      const lines = matches.map(({ source, target }) => `  - ${JSON.stringify(source)}: ${JSON.stringify(target)}`);
+      return [`- ${change.key}:`, ...lines].join('\n');
+    })
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Keys of en.json a locale still has to translate: missing ones, untranslated
+ * copies of English added by the sync (see sync.js) and values identical to English.
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {Object} state - Content of the state file of the locale, see stale.js
+ * @returns {string[]}
+ */
+const getUntranslatedKeys = (englishTranslations, translations, state = {}) =>
+  Object.keys(englishTranslations).filter((key) => {
+    const value = translations[key];
+    const entry = state[key];
+    return (
+      value === undefined ||
+      value === englishTranslations[key] ||
+      Boolean(entry?.untranslated && entry.translation === hashValue(value))
+    );
+  });
+
+/**
+ * Keys of en.json added or changed since a git revision.
+ */
+const getChangedEnglishKeys = (rootDir, ref, englishTranslations) => {
+  const content = execFileSync('git', ['show', `${ref}:./en.json`], {
+    cwd: rootDir,
+    encoding: 'utf-8',
+    maxBuffer: 256 * 1024 * 1024,
+  });
+  const before = JSON.parse(content);
+  const added = Object.keys(englishTranslations).filter((key) => !(key in before));
+  return [...added, ...findChangedSourceKeys(before, englishTranslations)];
+};
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      locale: { type: 'string' },
+      key: { type: 'string', multiple: true, default: [] },
+      since: { type: 'string' },
+      'min-similarity': { type: 'string', default: String(MIN_SIMILARITY) },
+      root: { type: 'string', default: REPO_ROOT },
+      format: { type: 'string', default: 'text' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  const minSimilarity = Number(values['min-similarity']);
+  if (values.help || !['text', 'json'].includes(values.format) || !(minSimilarity >= 0 && minSimilarity <= 1)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+  const index = createMemoryIndex(englishTranslations);
+  let keys = values.key;
+  if (values.since) {
+    keys = [...keys, ...getChangedEnglishKeys(values.root, values.since, englishTranslations)];
+  }
+
+  let files = fs
+    .readdirSync(values.root)
+    .filter((file) => isLocaleFile(file) && file !== 'en.json')
+    .sort();
+  if (values.locale) {
+    files = files.filter((file) => getLocaleFromPath(file) === getLocaleFromPath(`${values.locale}.json`));
+    if (files.length === 0) {
+      console.error(`No locale file found for "${values.locale}"`);
+      return 1;
+    }
+  }
+
+  const report = {};
+  for (const file of files) {
+    const translations = JSON.parse(fs.readFileSync(path.join(values.root, file), 'utf-8'));
+    const wanted =
+      keys.length > 0 || values.since
+        ? keys
+        : getUntranslatedKeys(englishTranslations, translations, loadLocaleState(values.root, file));
+    const suggestions = {};
+    for (const key of wanted) {
+      const options = { minSimilarity, limit: 1, excludeKeys: [key] };
+      const [match] = findMatches(index, englishTranslations[key], translations, options);
+      if (match) suggestions[key] = match;
+    }
+    report[file] = suggestions;
+
+    if (values.format === 'text') {
+      console.log(`${file}: suggestions for ${Object.keys(suggestions).length} of ${wanted.length} keys`);
+      for (const [key, { source, target, similarity }] of Object.entries(suggestions)) {
+        const reference = `${Math.round(similarity * 100)}% like ${JSON.stringify(source)}`;
+        console.log(`  ${key}: ${JSON.stringify(target)} (${reference})`);
+      }
+    }
+  }
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  }
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to suggest translations', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  MIN_SIMILARITY,
+  getTrigrams,
+  getSimilarity,
+  createMemoryIndex,
+  findMatches,
+  formatMemoryForPrompt,
+  getUntranslatedKeys,
+  run,
+};
@@ -0,0 +1,175 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashValue } = require('./stale');
+const {
+  getTrigrams,
+  getSimilarity,
+  createMemoryIndex,
+  findMatches,
+  formatMemoryForPrompt,
+  getUntranslatedKeys,
+  run,
+} = require('./memory');
+
+describe('translation memory tests', () => {
+  const englishTranslations = {
+    add_waypoint: 'Add waypoint',
+    remove_waypoint: 'Remove waypoint',
+    waypoint_added: 'Waypoint added to {{plan}}',
+    charger_offline: 'Charger is offline',
+    brand: 'ABRP',
+    list: ['a', 'b'],
+  };
+  const german = {
+    add_waypoint: 'Wegpunkt hinzufügen',
+    remove_waypoint: 'Wegpunkt entfernen',
+    waypoint_added: 'Wegpunkt zu {{plan}} hinzugefügt',
+    charger_offline: 'Charger is offline',
+    brand: 'ABRP',
+  };
+  const index = createMemoryIndex(englishTranslations);
+
+  describe('getTrigrams and getSimilarity', () => {
+    it('should compare strings regardless of case, whitespace and placeholder names', () => {
+      expect(getSimilarity(getTrigrams('Add  Waypoint'), getTrigrams('add waypoint'))).toBe(1);
+      expect(getSimilarity(getTrigrams('{{count}} chargers'), getTrigrams('{{n}} chargers'))).toBe(1);
+      expect(getSimilarity(getTrigrams('Add waypoint'), getTrigrams('Charger is offline'))).toBeLessThan(0.2);
+      expect(getSimilarity(new Set(), getTrigrams('x'))).toBe(0);
+    });
+  });
+
+  describe('createMemoryIndex', () => {
+    it('should index the English strings', () => {
+      expect(index.map(({ key }) => key)).toEqual([
+        'add_waypoint',
+        'remove_waypoint',
+        'waypoint_added',
+        'charger_offline',
+        'brand',
+      ]);
+    });
+  });
+
+  describe('findMatches', () => {
+    it('should find translations of similar English strings, the most similar first', () => {
+      const matches = findMatches(index, 'Add a waypoint', german, { minSimilarity: 0.5 });
+
+      expect(matches.map(({ key }) => key)).toEqual(['add_waypoint', 'waypoint_added', 'remove_waypoint']);
+      expect(matches[0]).toMatchObject({ source: 'Add waypoint', target: 'Wegpunkt hinzufügen' });
+      expect(matches[0].similarity).toBeGreaterThan(matches[1].similarity);
+    });
+
+    it('should skip excluded keys and strings that are not translated', () => {
+      expect(findMatches(index, 'Add waypoint', german, { excludeKeys: ['add_waypoint'] })).toEqual([]);
+      expect(findMatches(index, 'Charger is offline', german)).toEqual([]);
+      expect(findMatches(index, 'Add waypoint', {})).toEqual([]);
+      expect(findMatches(index, undefined, german)).toEqual([]);
+    });
+  });
+
+  describe('formatMemoryForPrompt', () => {
+    it('should list similar translations per changed key', () => {
+      const changes = [
+        { file: 'de.json', key: 'add_stop', englishValue: 'Add waypoints' },
+        { file: 'de.json', key: 'remove_waypoint', englishValue: 'Remove waypoint' },
+        { file: 'de.json', key: 'offline', englishValue: 'Offline' },
+      ];
+
+      expect(formatMemoryForPrompt(changes, index, german)).toBe(
+        '- add_stop:\n  - "Add waypoint": "Wegpunkt hinzufügen"'
+      );
+    });
+  });
+
+  describe('getUntranslatedKeys', () => {
+    it('should find missing keys, untranslated copies and values identical to English', () => {
+      const hash = hashValue(englishTranslations.list);
+      const state = {
+        list: { source: hash, translation: hash, untranslated: true },
+        brand: { source: hashValue('ABRP'), translation: hashValue('ABRP') },
+      };
+
+      expect(getUntranslatedKeys(englishTranslations, { ...german, list: ['a', 'b'] }, state)).toEqual([
+        'charger_offline',
+        'brand',
+        'list',
+      ]);
+      expect(getUntranslatedKeys(englishTranslations, { ...german, list: ['x', 'y'] }, state)).toEqual([
+        'charger_offline',
+        'brand',
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    let dir;
+    const git = (...args) => execFileSync('git', args, { cwd: dir, encoding: 'utf-8' });
+    const writeJson = (name, content) => fs.writeFileSync(path.join(dir, name), JSON.stringify(content, null, 2));
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-'));
+      writeJson('en.json', englishTranslations);
+      writeJson('de.json', german);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    const lastJson = () => JSON.parse(console.log.mock.calls.at(-1)[0]);
+
+    it('should suggest translations for the keys missing in a locale', async () => {
+      writeJson('en.json', { ...englishTranslations, add_waypoints: 'Add waypoints' });
+
+      expect(await run(['--root', dir, '--format', 'json'])).toBe(0);
+      expect(lastJson()).toEqual({
+        'de.json': {
+          add_waypoints: {
+            key: 'add_waypoint',
+            source: 'Add waypoint',
+            target: 'Wegpunkt hinzufügen',
+            similarity: 0.88,
+          },
+        },
+      });
+    });
+
+    it('should suggest translations for the keys the sync added as untranslated copies', async () => {
+      const hash = hashValue('Add waypoints');
+      writeJson('en.json', { ...englishTranslations, add_waypoints: 'Add waypoints' });
+      writeJson('de.json', { ...german, add_waypoints: 'Add waypoints' });
+      fs.mkdirSync(path.join(dir, '.i18n-state'));
+      const state = { add_waypoints: { source: hash, translation: hash, untranslated: true } };
+      writeJson(path.join('.i18n-state', 'de.json'), state);
+
+      expect(await run(['--root', dir, '--format', 'json'])).toBe(0);
+      expect(lastJson()['de.json']).toEqual({
+        add_waypoints: expect.objectContaining({ key: 'add_waypoint', target: 'Wegpunkt hinzufügen' }),
+      });
+    });
+
+    it('should suggest translations for the English keys changed since a commit', async () => {
+      git('init', '-q');
+      git('add', '-A');
+      git('-c', 'user.email=test@example.com', '-c', 'user.name=Test', 'commit', '-q', '-m', 'Initial');
+      writeJson('en.json', { ...englishTranslations, remove_waypoint: 'Remove a waypoint', new_key: 'Add waypoints' });
+
+      expect(await run(['--root', dir, '--since', 'HEAD', '--locale', 'de'])).toBe(0);
+      // The previous translation of a changed key is no suggestion, it translates the old English
+      expect(console.log.mock.calls.map(([line]) => line)).toEqual([
+        'de.json: suggestions for 1 of 2 keys',
+        '  new_key: "Wegpunkt hinzufügen" (88% like "Add waypoint")',
+      ]);
+    });
+
+    it('should reject invalid options', async () => {
+      expect(await run(['--root', dir, '--min-similarity', '2'])).toBe(1);
+      expect(await run(['--root', dir, '--locale', 'xx'])).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+const { isLocaleFile, getLocaleFromPath, getNestedValue } = require('./utils');
+
+// CLDR plural categories in their canonical order, used by i18next as key suffixes (`charges_few`)
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+// i18next resolves `key_zero` for a count of 0 in every language, so it is never superfluous
+const OPTIONAL_CATEGORIES = ['zero'];
+
+const pluralKeyRegex = new RegExp(`^(.+)_(${PLURAL_CATEGORIES.join('|')})$`);
+
+/**
+ * Get the CLDR cardinal plural categories of a locale, in canonical order.
+ * i18next picks plural suffixes through `Intl.PluralRules` as well, so this
+ * matches what the app will look up at runtime.
+ *
+ * @param {string} locale - BCP 47 locale, e.g. `ru` or `pt-BR`
+ * @returns {string[]} e.g. ['one', 'few', 'many', 'other']
+ */
+const getPluralCategories = (locale) => {
+  const categories = new Intl.PluralRules(locale).resolvedOptions().pluralCategories;
+  return PLURAL_CATEGORIES.filter((category) => categories.includes(category));
+};
+
+/**
+ * Example counts of every plural category of a locale, for translators.
+ * Categories only used for fractions (`other` in Russian) get fractions.
+ *
+ * @param {string} locale - BCP 47 locale
+ * @param {number} limit - Most examples per category
+ * @returns {Object<string, number[]>} e.g. `{ one: [1, 21, 31], few: [2, 3, 4], many: [0, 5, 6], other: [0.5, 1.5] }`
+ */
+const getPluralExamples = (locale, limit = 3) => {
+  const rules = new Intl.PluralRules(locale);
+  const examples = Object.fromEntries(getPluralCategories(locale).map((category) => [category, []]));
+  for (const count of [...Array(1000).keys(), 1000000, 0.5, 1.5, 2.5]) {
+    const list = examples[rules.select(count)];
+    if (list.length < limit && (Number.isInteger(count) || list.length === 0)) list.push(count);
+  }
+  return examples;
+};
+
+/**
+ * Split a key like `charges_other` into its base name and plural category.
+ *
+ * @returns {{ base: string, category: string }|null}
+ */
+const splitPluralKey = (key) => {
+  const match = pluralKeyRegex.exec(key);
+  return match ? { base: match[1], category: match[2] } : null;
+};
+
+/**
+ * Find the plural groups in the English source.
+ *
+ * A lone category suffix is often just part of a regular key (`support_other`,
+ * `move_of_amenity_to_step_one`), so a base name only counts as a plural group
+ * when it has an `_other` key next to another category, or when one of its
+ * suffixed values interpolates `{{count}}`.
+ *
+ * @param {Object} englishTranslations - Parsed en.json
+ * @returns {Map<string, string[]>} Base name -> categories present in English
+ */
+const getPluralGroups = (englishTranslations) => {
+  const candidates = new Map();
+  for (const [key, value] of Object.entries(englishTranslations || {})) {
+    const split = splitPluralKey(key);
+    if (!split) continue;
+    const group = candidates.get(split.base) || { categories: [], usesCount: false };
+    group.categories.push(split.category);
+    group.usesCount = group.usesCount || (typeof value === 'string' && value.includes('{{count}}'));
+    candidates.set(split.base, group);
+  }
+
+  const groups = new Map();
+  for (const [base, { categories, usesCount }] of candidates) {
+    const hasOtherAndMore = categories.includes('other') && categories.length > 1;
+    if (hasOtherAndMore || usesCount) {
+      groups.set(
+        base,
+        PLURAL_CATEGORIES.filter((category) => categories.includes(category))
+      );
+    }
+  }
+  return groups;
+};
+
+/**
+ * Get the keys a locale is expected to have, with the English value each one
+ * translates. Plural groups are expanded to the plural categories of the
+ * locale, so `_few` is expected in Polish and `_one` is not expected in Japanese.
+ */
+const getExpectedKeys = (englishTranslations, locale, pluralGroups = getPluralGroups(englishTranslations)) => {
+  const categories = getPluralCategories(locale);
+  // Groups without `_other` in English can't be expanded, their keys are expected as they are
+  const expandedGroups = [...pluralGroups.keys()].filter((base) => `${base}_other` in englishTranslations);
+  const expected = new Map();
+
+  for (const key of Object.keys(englishTranslations)) {
+    const plural = splitPluralKey(key);
+    const isPluralForm = plural && expandedGroups.includes(plural.base);
+    // `_zero` is optional in every language, so it's only expected where English has it
+    if (!isPluralForm || categories.includes(plural.category) || plural.category === 'zero') {
+      expected.set(key, getNestedValue(englishTranslations, key));
+    }
+  }
+
+  for (const base of expandedGroups) {
+    for (const category of categories) {
+      if (!expected.has(`${base}_${category}`)) {
+        expected.set(`${base}_${category}`, getNestedValue(englishTranslations, `${base}_other`));
+      }
+    }
+  }
+
+  return expected;
+};
+
+/**
+ * Check one plural group of a locale file for missing and superfluous categories.
+ *
+ * @param {Object} translations - Parsed locale file
+ * @param {string} base - Base name of the plural group
+ * @param {string} locale - BCP 47 locale of the file
+ * @returns {{ missing: string[], superfluous: string[] }}
+ */
+const checkPluralGroup = (translations, base, locale) => {
+  const required = getPluralCategories(locale);
+  const present = PLURAL_CATEGORIES.filter((category) => translations[`${base}_${category}`] !== undefined);
+
+  return {
+    missing: required.filter((category) => !present.includes(category)),
+    superfluous: present.filter(
+      (category) => !required.includes(category) && !OPTIONAL_CATEGORIES.includes(category)
+    ),
+  };
+};
+
+/**
+ * Check all plural groups of a locale file.
+ *
+ * @returns {Array<{ base: string, missing: string[], superfluous: string[] }>} Only groups with problems
+ */
+const checkPlurals = (translations, locale, pluralGroups) => {
+  const results = [];
+  for (const base of pluralGroups.keys()) {
+    const { missing, superfluous } = checkPluralGroup(translations, base, locale);
+    if (missing.length > 0 || superfluous.length > 0) {
+      results.push({ base, missing, superfluous });
+    }
+  }
+  return results;
+};
+
+/**
+ * Build the plural report for every locale file in the repository.
+ *
+ * @param {string} rootDir - Directory containing en.json and the locale files
+ * @returns {Array<{ file: string, locale: string, categories: string[], groups: Array }>}
+ */
+const getPluralReport = (rootDir) => {
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(rootDir, 'en.json'), 'utf-8'));
+  const pluralGroups = getPluralGroups(englishTranslations);
+
+  return fs
+    .readdirSync(rootDir)
+    .filter(isLocaleFile)
+    .sort()
+    .map((file) => {
+      const locale = getLocaleFromPath(file);
+      const translations = JSON.parse(fs.readFileSync(path.join(rootDir, file), 'utf-8'));
+      return {
+        file,
+        locale,
+        categories: getPluralCategories(locale),
+        groups: checkPlurals(translations, locale, pluralGroups),
+      };
+    });
+};
+
+const formatSuffixes = (base, categories) => categories.map((category) => `\`${base}_${category}\``).join(', ');
+
+/**
+ * Render the plural report as Markdown.
+ */
+const formatPluralReport = (report) => {
+  let markdown = '## Plural forms report\n\n';
+  markdown += '| File | Categories | Groups missing forms | Superfluous keys |\n';
+  markdown += '| --- | --- | --- | --- |\n';
+  for (const { file, categories, groups } of report) {
+    const missingCount = groups.filter(({ missing }) => missing.length > 0).length;
+    const superfluousCount = groups.reduce((sum, { superfluous }) => sum + superfluous.length, 0);
+    markdown += `| ${file} | ${categories.join(', ')} | ${missingCount} | ${superfluousCount} |\n`;
+  }
+
+  for (const { file, groups } of report) {
+    if (groups.length === 0) continue;
+    markdown += `\n### ${file}\n\n`;
+    for (const { base, missing, superfluous } of groups) {
+      if (missing.length > 0) {
+        markdown += `- Missing ${formatSuffixes(base, missing)}\n`;
+      }
+      if (superfluous.length > 0) {
+        markdown += `- Superfluous ${formatSuffixes(base, superfluous)}\n`;
+      }
+    }
+  }
+
+  return markdown;
+};
+
+/**
+ * PR-scoped plural check for the entries returned by `getTranslationChanges`.
+ * Every changed plural key is checked against the head version of its file, and
+ * missing categories are reported once per group, on the first changed line of it.
+ *
+ * @param {Array} changes - Changed translation entries
+ * @param {Array<{ path: string, content: string }>} fileContents - Head versions of the touched files
+ * @param {Object} englishTranslations - Parsed en.json
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string }>}
+ */
+const validatePlurals = (changes, fileContents, englishTranslations) => {
+  const pluralGroups = getPluralGroups(englishTranslations);
+  const parsedFiles = new Map();
+  const reportedGroups = new Set();
+  const issues = [];
+
+  const getTranslations = (filePath) => {
+    if (!parsedFiles.has(filePath)) {
+      const file = fileContents.find(({ path: p }) => p === filePath);
+      let translations = null;
+      try {
+        translations = file ? JSON.parse(file.content) : null;
+      } catch (err) {
+        console.error(`Failed to parse ${filePath} for plural checks`, err.message);
+      }
+      parsedFiles.set(filePath, translations);
+    }
+    return parsedFiles.get(filePath);
+  };
+
+  for (const change of changes) {
+    const split = splitPluralKey(change.key);
+    const locale = getLocaleFromPath(change.file);
+    if (!split || !locale || !pluralGroups.has(split.base)) continue;
+
+    const translations = getTranslations(change.file);
+    if (!translations) continue;
+
+    const categories = getPluralCategories(locale);
+    const { missing, superfluous } = checkPluralGroup(translations, split.base, locale);
+    const problems = [];
+
+    if (superfluous.includes(split.category)) {
+      problems.push(
+        `\`_${split.category}\` is not a plural category in ${locale} (${categories.join(', ')}), so this key is never used`
+      );
+    }
+
+    const groupId = `${change.file}:${split.base}`;
+    if (missing.length > 0 && !reportedGroups.has(groupId)) {
+      reportedGroups.add(groupId);
+      problems.push(`${locale} needs ${formatSuffixes(split.base, missing)} as well`);
+    }
+
+    if (problems.length > 0) {
+      issues.push({
+        filePath: change.file,
+        lineContent: change.line,
+        comment: `⚠️ **Plural forms**:\n${problems.map((problem) => `- ${problem}`).join('\n')}`,
+        check: 'plurals',
+      });
+    }
+  }
+
+  return issues;
+};
+
+// Print the repository-wide report: `node plurals.js [--json]`
+if (require.main === module) {
+  const report = getPluralReport(path.resolve(__dirname, '..'));
+  console.log(process.argv.includes('--json') ? JSON.stringify(report, null, 2) : formatPluralReport(report));
+}
+
+module.exports = {
+  PLURAL_CATEGORIES,
+  getPluralCategories,
+  getPluralExamples,
+  splitPluralKey,
+  getPluralGroups,
+  getExpectedKeys,
+  checkPluralGroup,
+  checkPlurals,
+  getPluralReport,
+  formatPluralReport,
+  validatePlurals,
+};
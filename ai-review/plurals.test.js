@@ -0,0 +1,192 @@
+const {
+  getPluralCategories,
+  splitPluralKey,
+  getPluralGroups,
+  getExpectedKeys,
+  checkPluralGroup,
+  checkPlurals,
+  formatPluralReport,
+  validatePlurals,
+} = require('./plurals');
+
+describe('plural validation tests', () => {
+  const englishTranslations = {
+    charges_zero: 'No charges',
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+    count_models_one: '{{count}} model',
+    support_other: 'Other issue',
+    frequency_charger_stops_many: 'Short but many',
+    frequency_charger_stops_few: 'Few but long',
+    settings: 'Settings',
+  };
+
+  describe('getPluralCategories', () => {
+    it('should return the CLDR categories in canonical order', () => {
+      expect(getPluralCategories('en')).toEqual(['one', 'other']);
+      expect(getPluralCategories('ru')).toEqual(['one', 'few', 'many', 'other']);
+      expect(getPluralCategories('ar')).toEqual(['zero', 'one', 'two', 'few', 'many', 'other']);
+      expect(getPluralCategories('ja')).toEqual(['other']);
+    });
+
+    it('should handle region subtags', () => {
+      expect(getPluralCategories('pt-BR')).toContain('one');
+      expect(getPluralCategories('zh-TW')).toEqual(['other']);
+    });
+  });
+
+  describe('splitPluralKey', () => {
+    it('should split plural keys', () => {
+      expect(splitPluralKey('charges_other')).toEqual({ base: 'charges', category: 'other' });
+      expect(splitPluralKey('charge_stops_few')).toEqual({ base: 'charge_stops', category: 'few' });
+    });
+
+    it('should return null for other keys', () => {
+      expect(splitPluralKey('settings')).toBeNull();
+      expect(splitPluralKey('_other')).toBeNull();
+    });
+  });
+
+  describe('getPluralGroups', () => {
+    it('should detect groups with _other and another category', () => {
+      expect(getPluralGroups(englishTranslations).get('charges')).toEqual(['zero', 'one', 'other']);
+    });
+
+    it('should detect groups that interpolate {{count}}', () => {
+      expect(getPluralGroups(englishTranslations).get('count_models')).toEqual(['one']);
+    });
+
+    it('should ignore keys that only look like plural keys', () => {
+      const groups = getPluralGroups(englishTranslations);
+      expect(groups.has('support')).toBe(false);
+      expect(groups.has('frequency_charger_stops')).toBe(false);
+      expect(groups.has('settings')).toBe(false);
+    });
+  });
+
+  describe('getExpectedKeys', () => {
+    const english = { settings: 'Settings', charges_one: 'One charge', charges_other: '{{count}} charges' };
+
+    it('should expand plural groups to the categories of the locale', () => {
+      expect([...getExpectedKeys(english, 'pl').keys()]).toEqual([
+        'settings',
+        'charges_one',
+        'charges_other',
+        'charges_few',
+        'charges_many',
+      ]);
+      expect(getExpectedKeys(english, 'pl').get('charges_few')).toBe('{{count}} charges');
+      expect(getExpectedKeys(english, 'ja').has('charges_one')).toBe(false);
+    });
+
+    it('should keep groups without _other as they are', () => {
+      expect([...getExpectedKeys(englishTranslations, 'ja').keys()]).toContain('count_models_one');
+    });
+  });
+
+  describe('checkPluralGroup', () => {
+    it('should report missing categories', () => {
+      const ru = { charges_one: 'Одна зарядка', charges_other: '{{count}} зарядок' };
+      expect(checkPluralGroup(ru, 'charges', 'ru')).toEqual({ missing: ['few', 'many'], superfluous: [] });
+    });
+
+    it('should report superfluous categories', () => {
+      const ja = { charges_one: '1回の充電', charges_other: '{{count}}回の充電' };
+      expect(checkPluralGroup(ja, 'charges', 'ja')).toEqual({ missing: [], superfluous: ['one'] });
+    });
+
+    it('should never report _zero as superfluous', () => {
+      const de = { charges_zero: 'Keine', charges_one: 'Eine', charges_other: '{{count}}' };
+      expect(checkPluralGroup(de, 'charges', 'de')).toEqual({ missing: [], superfluous: [] });
+    });
+  });
+
+  describe('checkPlurals and formatPluralReport', () => {
+    it('should only return groups with problems', () => {
+      const groups = getPluralGroups(englishTranslations);
+      const pl = {
+        charges_one: 'a',
+        charges_few: 'b',
+        charges_many: 'c',
+        charges_other: 'd',
+        count_models_one: 'e',
+      };
+      expect(checkPlurals(pl, 'pl', groups)).toEqual([
+        { base: 'count_models', missing: ['few', 'many', 'other'], superfluous: [] },
+      ]);
+    });
+
+    it('should render a Markdown table and per-file details', () => {
+      const markdown = formatPluralReport([
+        { file: 'de.json', locale: 'de', categories: ['one', 'other'], groups: [] },
+        {
+          file: 'ja.json',
+          locale: 'ja',
+          categories: ['other'],
+          groups: [{ base: 'charges', missing: [], superfluous: ['one'] }],
+        },
+      ]);
+      expect(markdown).toContain('| de.json | one, other | 0 | 0 |');
+      expect(markdown).toContain('| ja.json | other | 0 | 1 |');
+      expect(markdown).toContain('### ja.json');
+      expect(markdown).toContain('- Superfluous `charges_one`');
+      expect(markdown).not.toContain('### de.json');
+    });
+  });
+
+  describe('validatePlurals', () => {
+    const change = (file, key, newValue) => ({
+      file,
+      key,
+      newValue,
+      oldValue: null,
+      englishValue: englishTranslations[key],
+      line: `  "${key}": "${newValue}",`,
+    });
+
+    it('should report missing categories once per group', () => {
+      const content = JSON.stringify({ charges_one: 'Одна', charges_other: '{{count}}' });
+      const issues = validatePlurals(
+        [change('ru.json', 'charges_one', 'Одна'), change('ru.json', 'charges_other', '{{count}}')],
+        [{ path: 'ru.json', content }],
+        englishTranslations
+      );
+      expect(issues).toHaveLength(1);
+      expect(issues[0].check).toBe('plurals');
+      expect(issues[0].lineContent).toBe('  "charges_one": "Одна",');
+      expect(issues[0].comment).toContain('ru needs `charges_few`, `charges_many` as well');
+    });
+
+    it('should report superfluous categories on the changed line', () => {
+      const content = JSON.stringify({ charges_one: 'x', charges_other: 'y' });
+      const issues = validatePlurals(
+        [change('ja.json', 'charges_one', 'x')],
+        [{ path: 'ja.json', content }],
+        englishTranslations
+      );
+      expect(issues).toHaveLength(1);
+      expect(issues[0].comment).toContain('`_one` is not a plural category in ja');
+    });
+
+    it('should ignore non-plural keys and complete groups', () => {
+      const content = JSON.stringify({ charges_one: 'x', charges_other: 'y', support_other: 'z' });
+      const issues = validatePlurals(
+        [change('de.json', 'charges_one', 'x'), change('de.json', 'support_other', 'z')],
+        [{ path: 'de.json', content }],
+        englishTranslations
+      );
+      expect(issues).toEqual([]);
+    });
+
+    it('should skip files that cannot be parsed', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const issues = validatePlurals(
+        [change('ru.json', 'charges_one', 'x')],
+        [{ path: 'ru.json', content: '{ broken' }],
+        englishTranslations
+      );
+      expect(issues).toEqual([]);
+      console.error.mockRestore();
+    });
+  });
+});
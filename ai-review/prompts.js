@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getLocaleFromPath } = require('./utils');
+
+// Templates are read from the checked out base branch, so a pull request can't change how it is reviewed
+const PROMPTS_DIR = path.resolve(__dirname, '..', '.prompts');
+
+// Only these names are template variables, anything else in braces (like `{{count}}`) is left alone
+const TEMPLATE_VARIABLES = ['title', 'description', 'changes', 'file', 'language', 'glossary', 'memory'];
+
+const sectionRegex = new RegExp(`\\{\\{#(${TEMPLATE_VARIABLES.join('|')})\\}\\}\\n?([\\s\\S]*?)\\{\\{/\\1\\}\\}\\n?`, 'g');
+const variableRegex = new RegExp(`\\{\\{(${TEMPLATE_VARIABLES.join('|')})\\}\\}`, 'g');
+
+/**
+ * Render a prompt template.
+ *
+ * `{{name}}` is replaced by the variable, `{{#name}}...{{/name}}` is only kept
+ * when the variable is set. A section tag on a line of its own doesn't leave an
+ * empty line behind.
+ *
+ * @param {string} template - Template text
+ * @param {Object} variables - Values for TEMPLATE_VARIABLES
+ * @returns {string}
+ */
+const renderTemplate = (template, variables) =>
+  template
+    .replace(sectionRegex, (match, name, content) => (variables[name] ? content : ''))
+    .replace(variableRegex, (match, name) => variables[name] ?? '');
+
+const readTemplate = (dir, name) => {
+  const filePath = path.join(dir, name);
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8').trim() : null;
+};
+
+/**
+ * Load the prompt templates:
+ *
+ * - `system.md`: the system prompt (required)
+ * - `inline.md`: review rules, appended to the system prompt
+ * - `user.md`: the review request with the changed translations (required)
+ * - `<locale>.md`: addenda for a single language, e.g. `de.md`
+ *
+ * `version` is a short hash of all templates, logged to tell apart results of
+ * different prompt revisions.
+ *
+ * @param {string} dir - Directory holding the templates
+ */
+const loadPromptTemplates = (dir = PROMPTS_DIR) => {
+  const system = readTemplate(dir, 'system.md');
+  const user = readTemplate(dir, 'user.md');
+  if (!system || !user) {
+    throw new Error(`Missing system.md or user.md prompt template in ${dir}`);
+  }
+
+  const addenda = {};
+  for (const name of fs.readdirSync(dir).sort()) {
+    const locale = getLocaleFromPath(name.replace(/\.md$/, '.json'));
+    if (name.endsWith('.md') && locale) {
+      addenda[locale] = readTemplate(dir, name);
+    }
+  }
+
+  const inline = readTemplate(dir, 'inline.md');
+  const hash = crypto.createHash('sha256');
+  [system, inline, user, ...Object.entries(addenda).flat()].forEach((part) => hash.update(`${part}\0`));
+
+  return { system, inline, user, addenda, version: hash.digest('hex').slice(0, 8) };
+};
+
+const getLanguageName = (locale) => {
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(locale);
+  } catch (err) {
+    return locale;
+  }
+};
+
+/**
+ * Build the chat messages for one batch of changed translations. Language
+ * addenda are added when all changes belong to the same locale file.
+ *
+ * @param {Object} templates - See loadPromptTemplates
+ * @param {{ title?: string, description?: string, changes: Array, glossary?: string, memory?: string }} request -
+ *   `glossary` describes the approved terminology used by the changes, `memory` the existing translations
+ *   of similar English strings
+ * @returns {{ messages: Array<{ role: string, content: string }> }}
+ */
+const createPrompt = (templates, { title, description, changes, glossary, memory }) => {
+  const files = [...new Set(changes.map(({ file }) => file))];
+  const locale = files.length === 1 ? getLocaleFromPath(files[0]) : null;
+
+  const variables = {
+    title,
+    description,
+    changes: JSON.stringify(changes, null, 2),
+    file: files.length === 1 ? files[0] : '',
+    language: locale ? getLanguageName(locale) : '',
+    glossary,
+    memory,
+  };
+
+  const systemParts = [templates.system, templates.inline, locale && templates.addenda[locale]].filter(Boolean);
+
+  return {
+    messages: [
+      { role: 'system', content: renderTemplate(systemParts.join('\n\n'), variables) },
+      { role: 'user', content: renderTemplate(templates.user, variables) },
+    ],
+  };
+};
+
+module.exports = {
+  PROMPTS_DIR,
+  renderTemplate,
+  loadPromptTemplates,
+  createPrompt,
+};
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderTemplate, loadPromptTemplates, createPrompt } = require('./prompts');
+
+describe('prompt template tests', () => {
+  describe('renderTemplate', () => {
+    it('should replace known variables', () => {
+      expect(renderTemplate('Review {{file}} ({{language}})', { file: 'de.json', language: 'German' })).toBe(
+        'Review de.json (German)'
+      );
+    });
+
+    it('should leave translation placeholders alone', () => {
+      expect(renderTemplate('Keep {{count}} and {{placeholders}} intact', { title: 'x' })).toBe(
+        'Keep {{count}} and {{placeholders}} intact'
+      );
+    });
+
+    it('should only render sections with a value', () => {
+      const template = '{{#title}}\n## PR Title\n{{title}}\n\n{{/title}}\n{{#description}}\n## PR Description\n{{description}}\n\n{{/description}}\n## Changes';
+      expect(renderTemplate(template, { title: 'Fix typo', description: '' })).toBe('## PR Title\nFix typo\n\n## Changes');
+    });
+
+    it('should render missing variables as empty strings', () => {
+      expect(renderTemplate('[{{title}}]', {})).toBe('[]');
+    });
+  });
+
+  describe('loadPromptTemplates', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+      fs.writeFileSync(path.join(dir, 'system.md'), 'System\n');
+      fs.writeFileSync(path.join(dir, 'user.md'), 'User {{changes}}\n');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should load templates and language addenda', () => {
+      fs.writeFileSync(path.join(dir, 'inline.md'), 'Rules');
+      fs.writeFileSync(path.join(dir, 'pt-br.md'), 'Brazilian rules');
+      fs.writeFileSync(path.join(dir, 'notes.md'), 'Not a locale');
+
+      const templates = loadPromptTemplates(dir);
+      expect(templates.system).toBe('System');
+      expect(templates.inline).toBe('Rules');
+      expect(templates.user).toBe('User {{changes}}');
+      expect(templates.addenda).toEqual({ 'pt-BR': 'Brazilian rules' });
+      expect(templates.version).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    it('should change the version when a template changes', () => {
+      const { version } = loadPromptTemplates(dir);
+      fs.writeFileSync(path.join(dir, 'de.md'), 'German rules');
+      expect(loadPromptTemplates(dir).version).not.toBe(version);
+    });
+
+    it('should require the system and user templates', () => {
+      fs.rmSync(path.join(dir, 'user.md'));
+      expect(() => loadPromptTemplates(dir)).toThrow('Missing system.md or user.md');
+    });
+
+    it('should load the templates shipped in the repository', () => {
+      const templates = loadPromptTemplates();
+      expect(templates.user).toContain('{{changes}}');
+      expect(templates.inline).toContain('Inline Review Instructions');
+      expect(templates.addenda.de).toBeDefined();
+    });
+  });
+
+  describe('createPrompt', () => {
+    const templates = {
+      system: 'System',
+      inline: 'Rules',
+      user: '{{#title}}Title: {{title}}\n{{/title}}Review {{language}}:\n{{changes}}',
+      addenda: { de: 'Use "du" for {{language}}' },
+    };
+    const change = (file) => ({ file, key: 'waypoint', newValue: 'x', oldValue: null, englishValue: 'Waypoint' });
+
+    it('should build system and user messages with the language addendum', () => {
+      const { messages } = createPrompt(templates, { title: 'Fix', description: '', changes: [change('de.json')] });
+      expect(messages).toEqual([
+        { role: 'system', content: 'System\n\nRules\n\nUse "du" for German' },
+        {
+          role: 'user',
+          content: `Title: Fix\nReview German:\n${JSON.stringify([change('de.json')], null, 2)}`,
+        },
+      ]);
+    });
+
+    it('should render the translation memory section', () => {
+      const withMemory = { ...templates, user: '{{#memory}}Similar:\n{{memory}}\n{{/memory}}{{changes}}' };
+      const changes = [change('de.json')];
+
+      const { messages } = createPrompt(withMemory, { changes, memory: '- waypoint:\n  - "Add waypoint": "x"' });
+      expect(messages[1].content).toBe(
+        `Similar:\n- waypoint:\n  - "Add waypoint": "x"\n${JSON.stringify(changes, null, 2)}`
+      );
+      expect(createPrompt(withMemory, { changes, memory: '' }).messages[1].content).not.toContain('Similar');
+    });
+
+    it('should leave out addenda for mixed files', () => {
+      const { messages } = createPrompt(templates, { changes: [change('de.json'), change('fr.json')] });
+      expect(messages[0].content).toBe('System\n\nRules');
+      expect(messages[1].content).toMatch(/^Review :/);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const axios = require('axios');
+const fs = require('fs');
+
+/**
+ * Providers send the chat messages to a model. Every provider implements
+ * `complete(messages)` resolving to `{ content, usage }`, where `content` is
+ * the text of the first choice and `usage` the token statistics, if any.
+ */
+
+const AZURE_OPEN_AI_API_VERSION = '2024-12-01-preview';
+
+/**
+ * Request body fields of the optional model parameters, see config.js.
+ *
+ * @param {{ temperature?: number|null, maxTokens?: number|null }} parameters
+ */
+const getCompletionParameters = ({ temperature, maxTokens } = {}) => ({
+  ...(temperature != null && { temperature }),
+  ...(maxTokens != null && { max_tokens: maxTokens }),
+});
+
+const postChatCompletion = async (url, headers, body) => {
+  const response = await axios.request({
+    method: 'post',
+    maxBodyLength: Number.POSITIVE_INFINITY,
+    url,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/json',
+    },
+    data: JSON.stringify(body),
+  });
+
+  return {
+    content: response.data.choices[0].message.content,
+    usage: response.data.usage,
+  };
+};
+
+/**
+ * Azure OpenAI deployment.
+ *
+ * @param {{ url: string, deployment: string, apiKey: string, apiVersion?: string, parameters?: Object }} options
+ *   `parameters` are the model parameters, see getCompletionParameters
+ */
+const createAzureOpenAIProvider = ({ url, deployment, apiKey, apiVersion = AZURE_OPEN_AI_API_VERSION, parameters }) => {
+  const endpoint = `${url}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+
+  return {
+    name: 'azure',
+    complete: (messages) =>
+      postChatCompletion(endpoint, { 'api-key': apiKey }, { messages, ...getCompletionParameters(parameters) }),
+  };
+};
+
+/**
+ * Any OpenAI-compatible chat completions endpoint, e.g. api.openai.com or a
+ * local llama.cpp / Ollama server (`http://localhost:11434/v1`).
+ *
+ * @param {{ baseUrl: string, model: string, apiKey?: string, parameters?: Object }} options
+ *   `parameters` are the model parameters, see getCompletionParameters
+ */
+const createOpenAICompatibleProvider = ({ baseUrl, model, apiKey, parameters }) => {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  return {
+    name: 'openai',
+    complete: (messages) =>
+      postChatCompletion(endpoint, headers, { model, messages, ...getCompletionParameters(parameters) }),
+  };
+};
+
+/**
+ * Deterministic provider replaying recorded responses in order, for tests and
+ * offline runs. Once all responses are used, the last one is repeated.
+ * Received messages are recorded in `requests`.
+ *
+ * @param {{ responses?: Array<string|{ content: string, usage?: Object }>, fixture?: string }} options
+ *   Either the responses themselves or the path of a JSON fixture file holding them
+ */
+const createMockProvider = ({ responses, fixture } = {}) => {
+  const replayed = responses || JSON.parse(fs.readFileSync(fixture, 'utf-8')).responses;
+  if (!Array.isArray(replayed) || replayed.length === 0) {
+    throw new Error('The mock provider needs at least one response');
+  }
+
+  const requests = [];
+
+  return {
+    name: 'mock',
+    requests,
+    complete: async (messages) => {
+      const response = replayed[Math.min(requests.length, replayed.length - 1)];
+      requests.push(messages);
+      return typeof response === 'string' ? { content: response, usage: undefined } : response;
+    },
+  };
+};
+
+/**
+ * Read the provider configuration from environment variables.
+ * `AI_PROVIDER` selects the provider and defaults to `azure`.
+ */
+const getProviderConfigFromEnv = (env = process.env) => ({
+  provider: env.AI_PROVIDER || 'azure',
+  azure: {
+    url: env.AZURE_OPEN_AI_URL,
+    deployment: env.AZURE_OPEN_AI_DEPLOYMENT,
+    apiKey: env.AZURE_OPEN_AI_SECRET,
+    apiVersion: env.AZURE_OPEN_AI_API_VERSION,
+  },
+  openai: {
+    baseUrl: env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    model: env.OPENAI_MODEL,
+    apiKey: env.OPENAI_API_KEY,
+  },
+  mock: {
+    fixture: env.AI_MOCK_FIXTURE,
+  },
+});
+
+/**
+ * Create the provider selected by the configuration.
+ *
+ * @param {Object} config - See getProviderConfigFromEnv
+ * @param {{ temperature?: number|null, maxTokens?: number|null }} parameters - Model parameters of the
+ *   reviewer configuration, the defaults of the model are used when unset
+ */
+const createProvider = (config = getProviderConfigFromEnv(), parameters = {}) => {
+  switch (config.provider) {
+    case 'azure':
+      return createAzureOpenAIProvider({ ...config.azure, parameters });
+    case 'openai':
+      return createOpenAICompatibleProvider({ ...config.openai, parameters });
+    case 'mock':
+      return createMockProvider(config.mock);
+    default:
+      throw new Error(`Unknown AI provider "${config.provider}", expected azure, openai or mock`);
+  }
+};
+
+module.exports = {
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  getProviderConfigFromEnv,
+  createProvider,
+};
@@ -0,0 +1,123 @@
+const path = require('path');
+const axios = require('axios');
+const {
+  createAzureOpenAIProvider,
+  createOpenAICompatibleProvider,
+  createMockProvider,
+  getProviderConfigFromEnv,
+  createProvider,
+} = require('./providers');
+
+jest.mock('axios');
+
+describe('AI provider tests', () => {
+  const messages = [{ role: 'user', content: 'Review this' }];
+
+  beforeEach(() => {
+    axios.request.mockReset();
+    axios.request.mockResolvedValue({
+      data: { choices: [{ message: { content: '{"summary": "ok", "issues": []}' } }], usage: { total_tokens: 5 } },
+    });
+  });
+
+  describe('createAzureOpenAIProvider', () => {
+    it('should call the Azure deployment with the api-key header', async () => {
+      const provider = createAzureOpenAIProvider({ url: 'https://x.openai.azure.com', deployment: 'gpt', apiKey: 'secret' });
+
+      await expect(provider.complete(messages)).resolves.toEqual({
+        content: '{"summary": "ok", "issues": []}',
+        usage: { total_tokens: 5 },
+      });
+
+      const config = axios.request.mock.calls[0][0];
+      expect(config.url).toBe(
+        'https://x.openai.azure.com/openai/deployments/gpt/chat/completions?api-version=2024-12-01-preview'
+      );
+      expect(config.headers['api-key']).toBe('secret');
+      expect(JSON.parse(config.data)).toEqual({ messages });
+    });
+
+    it('should allow overriding the API version', async () => {
+      const provider = createAzureOpenAIProvider({ url: 'u', deployment: 'd', apiKey: 'k', apiVersion: '2025-01-01' });
+      await provider.complete(messages);
+      expect(axios.request.mock.calls[0][0].url).toContain('api-version=2025-01-01');
+    });
+  });
+
+  describe('createOpenAICompatibleProvider', () => {
+    it('should call the chat completions endpoint with the model', async () => {
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:11434/v1/', model: 'llama3' });
+      await provider.complete(messages);
+
+      const config = axios.request.mock.calls[0][0];
+      expect(config.url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(config.headers.Authorization).toBeUndefined();
+      expect(JSON.parse(config.data)).toEqual({ model: 'llama3', messages });
+    });
+
+    it('should send the configured model parameters', async () => {
+      const provider = createOpenAICompatibleProvider({
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3',
+        parameters: { temperature: 0, maxTokens: 2000 },
+      });
+      await provider.complete(messages);
+
+      expect(JSON.parse(axios.request.mock.calls[0][0].data)).toEqual({
+        model: 'llama3',
+        messages,
+        temperature: 0,
+        max_tokens: 2000,
+      });
+    });
+
+    it('should send the API key as bearer token', async () => {
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'https://api.openai.com/v1', model: 'm', apiKey: 'sk' });
+      await provider.complete(messages);
+      expect(axios.request.mock.calls[0][0].headers.Authorization).toBe('Bearer sk');
+    });
+  });
+
+  describe('createMockProvider', () => {
+    it('should replay responses in order and repeat the last one', async () => {
+      const provider = createMockProvider({ responses: ['first', { content: 'second', usage: { total_tokens: 1 } }] });
+
+      await expect(provider.complete(messages)).resolves.toEqual({ content: 'first', usage: undefined });
+      await expect(provider.complete(messages)).resolves.toEqual({ content: 'second', usage: { total_tokens: 1 } });
+      await expect(provider.complete(messages)).resolves.toEqual({ content: 'second', usage: { total_tokens: 1 } });
+      expect(provider.requests).toEqual([messages, messages, messages]);
+      expect(axios.request).not.toHaveBeenCalled();
+    });
+
+    it('should load responses from a fixture file', async () => {
+      const provider = createMockProvider({ fixture: path.join(__dirname, 'fixtures', 'review.json') });
+      const { content, usage } = await provider.complete(messages);
+      expect(JSON.parse(content).issues).toHaveLength(1);
+      expect(usage.total_tokens).toBe(1280);
+    });
+
+    it('should require at least one response', () => {
+      expect(() => createMockProvider({ responses: [] })).toThrow('at least one response');
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should default to Azure OpenAI', () => {
+      const config = getProviderConfigFromEnv({ AZURE_OPEN_AI_URL: 'u', AZURE_OPEN_AI_DEPLOYMENT: 'd' });
+      expect(config.provider).toBe('azure');
+      expect(createProvider(config).name).toBe('azure');
+    });
+
+    it('should select the provider from AI_PROVIDER', () => {
+      expect(createProvider(getProviderConfigFromEnv({ AI_PROVIDER: 'openai', OPENAI_MODEL: 'm' })).name).toBe('openai');
+      const fixture = path.join(__dirname, 'fixtures', 'review.json');
+      expect(createProvider(getProviderConfigFromEnv({ AI_PROVIDER: 'mock', AI_MOCK_FIXTURE: fixture })).name).toBe(
+        'mock'
+      );
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'other' })).toThrow('Unknown AI provider "other"');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const { DEFAULT_SEVERITY, normalizeSeverity, normalizeCategory } = require('./severity');
+
+// Summary used when the model leaves it out
+const DEFAULT_SUMMARY = 'No summary provided.';
+
+/**
+ * Remove markdown code fences and any chatter around the JSON object.
+ * Models regularly answer with ```json ... ``` despite being told not to.
+ */
+const stripCodeFences = (text) => {
+  if (typeof text !== 'string') return text;
+
+  const trimmed = text.trim();
+  const fenced = trimmed.match(/^```[\w-]*\s*\n([\s\S]*?)\n?```$/);
+  if (fenced) return fenced[1].trim();
+
+  const start = trimmed.indexOf('{');
+  const end = trimmed.lastIndexOf('}');
+  if (start >= 0 && end > start) return trimmed.slice(start, end + 1);
+
+  return trimmed;
+};
+
+const pickString = (issue, names) => {
+  for (const name of names) {
+    if (typeof issue[name] === 'string' && issue[name].trim() !== '') {
+      return issue[name];
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Validate a single issue and repair what can be repaired: common alternative
+ * field names are mapped onto the schema and surrounding whitespace is removed
+ * from the file path. Line content is kept verbatim, it's matched against the file.
+ * An unknown severity falls back to the default one, an unknown category is left out.
+ *
+ * @returns {{ issue?: Object, reason?: string }} The repaired issue, or why it was dropped
+ */
+const validateIssue = (issue, files) => {
+  if (!issue || typeof issue !== 'object' || Array.isArray(issue)) {
+    return { reason: 'issue is not an object' };
+  }
+
+  const filePath = pickString(issue, ['filePath', 'file', 'path'])?.trim();
+  const lineContent = pickString(issue, ['lineContent', 'line']);
+  const comment = pickString(issue, ['comment', 'message']);
+
+  if (!filePath) return { reason: 'missing "filePath"' };
+  if (!lineContent) return { reason: 'missing "lineContent"' };
+  if (!comment) return { reason: 'missing "comment"' };
+  if (files && !files.includes(filePath)) {
+    return { reason: `"${filePath}" is not part of the changes under review` };
+  }
+
+  // The key only anchors the comment, a malformed one is dropped instead of the issue
+  const { key, severity, category, ...rest } = issue;
+  const validKey = typeof key === 'string' && key.trim() !== '' ? { key } : {};
+  const validCategory = normalizeCategory(category) ? { category: normalizeCategory(category) } : {};
+  return {
+    issue: {
+      ...rest,
+      ...validKey,
+      filePath,
+      lineContent,
+      comment,
+      severity: normalizeSeverity(severity) || DEFAULT_SEVERITY,
+      ...validCategory,
+    },
+  };
+};
+
+/**
+ * Parse and validate a model response against the `{ summary, issues[] }` schema
+ * requested in the user prompt.
+ *
+ * Malformed issues are dropped instead of failing the whole review. Only
+ * responses that aren't a JSON object with an issues array are rejected.
+ *
+ * @param {string} content - Raw model response
+ * @param {{ files?: string[] }} options - Files in the diff, issues for other files are dropped
+ * @returns {{ review: { summary: string, issues: Array }, dropped: Array<{ issue: *, reason: string }> }}
+ * @throws {Error} When the response can't be used at all
+ */
+const parseReviewResponse = (content, { files } = {}) => {
+  let json;
+  try {
+    json = JSON.parse(stripCodeFences(content));
+  } catch (error) {
+    throw new Error(`Response is not valid JSON: ${error.message}`);
+  }
+
+  if (!json || typeof json !== 'object' || Array.isArray(json)) {
+    throw new Error('Response must be a JSON object with "summary" and "issues"');
+  }
+
+  const rawIssues = json.issues === undefined || json.issues === null ? [] : json.issues;
+  if (!Array.isArray(rawIssues)) {
+    throw new Error('"issues" must be an array');
+  }
+
+  const issues = [];
+  const dropped = [];
+  for (const rawIssue of rawIssues) {
+    const { issue, reason } = validateIssue(rawIssue, files);
+    if (issue) {
+      issues.push(issue);
+    } else {
+      dropped.push({ issue: rawIssue, reason });
+    }
+  }
+
+  const summary = typeof json.summary === 'string' && json.summary.trim() !== '' ? json.summary : DEFAULT_SUMMARY;
+
+  return { review: { ...json, summary, issues }, dropped };
+};
+
+/**
+ * Follow-up message asking the model to fix an invalid response.
+ */
+const getRetryMessage = (error) => ({
+  role: 'user',
+  content: `Your previous response could not be used: ${error.message}
+
+Respond again with ONLY a JSON object in the exact structure from the instructions, without markdown code fences:
+{"summary": "...", "issues": [{"filePath": "...", "key": "...", "lineContent": "...", "severity": "...", "category": "...", "comment": "..."}]}`,
+});
+
+/**
+ * Get a validated review from the provider. An invalid response is retried
+ * once, with the validation error sent back to the model.
+ *
+ * @param {Object} provider - See providers.js
+ * @param {Array} messages - Prompt messages
+ * @param {{ files?: string[] }} options - See parseReviewResponse
+ * @returns {Promise<{ review: Object, dropped: Array, usage: Array }>} `usage` holds
+ *   the statistics of every request made, including the retry
+ */
+const requestValidatedReview = async (provider, messages, options) => {
+  const { content, usage } = await provider.complete(messages);
+  console.log(`${provider.name} usage statistics`, usage);
+
+  try {
+    return { ...parseReviewResponse(content, options), usage: [usage] };
+  } catch (error) {
+    console.warn(`Invalid review response, retrying once: ${error.message}`);
+
+    const retry = await provider.complete([...messages, { role: 'assistant', content }, getRetryMessage(error)]);
+    console.log(`${provider.name} usage statistics (retry)`, retry.usage);
+
+    try {
+      return { ...parseReviewResponse(retry.content, options), usage: [usage, retry.usage] };
+    } catch (retryError) {
+      console.error('Failed to validate review', retry.content);
+      throw retryError;
+    }
+  }
+};
+
+module.exports = {
+  stripCodeFences,
+  validateIssue,
+  parseReviewResponse,
+  getRetryMessage,
+  requestValidatedReview,
+};
@@ -0,0 +1,148 @@
+const {
+  stripCodeFences,
+  validateIssue,
+  parseReviewResponse,
+  requestValidatedReview,
+} = require('./response');
+const { createMockProvider } = require('./providers');
+
+describe('review response validation tests', () => {
+  const issue = { filePath: 'de.json', lineContent: '  "waypoint": "Wegpunktt",', comment: 'Typo', severity: 'warning' };
+
+  describe('stripCodeFences', () => {
+    it('should remove json code fences', () => {
+      expect(stripCodeFences('```json\n{"summary": "ok"}\n```')).toBe('{"summary": "ok"}');
+    });
+
+    it('should remove fences without language', () => {
+      expect(stripCodeFences('```\n{"summary": "ok"}```')).toBe('{"summary": "ok"}');
+    });
+
+    it('should remove text around the JSON object', () => {
+      expect(stripCodeFences('Here is the review:\n{"summary": "ok"}\nThanks')).toBe('{"summary": "ok"}');
+    });
+
+    it('should remove text after a JSON object at the start', () => {
+      expect(stripCodeFences('{"summary": "ok"}\nHope this helps')).toBe('{"summary": "ok"}');
+    });
+
+    it('should leave plain JSON alone', () => {
+      expect(stripCodeFences('  {"summary": "ok"}  ')).toBe('{"summary": "ok"}');
+    });
+  });
+
+  describe('validateIssue', () => {
+    it('should accept valid issues', () => {
+      expect(validateIssue(issue, ['de.json'])).toEqual({ issue });
+    });
+
+    it('should repair alternative field names', () => {
+      expect(validateIssue({ file: ' de.json ', line: issue.lineContent, message: 'Typo' }, ['de.json'])).toEqual({
+        issue: { file: ' de.json ', line: issue.lineContent, message: 'Typo', ...issue },
+      });
+    });
+
+    it('should drop issues with missing fields', () => {
+      expect(validateIssue({ filePath: 'de.json', comment: 'Typo' })).toEqual({ reason: 'missing "lineContent"' });
+      expect(validateIssue({ ...issue, comment: '  ' })).toEqual({ reason: 'missing "comment"' });
+      expect(validateIssue('Typo')).toEqual({ reason: 'issue is not an object' });
+    });
+
+    it('should keep a valid key and drop a malformed one', () => {
+      expect(validateIssue({ ...issue, key: 'waypoint' }).issue.key).toBe('waypoint');
+      expect(validateIssue({ ...issue, key: 42 }).issue).not.toHaveProperty('key');
+    });
+
+    it('should normalize the severity and category', () => {
+      const { issue: classified } = validateIssue({ ...issue, severity: 'Error', category: 'Placeholders' });
+      expect(classified).toMatchObject({ severity: 'error', category: 'placeholder' });
+
+      const { issue: unknown } = validateIssue({ ...issue, severity: 'critical', category: 'style' });
+      expect(unknown.severity).toBe('warning');
+      expect(unknown).not.toHaveProperty('category');
+    });
+
+    it('should drop issues for files that are not in the diff', () => {
+      expect(validateIssue(issue, ['fr.json'])).toEqual({
+        reason: '"de.json" is not part of the changes under review',
+      });
+    });
+  });
+
+  describe('parseReviewResponse', () => {
+    it('should parse fenced responses', () => {
+      const content = '```json\n' + JSON.stringify({ summary: 'One issue.', issues: [issue] }) + '\n```';
+      expect(parseReviewResponse(content, { files: ['de.json'] })).toEqual({
+        review: { summary: 'One issue.', issues: [issue] },
+        dropped: [],
+      });
+    });
+
+    it('should fill in a missing summary and issues', () => {
+      expect(parseReviewResponse('{}')).toEqual({
+        review: { summary: 'No summary provided.', issues: [] },
+        dropped: [],
+      });
+    });
+
+    it('should keep valid issues and report dropped ones', () => {
+      const { review, dropped } = parseReviewResponse(
+        JSON.stringify({ summary: 's', issues: [issue, { filePath: 'de.json' }] }),
+        { files: ['de.json'] }
+      );
+      expect(review.issues).toEqual([issue]);
+      expect(dropped).toEqual([{ issue: { filePath: 'de.json' }, reason: 'missing "lineContent"' }]);
+    });
+
+    it('should reject invalid JSON', () => {
+      expect(() => parseReviewResponse('not json')).toThrow('Response is not valid JSON');
+    });
+
+    it('should reject responses that are not objects', () => {
+      expect(() => parseReviewResponse('[]')).toThrow('Response must be a JSON object');
+    });
+
+    it('should reject non-array issues', () => {
+      expect(() => parseReviewResponse('{"summary": "s", "issues": {}}')).toThrow('"issues" must be an array');
+    });
+  });
+
+  describe('requestValidatedReview', () => {
+    const messages = [{ role: 'user', content: 'Review' }];
+    const valid = JSON.stringify({ summary: 'ok', issues: [issue] });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should not retry valid responses', async () => {
+      const provider = createMockProvider({ responses: [valid] });
+      const { review } = await requestValidatedReview(provider, messages, { files: ['de.json'] });
+      expect(review.issues).toEqual([issue]);
+      expect(provider.requests).toHaveLength(1);
+    });
+
+    it('should retry once with the validation error', async () => {
+      const provider = createMockProvider({ responses: ['Sorry, here you go', valid] });
+      const { review } = await requestValidatedReview(provider, messages, { files: ['de.json'] });
+
+      expect(review.summary).toBe('ok');
+      expect(provider.requests).toHaveLength(2);
+      expect(provider.requests[1].slice(0, 2)).toEqual([...messages, { role: 'assistant', content: 'Sorry, here you go' }]);
+      expect(provider.requests[1][2].role).toBe('user');
+      expect(provider.requests[1][2].content).toContain('Response is not valid JSON');
+    });
+
+    it('should fail when the retry is invalid as well', async () => {
+      const provider = createMockProvider({ responses: ['nope', '{"issues": "none"}'] });
+      await expect(requestValidatedReview(provider, messages)).rejects.toThrow('"issues" must be an array');
+      expect(provider.requests).toHaveLength(2);
+    });
+  });
+});
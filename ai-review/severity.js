@@ -0,0 +1,122 @@
+// From the most to the least severe
+const SEVERITIES = ['error', 'warning', 'suggestion'];
+
+const CATEGORIES = [
+  'placeholder',
+  'grammar',
+  'mistranslation',
+  'terminology',
+  'untranslated',
+  'plural',
+  'markup',
+  'key',
+  'length',
+];
+
+// Severity of AI findings that don't state one
+const DEFAULT_SEVERITY = 'warning';
+
+// Findings of the automated checks are certain, they are errors unless the check sets another severity
+const CHECK_CATEGORIES = {
+  keys: 'key',
+  placeholders: 'placeholder',
+  markup: 'markup',
+  plurals: 'plural',
+  glossary: 'terminology',
+  length: 'length',
+};
+
+const SEVERITY_ICONS = { error: '🔴', warning: '🟠', suggestion: '🔵' };
+
+const normalize = (value, allowed) => {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+  if (allowed.includes(normalized)) return normalized;
+  // Models like to use the plural, e.g. "placeholders"
+  const singular = normalized.replace(/s$/, '');
+  return allowed.includes(singular) ? singular : null;
+};
+
+/**
+ * @returns {string|null} One of SEVERITIES, or null for anything else
+ */
+const normalizeSeverity = (value) => normalize(value, SEVERITIES);
+
+/**
+ * @returns {string|null} One of CATEGORIES, or null for anything else
+ */
+const normalizeCategory = (value) => normalize(value, CATEGORIES);
+
+/**
+ * Set `severity` and `category` on an issue of the automated checks.
+ */
+const classifyCheckIssue = (issue) => ({ severity: 'error', category: CHECK_CATEGORIES[issue.check], ...issue });
+
+/**
+ * Whether a severity is at least as severe as the threshold. `none` is never reached.
+ */
+const isAtLeast = (severity, threshold) =>
+  SEVERITIES.includes(threshold) && SEVERITIES.indexOf(severity || DEFAULT_SEVERITY) <= SEVERITIES.indexOf(threshold);
+
+/**
+ * Keep the issues worth posting.
+ *
+ * @param {Array} issues - Review issues
+ * @param {{ minSeverity?: string, ignoredCategories?: string[] }} options - Least severe issues to post
+ *   and categories that are never posted
+ */
+const filterIssues = (issues, { minSeverity = 'suggestion', ignoredCategories = [] } = {}) =>
+  issues.filter(({ severity, category }) => isAtLeast(severity, minSeverity) && !ignoredCategories.includes(category));
+
+/**
+ * Keep the most severe issues, at most `max` of them, in their original order.
+ *
+ * @param {Array} issues - Review issues
+ * @param {number|null} max - Null keeps all issues
+ * @returns {{ selected: Array, omitted: number }}
+ */
+const selectMostSevere = (issues, max) => {
+  if (max === null || issues.length <= max) return { selected: issues, omitted: 0 };
+  const rank = ({ severity }) => SEVERITIES.indexOf(severity || DEFAULT_SEVERITY);
+  const kept = new Set([...issues].sort((a, b) => rank(a) - rank(b)).slice(0, max));
+  return { selected: issues.filter((issue) => kept.has(issue)), omitted: issues.length - max };
+};
+
+/**
+ * Small label shown above the comment of an issue, like "🔴 error · placeholder".
+ */
+const formatIssueLabel = ({ severity = DEFAULT_SEVERITY, category }) =>
+  `<sub>${SEVERITY_ICONS[severity]} ${severity}${category ? ` · ${category}` : ''}</sub>`;
+
+/**
+ * Markdown list of the number of issues per severity, broken down by category.
+ *
+ * @returns {string} Empty without issues
+ */
+const formatIssueOverview = (issues) =>
+  SEVERITIES.map((severity) => {
+    const matching = issues.filter((issue) => (issue.severity || DEFAULT_SEVERITY) === severity);
+    if (matching.length === 0) return null;
+
+    const counts = new Map();
+    matching.forEach(({ category }) => counts.set(category || 'other', (counts.get(category || 'other') || 0) + 1));
+    const breakdown = [...counts].map(([category, count]) => `${category} (${count})`).join(', ');
+    const noun = matching.length === 1 ? severity : `${severity}s`;
+    return `- ${SEVERITY_ICONS[severity]} **${matching.length} ${noun}**: ${breakdown}`;
+  })
+    .filter(Boolean)
+    .join('\n');
+
+module.exports = {
+  SEVERITIES,
+  CATEGORIES,
+  DEFAULT_SEVERITY,
+  normalizeSeverity,
+  normalizeCategory,
+  classifyCheckIssue,
+  isAtLeast,
+  filterIssues,
+  selectMostSevere,
+  formatIssueLabel,
+  formatIssueOverview,
+};
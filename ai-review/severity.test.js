@@ -0,0 +1,112 @@
+const {
+  normalizeSeverity,
+  normalizeCategory,
+  classifyCheckIssue,
+  isAtLeast,
+  filterIssues,
+  selectMostSevere,
+  formatIssueLabel,
+  formatIssueOverview,
+} = require('./severity');
+
+describe('severity tests', () => {
+  describe('normalizeSeverity and normalizeCategory', () => {
+    it('should accept known values in any case and plural', () => {
+      expect(normalizeSeverity(' Error ')).toBe('error');
+      expect(normalizeSeverity('suggestions')).toBe('suggestion');
+      expect(normalizeCategory('Placeholders')).toBe('placeholder');
+      expect(normalizeCategory('mistranslation')).toBe('mistranslation');
+    });
+
+    it('should reject unknown values', () => {
+      expect(normalizeSeverity('critical')).toBeNull();
+      expect(normalizeSeverity(undefined)).toBeNull();
+      expect(normalizeCategory('style')).toBeNull();
+      expect(normalizeCategory(42)).toBeNull();
+    });
+  });
+
+  describe('classifyCheckIssue', () => {
+    it('should make findings of the automated checks errors of their category', () => {
+      expect(classifyCheckIssue({ comment: 'x', check: 'plurals' })).toEqual({
+        comment: 'x',
+        check: 'plurals',
+        severity: 'error',
+        category: 'plural',
+      });
+      expect(classifyCheckIssue({ check: 'glossary' }).category).toBe('terminology');
+    });
+  });
+
+  describe('isAtLeast', () => {
+    it('should compare severities', () => {
+      expect(isAtLeast('error', 'warning')).toBe(true);
+      expect(isAtLeast('warning', 'warning')).toBe(true);
+      expect(isAtLeast('suggestion', 'warning')).toBe(false);
+      expect(isAtLeast(undefined, 'warning')).toBe(true);
+      expect(isAtLeast('error', 'none')).toBe(false);
+    });
+  });
+
+  describe('filterIssues', () => {
+    const issues = [
+      { severity: 'error', category: 'placeholder' },
+      { severity: 'warning', category: 'grammar' },
+      { severity: 'suggestion', category: 'terminology' },
+    ];
+
+    it('should keep everything by default', () => {
+      expect(filterIssues(issues)).toEqual(issues);
+    });
+
+    it('should drop less severe issues and ignored categories', () => {
+      expect(filterIssues(issues, { minSeverity: 'warning' })).toEqual(issues.slice(0, 2));
+      expect(filterIssues(issues, { ignoredCategories: ['grammar', 'terminology'] })).toEqual(issues.slice(0, 1));
+    });
+  });
+
+  describe('selectMostSevere', () => {
+    const issues = [
+      { comment: 'a', severity: 'suggestion' },
+      { comment: 'b', severity: 'error' },
+      { comment: 'c' },
+      { comment: 'd', severity: 'error' },
+    ];
+
+    it('should keep the most severe issues in their order', () => {
+      expect(selectMostSevere(issues, 3)).toEqual({ selected: issues.slice(1), omitted: 1 });
+      expect(selectMostSevere(issues, 1)).toEqual({ selected: [issues[1]], omitted: 3 });
+    });
+
+    it('should keep everything without a maximum', () => {
+      expect(selectMostSevere(issues, null)).toEqual({ selected: issues, omitted: 0 });
+    });
+  });
+
+  describe('formatIssueLabel', () => {
+    it('should render the severity and category', () => {
+      expect(formatIssueLabel({ severity: 'error', category: 'plural' })).toBe('<sub>🔴 error · plural</sub>');
+      expect(formatIssueLabel({})).toBe('<sub>🟠 warning</sub>');
+    });
+  });
+
+  describe('formatIssueOverview', () => {
+    it('should count the issues per severity and category', () => {
+      const overview = formatIssueOverview([
+        { severity: 'suggestion', category: 'terminology' },
+        { severity: 'error', category: 'placeholder' },
+        { severity: 'error', category: 'placeholder' },
+        { severity: 'error', category: 'key' },
+        { severity: 'suggestion' },
+      ]);
+
+      expect(overview).toBe(
+        '- 🔴 **3 errors**: placeholder (2), key (1)\n- 🔵 **2 suggestions**: terminology (1), other (1)'
+      );
+    });
+
+    it('should be empty without issues', () => {
+      expect(formatIssueOverview([])).toBe('');
+    });
+  });
+});
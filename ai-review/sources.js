@@ -0,0 +1,134 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Sources provide the pull request (or local change set) under review and the
+ * content of files in it. Every source implements:
+ *
+ * - `getPullRequest()` resolving to `{ diff, title, description, commit, baseCommit }`,
+ *   where `baseCommit` is the merge base the diff is built from
+ * - `getFileContent(path, commit)` resolving to the file content, or null
+ */
+
+/**
+ * Source backed by a GitHub pull request.
+ *
+ * @param {{ octokit: Object, owner: string, repo: string, pullNumber: number|string }} options
+ */
+const createGitHubSource = ({ octokit, owner, repo, pullNumber }) => {
+  const getPullRequest = async () => {
+    // Get PR details
+    const { data: pr } = await octokit.pulls.get({
+      owner,
+      repo,
+      pull_number: pullNumber,
+    });
+
+    // Get diff using Octokit's request method with diff media type
+    const diffResponse = await octokit.request(`GET /repos/${owner}/${repo}/pulls/${pullNumber}`, {
+      mediaType: {
+        format: 'diff',
+      },
+    });
+
+    // The diff of a pull request is built from the merge base, not the current base branch
+    const { data: comparison } = await octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${pr.base.sha}...${pr.head.sha}`,
+      per_page: 1,
+    });
+
+    return {
+      diff: diffResponse.data || '',
+      title: pr.title,
+      description: pr.body || '',
+      commit: pr.head.sha,
+      baseCommit: comparison.merge_base_commit.sha,
+    };
+  };
+
+  /**
+   * Fetch a single file's content from the repository.
+   */
+  const getFileContent = async (filePath, commit) => {
+    try {
+      const { data } = await octokit.repos.getContent({
+        owner,
+        repo,
+        path: filePath,
+        ref: commit,
+      });
+
+      if (data.type === 'file' && data.encoding === 'base64') {
+        return Buffer.from(data.content, 'base64').toString('utf-8');
+      } else if (data.type === 'file' && typeof data.content === 'string') {
+        return data.content;
+      }
+      return null;
+    } catch (err) {
+      console.error(`Failed to get content for ${filePath}`, err);
+      return null;
+    }
+  };
+
+  return { getPullRequest, getFileContent };
+};
+
+/**
+ * Source backed by a local git checkout, for running the reviewer without GitHub.
+ *
+ * The diff is built like GitHub does for pull requests, from the merge base of
+ * `base` and `head`. Without `head` the working tree (including uncommitted
+ * changes) is compared instead, `commit` is null and files are read from the
+ * working tree. Files of `head` and other commits, like the merge base, are
+ * read from git.
+ *
+ * @param {{ base: string, head?: string, title?: string, description?: string, cwd?: string }} options
+ */
+const createLocalGitSource = ({ base, head, title = '', description = '', cwd = process.cwd() }) => {
+  const git = (args) =>
+    execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf-8',
+      maxBuffer: 256 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+  const root = git(['rev-parse', '--show-toplevel']).trim();
+  const headCommit = head ? git(['rev-parse', head]).trim() : null;
+
+  const getPullRequest = async () => {
+    const mergeBase = git(['merge-base', base, headCommit || 'HEAD']).trim();
+    const range = head ? [`${base}...${head}`] : [mergeBase];
+    const diff = git(['diff', '--no-color', '--no-ext-diff', ...range]);
+
+    return {
+      diff,
+      title,
+      description,
+      commit: headCommit,
+      baseCommit: mergeBase,
+    };
+  };
+
+  const getFileContent = async (filePath, commit) => {
+    try {
+      if (commit) {
+        return git(['show', `${commit}:${filePath}`]);
+      }
+      return fs.readFileSync(path.join(root, filePath), 'utf-8');
+    } catch (err) {
+      console.error(`Failed to get content for ${filePath}`, err.message);
+      return null;
+    }
+  };
+
+  return { getPullRequest, getFileContent };
+};
+
+module.exports = {
+  createGitHubSource,
+  createLocalGitSource,
+};
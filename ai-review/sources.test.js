@@ -0,0 +1,154 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGitHubSource, createLocalGitSource } = require('./sources');
+const { formatReview } = require('./cli');
+
+describe('review sources tests', () => {
+  describe('createGitHubSource', () => {
+    const createOctokit = () => ({
+      pulls: {
+        get: jest.fn().mockResolvedValue({
+          data: { title: 'Fix German', body: null, head: { sha: 'abc123' }, base: { sha: 'main456' } },
+        }),
+      },
+      request: jest.fn().mockResolvedValue({ data: 'diff --git a/de.json b/de.json' }),
+      repos: {
+        getContent: jest.fn(),
+        compareCommitsWithBasehead: jest.fn().mockResolvedValue({ data: { merge_base_commit: { sha: 'base789' } } }),
+      },
+    });
+
+    it('should return the pull request diff and details', async () => {
+      const octokit = createOctokit();
+      const source = createGitHubSource({ octokit, owner: 'o', repo: 'r', pullNumber: 7 });
+
+      await expect(source.getPullRequest()).resolves.toEqual({
+        diff: 'diff --git a/de.json b/de.json',
+        title: 'Fix German',
+        description: '',
+        commit: 'abc123',
+        baseCommit: 'base789',
+      });
+      expect(octokit.pulls.get).toHaveBeenCalledWith({ owner: 'o', repo: 'r', pull_number: 7 });
+      expect(octokit.repos.compareCommitsWithBasehead).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: 'main456...abc123' })
+      );
+      expect(octokit.request).toHaveBeenCalledWith('GET /repos/o/r/pulls/7', { mediaType: { format: 'diff' } });
+    });
+
+    it('should decode base64 file content', async () => {
+      const octokit = createOctokit();
+      octokit.repos.getContent.mockResolvedValue({
+        data: { type: 'file', encoding: 'base64', content: Buffer.from('{"a": "b"}').toString('base64') },
+      });
+      const source = createGitHubSource({ octokit, owner: 'o', repo: 'r', pullNumber: 7 });
+
+      await expect(source.getFileContent('de.json', 'abc123')).resolves.toBe('{"a": "b"}');
+      expect(octokit.repos.getContent).toHaveBeenCalledWith({ owner: 'o', repo: 'r', path: 'de.json', ref: 'abc123' });
+    });
+
+    it('should return null when the file cannot be fetched', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const octokit = createOctokit();
+      octokit.repos.getContent.mockRejectedValue(new Error('Not Found'));
+      const source = createGitHubSource({ octokit, owner: 'o', repo: 'r', pullNumber: 7 });
+
+      await expect(source.getFileContent('xx.json', 'abc123')).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('createLocalGitSource', () => {
+    let cwd;
+    const git = (...args) => execFileSync('git', args, { cwd, encoding: 'utf-8' });
+
+    beforeAll(() => {
+      cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-review-'));
+      git('init', '-q', '-b', 'main');
+      git('config', 'user.email', 'test@example.com');
+      git('config', 'user.name', 'Test');
+      fs.writeFileSync(path.join(cwd, 'de.json'), '{\n  "waypoint": "Wegpunkt"\n}\n');
+      git('add', '-A');
+      git('commit', '-q', '-m', 'Initial');
+      git('checkout', '-q', '-b', 'feature');
+      fs.writeFileSync(path.join(cwd, 'de.json'), '{\n  "waypoint": "Zwischenziel"\n}\n');
+      git('commit', '-q', '-am', 'Change waypoint');
+    });
+
+    afterAll(() => {
+      fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    it('should diff a commit range', async () => {
+      const source = createLocalGitSource({ base: 'main', head: 'feature', title: 'Local', cwd });
+      const { diff, title, commit, baseCommit } = await source.getPullRequest();
+
+      expect(diff).toContain('diff --git a/de.json b/de.json');
+      expect(diff).toContain('+  "waypoint": "Zwischenziel"');
+      expect(title).toBe('Local');
+      expect(commit).toBe(git('rev-parse', 'feature').trim());
+      expect(baseCommit).toBe(git('rev-parse', 'main').trim());
+    });
+
+    it('should read files of the merge base from git', async () => {
+      const source = createLocalGitSource({ base: 'main', head: 'feature', cwd });
+      const { commit, baseCommit } = await source.getPullRequest();
+
+      await expect(source.getFileContent('de.json', baseCommit)).resolves.toContain('"Wegpunkt"');
+      await expect(source.getFileContent('de.json', commit)).resolves.toContain('"Zwischenziel"');
+    });
+
+    it('should read files of head from git when another revision is checked out', async () => {
+      git('checkout', '-q', 'main');
+      try {
+        const source = createLocalGitSource({ base: 'main', head: 'feature', cwd });
+        const { commit } = await source.getPullRequest();
+
+        await expect(source.getFileContent('de.json', commit)).resolves.toContain('"Zwischenziel"');
+      } finally {
+        git('checkout', '-q', 'feature');
+      }
+    });
+
+    it('should include uncommitted changes without head', async () => {
+      fs.writeFileSync(path.join(cwd, 'de.json'), '{\n  "waypoint": "Via"\n}\n');
+      const source = createLocalGitSource({ base: 'main', cwd });
+      const { diff, commit, baseCommit } = await source.getPullRequest();
+
+      expect(diff).toContain('+  "waypoint": "Via"');
+      expect(commit).toBeNull();
+      await expect(source.getFileContent('de.json', commit)).resolves.toContain('"Via"');
+      await expect(source.getFileContent('de.json', baseCommit)).resolves.toContain('"Wegpunkt"');
+      git('checkout', '--', 'de.json');
+    });
+
+    it('should return null for missing files', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const source = createLocalGitSource({ base: 'main', cwd });
+      await expect(source.getFileContent('xx.json')).resolves.toBeNull();
+      console.error.mockRestore();
+    });
+  });
+
+  describe('formatReview', () => {
+    it('should print issues with file and line', () => {
+      const text = formatReview(
+        {
+          summary: 'One issue found.',
+          issues: [
+            { filePath: 'de.json', lineContent: '  "waypoint": "Wegpunktt"', comment: 'Typo' },
+            { filePath: 'fr.json', lineContent: '  "waypoint": "x"', comment: 'Unknown file' },
+            { filePath: 'de.json', key: 'waypoint', lineContent: 'x', comment: 'Label', severity: 'error', category: 'grammar' },
+          ],
+        },
+        [{ path: 'de.json', content: '{\n  "waypoint": "Wegpunktt"\n}' }]
+      );
+
+      expect(text).toBe(
+        'One issue found.\n\nde.json:2:\nTypo\n\nfr.json:\nUnknown file\n\nde.json:2: error · grammar\nLabel\n'
+      );
+    });
+  });
+});
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isLocaleFile, getLocaleFromPath } = require('./utils');
+const { hashValue } = require('./stale');
+const { formatContextNotes } = require('./context');
+const { setEntries } = require('./sync');
+const { findLocaleFile, loadExchangeUnits, mergeTranslations } = require('./exchange');
+const { formatCsv, parseCsv, escapeFormula, unescapeFormula } = require('./formats/csv');
+const { createXlsx, readXlsx } = require('./formats/xlsx');
+
+/**
+ * Spreadsheets for contributors who translate in Excel or LibreOffice: one row
+ * per string with its key, the English text, its context (see context.js) and,
+ * for every exported locale, the current translation, its status and a hidden version.
+ *
+ * The version is a hash of the translation at the time of the export. An
+ * import only takes the cells that were edited, and reports a conflict when
+ * the locale file changed the same string in the meantime.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+// Columns of free text, the English text and the translation of each locale
+const isTextColumn = (column) => column === 1 || (column >= 3 && column % 3 === 0);
+
+const FORMATS = {
+  '.csv': {
+    // Only text cells can start like a formula, see escapeFormula
+    write: ([header, ...rows]) =>
+      formatCsv([header, ...rows.map((row) => row.map((cell, i) => (isTextColumn(i) ? escapeFormula(cell) : cell)))]),
+    read: (buffer) => parseCsv(buffer.toString('utf-8')),
+  },
+  '.xlsx': {
+    write: (rows, columns) => createXlsx(rows, { sheetName: 'Translations', columns }),
+    read: (buffer) => readXlsx(buffer),
+  },
+};
+
+const USAGE = `Usage: node ai-review/spreadsheet.js export --output <file> [options]
+       node ai-review/spreadsheet.js import <file> [options]
+
+Exports translations as a CSV or XLSX spreadsheet, and imports the edited spreadsheet.
+
+Options:
+  --locale <locale>  Locale to export, can be repeated, defaults to all locales
+  --output <file>    File to export to, the format is taken from its extension (.csv or .xlsx)
+  --dry-run          Only report what an import would change
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --help             Show this message`;
+
+const getStatusHeader = (locale) => `${locale} status`;
+const getVersionHeader = (locale) => `${locale} version`;
+
+/**
+ * Rows of a spreadsheet, the first row is the header.
+ *
+ * @param {Array<{ locale: string, units: Array<Object> }>} locales - Units of getExchangeUnits per locale
+ * @returns {string[][]}
+ */
+const createSpreadsheetRows = (locales) => {
+  // Plural forms differ between locales, rows follow the first locale that has them
+  const sources = new Map();
+  locales.forEach(({ units }) => units.forEach((unit) => sources.set(unit.key, sources.get(unit.key) ?? unit)));
+  const unitsByLocale = locales.map(({ units }) => new Map(units.map((unit) => [unit.key, unit])));
+
+  const header = ['Key', 'English', 'Context'];
+  locales.forEach(({ locale }) => header.push(locale, getStatusHeader(locale), getVersionHeader(locale)));
+
+  const rows = [...sources.values()].map(({ key, source, context }) => {
+    const row = [key, source, formatContextNotes(context).join('\n')];
+    unitsByLocale.forEach((units) => {
+      const unit = units.get(key);
+      if (unit) row.push(unit.target ?? '', unit.state, hashValue(unit.target ?? ''));
+      else row.push('', '', '');
+    });
+    return row;
+  });
+  return [header, ...rows];
+};
+
+/**
+ * Read the rows of a spreadsheet made by createSpreadsheetRows. Columns of a
+ * locale are recognized by the status column next to them, the version column
+ * is optional for spreadsheets that were put together by hand. English and
+ * translation cells that were kept from being formulas are restored, see escapeFormula.
+ *
+ * @param {string[][]} rows
+ * @returns {Array<{ locale: string, rows: Array<{ key: string, english: string, target: string, version?: string }> }>}
+ * @throws {Error} When the header doesn't start with Key and English
+ */
+const readSpreadsheetRows = ([header = [], ...rows]) => {
+  if (header[0] !== 'Key' || header[1] !== 'English') {
+    throw new Error('The first row of the spreadsheet must start with the columns Key and English');
+  }
+
+  return header
+    .map((locale, column) => ({ locale, column }))
+    .filter(({ locale, column }) => column > 1 && header[column + 1] === getStatusHeader(locale))
+    .map(({ locale, column }) => {
+      const versionColumn = header[column + 2] === getVersionHeader(locale) ? column + 2 : -1;
+      return {
+        locale,
+        rows: rows.map((row) => ({
+          key: row[0] ?? '',
+          english: unescapeFormula(row[1] ?? ''),
+          target: unescapeFormula(row[column] ?? ''),
+          ...(versionColumn === -1 ? {} : { version: row[versionColumn] ?? '' }),
+        })),
+      };
+    });
+};
+
+/**
+ * Merge the edited cells of a locale into its translations.
+ *
+ * Cells whose version still matches are unchanged and left out, as are
+ * empty cells. An edit conflicts when the English text or the translation in
+ * the locale file changed since the export.
+ *
+ * @param {Object} englishTranslations - The content of en.json
+ * @param {Object} translations - The content of the locale file
+ * @param {string} locale
+ * @param {Array<Object>} units - The current units of the locale, see getExchangeUnits
+ * @param {Array<{ key: string, english: string, target: string, version?: string }>} rows
+ * @returns {{ values: Object, conflicts: Array<{ key: string, problem: string }>,
+ *   rejected: Array<{ key: string, problem: string }> }}
+ */
+const mergeSpreadsheet = (englishTranslations, translations, locale, units, rows) => {
+  const currentUnits = new Map(units.map((unit) => [unit.key, unit]));
+  const conflicts = [];
+  const entries = [];
+
+  for (const { key, english, target, version } of rows) {
+    if (target === '' || (version !== undefined && hashValue(target) === version)) continue;
+    const unit = currentUnits.get(key);
+    const current = unit?.target ?? '';
+
+    if (unit && unit.source !== english) {
+      conflicts.push({ key, problem: `The English text changed since the export, it is now "${unit.source}"` });
+    } else if (unit && version && hashValue(current) !== version && current !== target) {
+      conflicts.push({ key, problem: `The translation changed since the export, it is now "${current}"` });
+    } else {
+      entries.push({ key: key || null, target, translated: true });
+    }
+  }
+
+  const { values, rejected } = mergeTranslations(englishTranslations, translations, locale, entries);
+  return { values, conflicts, rejected };
+};
+
+const run = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      locale: { type: 'string', multiple: true },
+      output: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      root: { type: 'string', default: REPO_ROOT },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  const [command, file] = positionals;
+  const isExport = command === 'export' && values.output && positionals.length === 1;
+  const isImport = command === 'import' && file && positionals.length === 2;
+
+  if (values.help || !(isExport || isImport)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const spreadsheetFile = isExport ? values.output : file;
+  const format = FORMATS[path.extname(spreadsheetFile).toLowerCase()];
+  if (!format) {
+    console.error(`Unknown format of ${spreadsheetFile}, use a .csv or .xlsx file`);
+    return 1;
+  }
+
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+  const findLocaleFiles = (locales) => {
+    const missing = locales.filter((locale) => !findLocaleFile(values.root, locale));
+    missing.forEach((locale) => console.error(`No locale file found for "${locale}"`));
+    return missing.length > 0 ? null : locales.map((locale) => findLocaleFile(values.root, locale));
+  };
+
+  if (isExport) {
+    const localeFiles = values.locale
+      ? findLocaleFiles(values.locale)
+      : fs
+          .readdirSync(values.root)
+          .filter((name) => isLocaleFile(name) && name !== 'en.json')
+          .sort();
+    if (!localeFiles) return 1;
+
+    const locales = localeFiles.map((localeFile) => ({
+      locale: getLocaleFromPath(localeFile),
+      units: loadExchangeUnits(values.root, localeFile, englishTranslations),
+    }));
+    const rows = createSpreadsheetRows(locales);
+    const columns = [{ width: 30 }, { width: 50 }, { width: 40 }];
+    locales.forEach(() => columns.push({ width: 50 }, { width: 12 }, { width: 10, hidden: true }));
+
+    fs.writeFileSync(spreadsheetFile, format.write(rows, columns));
+    console.log(`Exported ${rows.length - 1} strings of ${localeFiles.join(', ')} to ${spreadsheetFile}`);
+    return 0;
+  }
+
+  const spreadsheet = readSpreadsheetRows(format.read(fs.readFileSync(file)));
+  const localeFiles = findLocaleFiles(spreadsheet.map(({ locale }) => locale));
+  if (!localeFiles) return 1;
+  if (localeFiles.length === 0) {
+    console.error(`${file} has no locale columns`);
+    return 1;
+  }
+
+  let exitCode = 0;
+  spreadsheet.forEach(({ rows }, i) => {
+    const localeFile = localeFiles[i];
+    const content = fs.readFileSync(path.join(values.root, localeFile), 'utf-8');
+    const locale = getLocaleFromPath(localeFile);
+    const units = loadExchangeUnits(values.root, localeFile, englishTranslations);
+    const result = mergeSpreadsheet(englishTranslations, JSON.parse(content), locale, units, rows);
+    const changed = Object.keys(result.values);
+
+    console.log(
+      `${localeFile}: ${changed.length} updated, ${result.conflicts.length} conflicts, ` +
+        `${result.rejected.length} rejected`
+    );
+    [...result.conflicts, ...result.rejected].forEach(({ key, problem }) => console.log(`  ${key}: ${problem}`));
+    if (!values['dry-run'] && changed.length > 0) {
+      fs.writeFileSync(path.join(values.root, localeFile), setEntries(content, result.values));
+    }
+    if (result.conflicts.length > 0 || result.rejected.length > 0) exitCode = 1;
+  });
+  return exitCode;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to exchange translation spreadsheets', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  createSpreadsheetRows,
+  readSpreadsheetRows,
+  mergeSpreadsheet,
+  run,
+};
@@ -0,0 +1,224 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATE_DIR, hashValue } = require('./stale');
+const { getExchangeUnits } = require('./exchange');
+const { parseCsv } = require('./formats/csv');
+const { createXlsx, readXlsx } = require('./formats/xlsx');
+const { createSpreadsheetRows, readSpreadsheetRows, mergeSpreadsheet, run } = require('./spreadsheet');
+
+describe('spreadsheet tests', () => {
+  const englishTranslations = {
+    settings: 'Settings',
+    share: 'Share {{name}}',
+    day_names: ['Sunday', 'Monday'],
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+  };
+  const german = {
+    settings: 'Einstellungen',
+    day_names: ['Sonntag', 'Montag'],
+    charges_one: 'Eine Ladung',
+    charges_other: '{{count}} Ladungen',
+  };
+  const polish = { settings: 'Ustawienia', charges_few: '{{count}} ładowania' };
+
+  describe('createSpreadsheetRows', () => {
+    it('should make a row of every string with its context and the columns of each locale', () => {
+      const context = { settings: { description: 'Menu entry', maxLength: 20 } };
+      const rows = createSpreadsheetRows([
+        { locale: 'de', units: getExchangeUnits(englishTranslations, german, 'de', { context }) },
+        { locale: 'pl', units: getExchangeUnits(englishTranslations, polish, 'pl', { context }) },
+      ]);
+
+      // Without the version columns
+      expect(rows.map((row) => row.filter((cell, i) => i < 3 || i % 3 !== 2))).toEqual([
+        ['Key', 'English', 'Context', 'de', 'de status', 'pl', 'pl status'],
+        [
+          'settings',
+          'Settings',
+          'Context: Menu entry\nMaximum length: 20 characters',
+          'Einstellungen',
+          'translated',
+          'Ustawienia',
+          'translated',
+        ],
+        ['share', 'Share {{name}}', '', '', 'untranslated', '', 'untranslated'],
+        ['day_names[0]', 'Sunday', '', 'Sonntag', 'translated', '', 'untranslated'],
+        ['day_names[1]', 'Monday', '', 'Montag', 'translated', '', 'untranslated'],
+        ['charges_one', 'One charge', '', 'Eine Ladung', 'translated', '', 'untranslated'],
+        ['charges_other', '{{count}} charges', '', '{{count}} Ladungen', 'translated', '', 'untranslated'],
+        ['charges_few', '{{count}} charges', '', '', '', '{{count}} ładowania', 'translated'],
+        ['charges_many', '{{count}} charges', '', '', '', '', 'untranslated'],
+      ]);
+      expect(rows[0][5]).toBe('de version');
+      expect(rows[1][5]).toBe(hashValue('Einstellungen'));
+      expect(rows[2][5]).toBe(hashValue(''));
+      expect(rows[7][5]).toBe('');
+    });
+  });
+
+  describe('readSpreadsheetRows', () => {
+    it('should find the columns of each locale', () => {
+      const rows = [
+        ['Key', 'English', 'de', 'de status', 'de version', 'Notes', 'fr', 'fr status'],
+        ['settings', 'Settings', 'Optionen', 'translated', 'abc', 'note', 'Paramètres'],
+      ];
+
+      expect(readSpreadsheetRows(rows)).toEqual([
+        { locale: 'de', rows: [{ key: 'settings', english: 'Settings', target: 'Optionen', version: 'abc' }] },
+        { locale: 'fr', rows: [{ key: 'settings', english: 'Settings', target: 'Paramètres' }] },
+      ]);
+    });
+
+    it('should reject other spreadsheets', () => {
+      expect(() => readSpreadsheetRows([['Name', 'Value']])).toThrow(
+        'The first row of the spreadsheet must start with the columns Key and English'
+      );
+    });
+  });
+
+  describe('mergeSpreadsheet', () => {
+    const units = getExchangeUnits(englishTranslations, german, 'de');
+    const row = (key, english, target, exported) => ({ key, english, target, version: hashValue(exported) });
+
+    it('should merge edited cells and skip unchanged ones', () => {
+      const result = mergeSpreadsheet(englishTranslations, german, 'de', units, [
+        row('settings', 'Settings', 'Einstellungen', 'Einstellungen'),
+        row('share', 'Share {{name}}', '{{name}} teilen', ''),
+        row('day_names[1]', 'Monday', 'Mo', 'Montag'),
+        row('charges_one', 'One charge', '', 'Eine Ladung'),
+      ]);
+
+      expect(result).toEqual({
+        values: { share: '{{name}} teilen', day_names: ['Sonntag', 'Mo'] },
+        conflicts: [],
+        rejected: [],
+      });
+    });
+
+    it('should report conflicts and reject unknown keys and placeholder mismatches', () => {
+      const result = mergeSpreadsheet(englishTranslations, german, 'de', units, [
+        row('settings', 'Settings', 'Optionen', 'Einstellungen (alt)'),
+        row('day_names[0]', 'Sun', 'So', 'Sonntag'),
+        row('charges_other', '{{count}} charges', '{{count}} Ladungen', 'Ladungen'),
+        row('orphan', 'Orphan', 'Waise', ''),
+        row('share', 'Share {{name}}', 'Teilen', ''),
+      ]);
+
+      expect(result.values).toEqual({});
+      expect(result.conflicts).toEqual([
+        { key: 'settings', problem: 'The translation changed since the export, it is now "Einstellungen"' },
+        { key: 'day_names[0]', problem: 'The English text changed since the export, it is now "Sunday"' },
+      ]);
+      expect(result.rejected).toEqual([
+        { key: 'orphan', problem: 'The key does not exist in English' },
+        { key: 'share', problem: 'Placeholders differ from the English text: {{name}} is missing' },
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    let dir;
+    const read = (name) => fs.readFileSync(path.join(dir, name), 'utf-8');
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spreadsheet-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(englishTranslations, null, 2));
+      fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify(german, null, 2));
+      fs.writeFileSync(path.join(dir, 'pl.json'), JSON.stringify(polish, null, 2));
+      fs.mkdirSync(path.join(dir, STATE_DIR));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should read back exported cells that look like formulas', async () => {
+      const english = { connected: '- connected', more: '+ {{count}} more', "'=total": '= Total' };
+      const czech = { connected: '- připojeno', more: '=@{{count}}', "'=total": '= Celkem' };
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(english, null, 2));
+      fs.writeFileSync(path.join(dir, 'cs.json'), JSON.stringify(czech, null, 2));
+      const file = path.join(dir, 'translations.csv');
+
+      expect(await run(['export', '--output', file, '--locale', 'cs', '--root', dir])).toBe(0);
+      // Only the English and translation cells are kept from being formulas
+      expect(read('translations.csv')).toContain("connected,'- connected,,'- připojeno,translated,");
+      expect(read('translations.csv')).toContain("'=total,'= Total,,'= Celkem,translated,");
+
+      const [{ rows }] = readSpreadsheetRows(parseCsv(read('translations.csv')));
+      expect(rows.map(({ key, english: source, target }) => [key, source, target])).toEqual([
+        ['connected', '- connected', '- připojeno'],
+        ['more', '+ {{count}} more', '=@{{count}}'],
+        ["'=total", '= Total', '= Celkem'],
+      ]);
+      expect(await run(['import', file, '--dry-run', '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenCalledWith('cs.json: 0 updated, 0 conflicts, 0 rejected');
+    });
+
+    it('should export and import CSV files', async () => {
+      const file = path.join(dir, 'translations.csv');
+      expect(await run(['export', '--output', file, '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenCalledWith(`Exported 8 strings of de.json, pl.json to ${file}`);
+      expect(parseCsv(read('translations.csv'))[0]).toEqual([
+        'Key',
+        'English',
+        'Context',
+        'de',
+        'de status',
+        'de version',
+        'pl',
+        'pl status',
+        'pl version',
+      ]);
+
+      const exported = read('translations.csv');
+      fs.writeFileSync(file, exported.replace('share,Share {{name}},,,', 'share,Share {{name}},,Teile {{name}},'));
+      // The Polish translation changes after the export
+      const changed = { ...polish, share: 'Udostępnij {{name}}' };
+      fs.writeFileSync(path.join(dir, 'pl.json'), JSON.stringify(changed, null, 2));
+
+      expect(await run(['import', file, '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenCalledWith('de.json: 1 updated, 0 conflicts, 0 rejected');
+      expect(console.log).toHaveBeenCalledWith('pl.json: 0 updated, 0 conflicts, 0 rejected');
+      expect(JSON.parse(read('de.json'))).toEqual({ ...german, share: 'Teile {{name}}' });
+    });
+
+    it('should import XLSX files and not write conflicts or dry runs', async () => {
+      const file = path.join(dir, 'de.xlsx');
+      expect(await run(['export', '--locale', 'de', '--output', file, '--root', dir])).toBe(0);
+      expect(readXlsx(fs.readFileSync(file))[1].slice(0, 5)).toEqual([
+        'settings',
+        'Settings',
+        '',
+        'Einstellungen',
+        'translated',
+      ]);
+
+      const rows = readXlsx(fs.readFileSync(file));
+      rows[1][3] = 'Optionen';
+      fs.writeFileSync(file, createXlsx(rows));
+      expect(await run(['import', file, '--dry-run', '--root', dir])).toBe(0);
+      expect(console.log).toHaveBeenLastCalledWith('de.json: 1 updated, 0 conflicts, 0 rejected');
+
+      fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify({ ...german, settings: 'Einstellung' }, null, 2));
+      const before = read('de.json');
+      expect(await run(['import', file, '--root', dir])).toBe(1);
+      expect(console.log).toHaveBeenCalledWith(
+        '  settings: The translation changed since the export, it is now "Einstellung"'
+      );
+      expect(read('de.json')).toBe(before);
+    });
+
+    it('should print the usage on invalid arguments', async () => {
+      expect(await run(['export', '--root', dir])).toBe(1);
+      expect(await run(['export', '--output', 'de.ods', '--root', dir])).toBe(1);
+      expect(console.error).toHaveBeenLastCalledWith('Unknown format of de.ods, use a .csv or .xlsx file');
+      expect(await run(['export', '--locale', 'xx', '--output', 'de.csv', '--root', dir])).toBe(1);
+      expect(console.error).toHaveBeenLastCalledWith('No locale file found for "xx"');
+    });
+  });
+});
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isLocaleFile, getLocaleFromPath, getNestedValue } = require('./utils');
+const { getExpectedKeys } = require('./plurals');
+
+/**
+ * Translations go stale when the English text they were made from changes.
+ *
+ * The state of every locale is kept in `.i18n-state/<locale>.json`, next to
+ * the locale files. For every translated key it holds a hash of the English
+ * value the translation was made from and a hash of the translation itself:
+ *
+ *   { "settings": { "source": "1f0c6a2b9e7d", "translation": "8a4e0b3c51d2" } }
+ *
+ * A translation is stale when the English value no longer matches `source`
+ * while the translation still matches `translation`. Editing the translation
+ * makes it current again, `--accept` does so for translations that are still
+ * correct. `--update` records new and edited translations, it runs after
+ * every change of the main branch.
+ *
+ * Keys added by the sync tool hold a copy of the English value, their entry
+ * is marked with `"untranslated": true` until the translation is edited, see
+ * sync.js. Those are never stale.
+ */
+
+const STATE_DIR = '.i18n-state';
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const USAGE = `Usage: node ai-review/stale.js [options]
+
+Lists the translations whose English source changed since they were translated.
+
+Options:
+  --locale <locale>  Only this locale, e.g. de or pt-BR
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --update           Record new and edited translations in ${STATE_DIR}/
+  --accept <key>     Mark the translation of a key as still correct, requires --locale, repeatable
+  --format <format>  Output format: text (default) or json
+  --help             Show this message`;
+
+/**
+ * Short hash of a translation value, non-strings (arrays) are hashed as JSON.
+ */
+const hashValue = (value) =>
+  crypto
+    .createHash('sha256')
+    .update(typeof value === 'string' ? value : JSON.stringify(value))
+    .digest('hex')
+    .slice(0, 12);
+
+/**
+ * Keys whose English value changed, added and removed keys are not included.
+ *
+ * @param {Object} baseEnglish - en.json before the change
+ * @param {Object} headEnglish - en.json after the change
+ * @returns {string[]}
+ */
+const findChangedSourceKeys = (baseEnglish, headEnglish) =>
+  Object.keys(headEnglish).filter(
+    (key) => key in baseEnglish && hashValue(baseEnglish[key]) !== hashValue(headEnglish[key])
+  );
+
+/**
+ * Keys of a locale whose English value changed, including all plural forms
+ * of a changed English plural group (`_few` translates `_other`).
+ *
+ * @param {Object} baseEnglish - en.json before the change
+ * @param {Object} headEnglish - en.json after the change
+ * @param {string} locale - BCP 47 locale
+ * @returns {string[]}
+ */
+const findAffectedKeys = (baseEnglish, headEnglish, locale) => {
+  const before = getExpectedKeys(baseEnglish, locale);
+  return [...getExpectedKeys(headEnglish, locale)]
+    .filter(([key, value]) => before.has(key) && hashValue(before.get(key)) !== hashValue(value))
+    .map(([key]) => key);
+};
+
+/**
+ * Translations of a locale that went stale, see the top of this file.
+ * Keys without a recorded state are never stale.
+ *
+ * @param {Object} state - Content of the state file of the locale
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {string} locale - BCP 47 locale
+ * @returns {string[]}
+ */
+const getStaleKeys = (state, englishTranslations, translations, locale) =>
+  [...getExpectedKeys(englishTranslations, locale)]
+    .filter(([key, englishValue]) => {
+      const value = getNestedValue(translations, key);
+      const entry = state[key];
+      return (
+        value !== undefined &&
+        entry !== undefined &&
+        !entry.untranslated &&
+        entry.translation === hashValue(value) &&
+        entry.source !== hashValue(englishValue)
+      );
+    })
+    .map(([key]) => key);
+
+/**
+ * Record the current translations of a locale. New and edited translations
+ * are recorded with the current English value, stale ones are kept as they
+ * are, unless they are in `accepted`.
+ *
+ * @param {Object} state - Content of the state file of the locale
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {string} locale - BCP 47 locale
+ * @param {string[]} accepted - Keys whose translation is still correct for the changed English value
+ * @returns {Object} The new state, in the key order of en.json
+ */
+const updateLocaleState = (state, englishTranslations, translations, locale, accepted = []) => {
+  const updated = {};
+
+  for (const [key, englishValue] of getExpectedKeys(englishTranslations, locale)) {
+    const value = getNestedValue(translations, key);
+    if (value === undefined) continue;
+
+    const translation = hashValue(value);
+    const entry = state[key];
+    updated[key] =
+      entry && entry.translation === translation && !accepted.includes(key)
+        ? entry
+        : { source: hashValue(englishValue), translation };
+  }
+
+  return updated;
+};
+
+/**
+ * @returns {Object} The state of a locale file, empty when there is none yet
+ */
+const loadLocaleState = (rootDir, file) => {
+  const filePath = path.join(rootDir, STATE_DIR, file);
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf-8')) : {};
+};
+
+const saveLocaleState = (rootDir, file, state) => {
+  fs.mkdirSync(path.join(rootDir, STATE_DIR), { recursive: true });
+  fs.writeFileSync(path.join(rootDir, STATE_DIR, file), `${JSON.stringify(state, null, 2)}\n`);
+};
+
+/**
+ * Translations of the locale files in a directory that are affected by the
+ * changed English values, for the summary of a pull request. Translations
+ * the pull request updates as well are not affected.
+ *
+ * @param {Object} baseEnglish - en.json before the change
+ * @param {Object} headEnglish - en.json after the change
+ * @param {{ rootDir?: string, sourceFile?: string, updated?: Array<{ path: string, content: string }>,
+ *   baseContents?: Array<{ path: string, content: string|null }>, isSkipped?: Function }} options -
+ *   `updated` are the locale files of the pull request and `baseContents` their previous versions
+ * @returns {Array<{ file: string, keys: string[] }>} Sorted by file name, locales without affected keys are left out
+ */
+const findStaleTranslations = (
+  baseEnglish,
+  headEnglish,
+  { rootDir = REPO_ROOT, sourceFile = 'en.json', updated = [], baseContents = [], isSkipped = () => false } = {}
+) => {
+  if (findChangedSourceKeys(baseEnglish, headEnglish).length === 0) return [];
+
+  return fs
+    .readdirSync(rootDir)
+    .filter((file) => isLocaleFile(file) && file !== sourceFile && !isSkipped(file))
+    .sort()
+    .map((file) => {
+      const head =
+        updated.find(({ path: p }) => p === file)?.content ?? fs.readFileSync(path.join(rootDir, file), 'utf-8');
+      const base = baseContents.find(({ path: p }) => p === file)?.content ?? head;
+      let translations;
+      let previous;
+      try {
+        translations = JSON.parse(head);
+        previous = JSON.parse(base);
+      } catch (err) {
+        // Broken locale files are reported by the key integrity check
+        return { file, keys: [] };
+      }
+
+      const keys = findAffectedKeys(baseEnglish, headEnglish, getLocaleFromPath(file)).filter((key) => {
+        const value = getNestedValue(translations, key);
+        return value !== undefined && value === getNestedValue(previous, key);
+      });
+      return { file, keys };
+    })
+    .filter(({ keys }) => keys.length > 0);
+};
+
+/**
+ * Markdown section listing the stale translations per locale.
+ *
+ * @param {Array<{ file: string, keys: string[] }>} stale - See findStaleTranslations
+ * @returns {string} Empty without stale translations
+ */
+const formatStaleTranslations = (stale) => {
+  if (stale.length === 0) return '';
+  const count = stale.reduce((sum, { keys }) => sum + keys.length, 0);
+  return [
+    '## ✏️ Changed English source',
+    '',
+    `The English text of translated keys changed, ${count} translations in ${stale.length} locales may need an update:`,
+    '',
+    ...stale.map(({ file, keys }) => `- \`${file}\`: ${keys.map((key) => `\`${key}\``).join(', ')}`),
+  ].join('\n');
+};
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      locale: { type: 'string' },
+      root: { type: 'string', default: REPO_ROOT },
+      update: { type: 'boolean', default: false },
+      accept: { type: 'string', multiple: true, default: [] },
+      format: { type: 'string', default: 'text' },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help || !['text', 'json'].includes(values.format) || (values.accept.length > 0 && !values.locale)) {
+    console.error(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+  let files = fs
+    .readdirSync(values.root)
+    .filter((file) => isLocaleFile(file) && file !== 'en.json')
+    .sort();
+  if (values.locale) {
+    files = files.filter((file) => getLocaleFromPath(file) === getLocaleFromPath(`${values.locale}.json`));
+    if (files.length === 0) {
+      console.error(`No locale file found for "${values.locale}"`);
+      return 1;
+    }
+  }
+
+  const report = files.map((file) => {
+    const locale = getLocaleFromPath(file);
+    const translations = JSON.parse(fs.readFileSync(path.join(values.root, file), 'utf-8'));
+    let state = loadLocaleState(values.root, file);
+    if (values.update || values.accept.length > 0) {
+      state = updateLocaleState(state, englishTranslations, translations, locale, values.accept);
+      saveLocaleState(values.root, file, state);
+    }
+    return { file, keys: getStaleKeys(state, englishTranslations, translations, locale) };
+  });
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    report.forEach(({ file, keys }) => {
+      console.log(`${file}: ${keys.length} stale`);
+      keys.forEach((key) => console.log(`  ${key}`));
+    });
+  }
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to check for stale translations', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  STATE_DIR,
+  hashValue,
+  findChangedSourceKeys,
+  findAffectedKeys,
+  getStaleKeys,
+  updateLocaleState,
+  loadLocaleState,
+  saveLocaleState,
+  findStaleTranslations,
+  formatStaleTranslations,
+  run,
+};
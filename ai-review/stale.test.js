@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  STATE_DIR,
+  hashValue,
+  findChangedSourceKeys,
+  findAffectedKeys,
+  getStaleKeys,
+  updateLocaleState,
+  loadLocaleState,
+  saveLocaleState,
+  findStaleTranslations,
+  formatStaleTranslations,
+  run,
+} = require('./stale');
+
+describe('stale translation tests', () => {
+  const baseEnglish = {
+    settings: 'Settings',
+    share: 'Share',
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+  };
+  const headEnglish = { ...baseEnglish, share: 'Share route', charges_other: '{{count}} charging stops' };
+  const german = {
+    settings: 'Einstellungen',
+    share: 'Teilen',
+    charges_one: 'Eine Ladung',
+    charges_other: '{{count}} Ladungen',
+  };
+
+  describe('hashValue', () => {
+    it('should hash strings and JSON values', () => {
+      expect(hashValue('Settings')).toMatch(/^[0-9a-f]{12}$/);
+      expect(hashValue('Settings')).not.toBe(hashValue('Settings '));
+      expect(hashValue(['a', 'b'])).toBe(hashValue('["a","b"]'));
+    });
+  });
+
+  describe('findChangedSourceKeys and findAffectedKeys', () => {
+    it('should find the changed English values', () => {
+      expect(findChangedSourceKeys(baseEnglish, { ...headEnglish, added: 'New' })).toEqual(['share', 'charges_other']);
+    });
+
+    it('should expand changed plural forms to the categories of the locale', () => {
+      expect(findAffectedKeys(baseEnglish, headEnglish, 'de')).toEqual(['share', 'charges_other']);
+      expect(findAffectedKeys(baseEnglish, headEnglish, 'pl')).toEqual([
+        'share',
+        'charges_other',
+        'charges_few',
+        'charges_many',
+      ]);
+    });
+  });
+
+  describe('updateLocaleState and getStaleKeys', () => {
+    const state = updateLocaleState({}, baseEnglish, german, 'de');
+
+    it('should record the English source of every translation', () => {
+      expect(Object.keys(state)).toEqual(['settings', 'share', 'charges_one', 'charges_other']);
+      expect(state.share).toEqual({ source: hashValue('Share'), translation: hashValue('Teilen') });
+      expect(getStaleKeys(state, baseEnglish, german, 'de')).toEqual([]);
+    });
+
+    it('should report translations whose English source changed', () => {
+      expect(getStaleKeys(state, headEnglish, german, 'de')).toEqual(['share', 'charges_other']);
+      // Updating keeps them stale
+      const updated = updateLocaleState(state, headEnglish, german, 'de');
+      expect(getStaleKeys(updated, headEnglish, german, 'de')).toEqual(['share', 'charges_other']);
+    });
+
+    it('should make edited and accepted translations current again', () => {
+      const edited = { ...german, share: 'Route teilen' };
+      expect(getStaleKeys(state, headEnglish, edited, 'de')).toEqual(['charges_other']);
+
+      const updated = updateLocaleState(state, headEnglish, edited, 'de', ['charges_other']);
+      expect(getStaleKeys(updated, headEnglish, edited, 'de')).toEqual([]);
+    });
+
+    it('should ignore translations without a recorded state', () => {
+      expect(getStaleKeys({}, headEnglish, german, 'de')).toEqual([]);
+    });
+
+    it('should ignore untranslated copies of the English source', () => {
+      const untranslated = { ...state, share: { ...state.share, untranslated: true } };
+      expect(getStaleKeys(untranslated, headEnglish, german, 'de')).toEqual(['charges_other']);
+    });
+  });
+
+  describe('files', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stale-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify(headEnglish));
+      fs.writeFileSync(path.join(dir, 'de.json'), JSON.stringify(german));
+      fs.writeFileSync(path.join(dir, 'fr.json'), JSON.stringify({ settings: 'Paramètres' }));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    it('should save and load the state of a locale', () => {
+      expect(loadLocaleState(dir, 'de.json')).toEqual({});
+      saveLocaleState(dir, 'de.json', { share: { source: 'a', translation: 'b' } });
+      expect(fs.readFileSync(path.join(dir, STATE_DIR, 'de.json'), 'utf-8')).toBe(
+        '{\n  "share": {\n    "source": "a",\n    "translation": "b"\n  }\n}\n'
+      );
+      expect(loadLocaleState(dir, 'de.json')).toEqual({ share: { source: 'a', translation: 'b' } });
+    });
+
+    it('should list the translations affected by a change of English', () => {
+      const updated = [{ path: 'fr.json', content: JSON.stringify({ settings: 'Paramètres', share: 'Partager' }) }];
+      const stale = findStaleTranslations(baseEnglish, headEnglish, {
+        rootDir: dir,
+        updated,
+        baseContents: [{ path: 'fr.json', content: JSON.stringify({ settings: 'Paramètres' }) }],
+      });
+
+      // The French translation of `share` is new in the change, it's made from the new English value
+      expect(stale).toEqual([{ file: 'de.json', keys: ['share', 'charges_other'] }]);
+      expect(findStaleTranslations(baseEnglish, baseEnglish, { rootDir: dir })).toEqual([]);
+      expect(findStaleTranslations(baseEnglish, headEnglish, { rootDir: dir, isSkipped: () => true })).toEqual([]);
+    });
+
+    it('should record and report the state from the command line', async () => {
+      expect(await run(['--root', dir, '--update'])).toBe(0);
+      expect(Object.keys(loadLocaleState(dir, 'fr.json'))).toEqual(['settings']);
+
+      fs.writeFileSync(path.join(dir, 'en.json'), JSON.stringify({ ...headEnglish, settings: 'Preferences' }));
+      expect(await run(['--root', dir, '--format', 'json'])).toBe(0);
+      expect(JSON.parse(console.log.mock.calls.at(-1)[0])).toEqual([
+        { file: 'de.json', keys: ['settings'] },
+        { file: 'fr.json', keys: ['settings'] },
+      ]);
+
+      expect(await run(['--root', dir, '--locale', 'fr', '--accept', 'settings'])).toBe(0);
+      expect(console.log).toHaveBeenLastCalledWith('fr.json: 0 stale');
+      expect(await run(['--root', dir, '--accept', 'settings'])).toBe(1);
+    });
+  });
+
+  describe('formatStaleTranslations', () => {
+    it('should list the keys per locale', () => {
+      expect(
+        formatStaleTranslations([
+          { file: 'de.json', keys: ['share', 'charges_other'] },
+          { file: 'fr.json', keys: ['share'] },
+        ])
+      ).toBe(
+        '## ✏️ Changed English source\n\nThe English text of translated keys changed, 3 translations in 2 locales ' +
+          'may need an update:\n\n- `de.json`: `share`, `charges_other`\n- `fr.json`: `share`'
+      );
+      expect(formatStaleTranslations([])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { isLocaleFile, getLocaleFromPath } = require('./utils');
+const { PLURAL_CATEGORIES, splitPluralKey, getExpectedKeys } = require('./plurals');
+const { STATE_DIR, hashValue, loadLocaleState, saveLocaleState } = require('./stale');
+
+/**
+ * Keeps the locale files in line with en.json: the keys of every locale file
+ * are put in the order of en.json, new keys are added and orphaned keys are
+ * removed. Entries that are kept are copied byte for byte, so a file that is
+ * in sync is never rewritten.
+ *
+ * A new key gets a copy of the English value, which is marked as untranslated
+ * in the state of the locale, see stale.js. Until the copy is translated it is
+ * updated along with the English value.
+ */
+
+const REPO_ROOT = path.resolve(__dirname, '..');
+
+const USAGE = `Usage: node ai-review/sync.js [options]
+
+Adds the keys of en.json to every locale file, removes orphaned keys and orders the keys like en.json.
+
+Options:
+  --locale <locale>  Only this locale, e.g. de or pt-BR
+  --root <dir>       Directory holding the locale files, defaults to the repository root
+  --check            Don't write anything, fail when a locale file is out of sync
+  --help             Show this message
+
+New keys are marked as untranslated in ${STATE_DIR}/.`;
+
+const skipWhitespace = (content, index) => {
+  let i = index;
+  while (/\s/.test(content[i])) i++;
+  return i;
+};
+
+/**
+ * @returns {number} Index after the JSON string starting at `start`
+ */
+const readString = (content, start) => {
+  let i = start + 1;
+  while (content[i] !== '"') i += content[i] === '\\' ? 2 : 1;
+  return i + 1;
+};
+
+/**
+ * @returns {number} Index after the JSON value starting at `start`
+ */
+const readValue = (content, start) => {
+  if (content[start] === '"') return readString(content, start);
+  if (content[start] !== '[' && content[start] !== '{') {
+    return start + /^[^,}\]\s]*/.exec(content.slice(start))[0].length;
+  }
+
+  let depth = 0;
+  let i = start;
+  do {
+    if (content[i] === '"') {
+      i = readString(content, i);
+      continue;
+    }
+    if (content[i] === '[' || content[i] === '{') depth++;
+    if (content[i] === ']' || content[i] === '}') depth--;
+    i++;
+  } while (depth > 0);
+  return i;
+};
+
+/**
+ * Split a locale file into the source text of its entries.
+ *
+ * @param {string} content - Valid JSON object
+ * @returns {{ indent: string, entries: Map<string, string> }} The indentation of the entries, and the text of
+ *   every entry from its key to the end of its value, e.g. `"waypoint": "Wegpunkt"`
+ */
+const parseEntries = (content) => {
+  const entries = new Map();
+  let indent = '  ';
+  let i = skipWhitespace(content, content.indexOf('{') + 1);
+
+  while (content[i] === '"') {
+    const keyEnd = readString(content, i);
+    if (entries.size === 0) {
+      const lineStart = content.slice(content.lastIndexOf('\n', i) + 1, i);
+      if (/^[ \t]+$/.test(lineStart)) indent = lineStart;
+    }
+    const valueEnd = readValue(content, skipWhitespace(content, content.indexOf(':', keyEnd) + 1));
+    entries.set(JSON.parse(content.slice(i, keyEnd)), content.slice(i, valueEnd));
+    i = skipWhitespace(content, valueEnd);
+    if (content[i] === ',') i = skipWhitespace(content, i + 1);
+  }
+
+  return { indent, entries };
+};
+
+const formatEntry = (key, value, indent) =>
+  `${JSON.stringify(key)}: ${JSON.stringify(value, null, 2).replace(/\n/g, `\n${indent}`)}`;
+
+/**
+ * Join entries to a locale file, ending like `content` did.
+ */
+const formatEntries = (lines, indent, content) => {
+  const end = /\s*$/.exec(content)[0];
+  return lines.length === 0 ? `{}${end}` : `{\n${lines.map((line) => indent + line).join(',\n')}\n}${end}`;
+};
+
+/**
+ * Set the values of keys in a locale file, the other entries are kept as
+ * they are. New keys are added at the end, syncing moves them to their place.
+ *
+ * @param {string} content - Content of the locale file
+ * @param {Object} values - New values by key
+ * @returns {string}
+ */
+const setEntries = (content, values) => {
+  const { indent, entries } = parseEntries(content);
+  for (const [key, value] of Object.entries(values)) {
+    entries.set(key, formatEntry(key, value, indent));
+  }
+  return formatEntries([...entries.values()], indent, content);
+};
+
+/**
+ * English value a key of a locale is translated from, plural forms English
+ * doesn't have (`_few`) translate `_other`.
+ */
+const getEnglishValue = (englishTranslations, key) =>
+  key in englishTranslations ? englishTranslations[key] : englishTranslations[`${splitPluralKey(key).base}_other`];
+
+/**
+ * Keys a locale file should have, in order: the keys of en.json, with plural
+ * forms English doesn't have next to the other forms of their group. English
+ * plural forms the locale doesn't use (`_one` in Japanese) are only kept where
+ * they are translated, like the coverage report doesn't count them as orphaned.
+ *
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {Object} translations - Content of the locale file
+ * @param {string} locale - BCP 47 locale
+ * @returns {string[]}
+ */
+const getSyncedKeys = (englishTranslations, translations, locale) => {
+  const expected = getExpectedKeys(englishTranslations, locale);
+  const keys = Object.keys(englishTranslations).filter((key) => expected.has(key) || key in translations);
+  const getOrder = (key) => PLURAL_CATEGORIES.indexOf(splitPluralKey(key).category);
+
+  for (const key of expected.keys()) {
+    if (key in englishTranslations) continue;
+    const { base } = splitPluralKey(key);
+    const isSameGroup = (other) => splitPluralKey(other)?.base === base;
+    const next = keys.findIndex((other) => isSameGroup(other) && getOrder(other) > getOrder(key));
+    keys.splice(next === -1 ? keys.findLastIndex(isSameGroup) + 1 : next, 0, key);
+  }
+
+  return keys;
+};
+
+/**
+ * Bring one locale file in line with en.json.
+ *
+ * @param {string} content - Content of the locale file
+ * @param {Object} englishTranslations - Content of en.json
+ * @param {string} locale - BCP 47 locale
+ * @param {Object} state - Content of the state file of the locale, see stale.js
+ * @returns {{ content: string, state: Object, added: string[], removed: string[], refreshed: string[],
+ *   reordered: boolean }} The synced file and state, `refreshed` are untranslated copies of changed English values
+ * @throws {Error} When the locale file isn't a JSON object
+ */
+const syncLocaleFile = (content, englishTranslations, locale, state = {}) => {
+  const translations = JSON.parse(content);
+  if (translations === null || typeof translations !== 'object' || Array.isArray(translations)) {
+    throw new Error('Locale file must be a JSON object');
+  }
+
+  const { indent, entries } = parseEntries(content);
+  const keys = getSyncedKeys(englishTranslations, translations, locale);
+  const added = keys.filter((key) => !entries.has(key));
+  const removed = [...entries.keys()].filter((key) => !keys.includes(key));
+  const refreshed = keys.filter((key) => {
+    const entry = state[key];
+    return (
+      entries.has(key) &&
+      entry?.untranslated &&
+      entry.translation === hashValue(translations[key]) &&
+      entry.source !== hashValue(getEnglishValue(englishTranslations, key))
+    );
+  });
+  const kept = keys.filter((key) => entries.has(key));
+  const reordered = [...entries.keys()].filter((key) => keys.includes(key)).some((key, i) => key !== kept[i]);
+
+  if (added.length === 0 && removed.length === 0 && refreshed.length === 0 && !reordered) {
+    return { content, state, added, removed, refreshed, reordered };
+  }
+
+  const updatedState = { ...state };
+  removed.forEach((key) => delete updatedState[key]);
+  for (const key of [...added, ...refreshed]) {
+    const hash = hashValue(getEnglishValue(englishTranslations, key));
+    updatedState[key] = { source: hash, translation: hash, untranslated: true };
+  }
+
+  const lines = keys.map((key) =>
+    added.includes(key) || refreshed.includes(key)
+      ? formatEntry(key, getEnglishValue(englishTranslations, key), indent)
+      : entries.get(key)
+  );
+  return { content: formatEntries(lines, indent, content), state: updatedState, added, removed, refreshed, reordered };
+};
+
+const describeSync = ({ added, removed, refreshed, reordered }) =>
+  [
+    added.length > 0 && `${added.length} added`,
+    removed.length > 0 && `${removed.length} removed`,
+    refreshed.length > 0 && `${refreshed.length} untranslated updated`,
+    reordered && 'reordered',
+  ]
+    .filter(Boolean)
+    .join(', ');
+
+const run = async (argv) => {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      locale: { type: 'string' },
+      root: { type: 'string', default: REPO_ROOT },
+      check: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values.help) {
+    console.error(USAGE);
+    return 0;
+  }
+
+  const englishTranslations = JSON.parse(fs.readFileSync(path.join(values.root, 'en.json'), 'utf-8'));
+  let files = fs
+    .readdirSync(values.root)
+    .filter((file) => isLocaleFile(file) && file !== 'en.json')
+    .sort();
+  if (values.locale) {
+    files = files.filter((file) => getLocaleFromPath(file) === getLocaleFromPath(`${values.locale}.json`));
+    if (files.length === 0) {
+      console.error(`No locale file found for "${values.locale}"`);
+      return 1;
+    }
+  }
+
+  let outOfSync = 0;
+  for (const file of files) {
+    const content = fs.readFileSync(path.join(values.root, file), 'utf-8');
+    const state = loadLocaleState(values.root, file);
+    let result;
+    try {
+      result = syncLocaleFile(content, englishTranslations, getLocaleFromPath(file), state);
+    } catch (err) {
+      throw new Error(`${file}: ${err.message}`);
+    }
+    if (result.content === content && result.state === state) continue;
+
+    outOfSync++;
+    console.log(`${file}: ${describeSync(result)}`);
+    if (!values.check) {
+      fs.writeFileSync(path.join(values.root, file), result.content);
+      if (JSON.stringify(result.state) !== JSON.stringify(state)) saveLocaleState(values.root, file, result.state);
+    }
+  }
+
+  if (outOfSync === 0) {
+    console.log(`All ${files.length} locale files are in sync with en.json`);
+  } else if (values.check) {
+    console.log(`${outOfSync} locale files are out of sync with en.json, run "npm run sync-locales" in ai-review`);
+    return 1;
+  }
+  return 0;
+};
+
+if (require.main === module) {
+  run(process.argv.slice(2))
+    .then((exitCode) => {
+      process.exitCode = exitCode;
+    })
+    .catch((error) => {
+      console.error('Failed to sync the locale files', error.message);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  parseEntries,
+  setEntries,
+  getEnglishValue,
+  getSyncedKeys,
+  syncLocaleFile,
+  run,
+};
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STATE_DIR, hashValue } = require('./stale');
+const { parseEntries, setEntries, getSyncedKeys, syncLocaleFile, run } = require('./sync');
+const { checkKeyIntegrity } = require('./keys');
+
+describe('sync tests', () => {
+  const englishTranslations = {
+    settings: 'Settings',
+    day_names: ['Sunday', 'Monday'],
+    charges_one: 'One charge',
+    charges_other: '{{count}} charges',
+    share: 'Share',
+  };
+  const toJson = (content) => JSON.stringify(content, null, 2);
+
+  describe('parseEntries', () => {
+    it('should keep the source text of every entry', () => {
+      const content = '{\n    "a": "x \\" y",\n    "b" : [\n      "1",\n      "2"\n    ],\n    "c": null\n}\n';
+
+      expect(parseEntries(content)).toEqual({
+        indent: '    ',
+        entries: new Map([
+          ['a', '"a": "x \\" y"'],
+          ['b', '"b" : [\n      "1",\n      "2"\n    ]'],
+          ['c', '"c": null'],
+        ]),
+      });
+    });
+
+    it('should handle empty objects', () => {
+      expect(parseEntries('{}')).toEqual({ indent: '  ', entries: new Map() });
+    });
+  });
+
+  describe('setEntries', () => {
+    it('should replace and add entries and keep the others as they are', () => {
+      const content = '{\n  "a" : "x",\n  "b": "y"\n}\n';
+
+      expect(setEntries(content, { b: 'z', c: ['1'] })).toBe('{\n  "a" : "x",\n  "b": "z",\n  "c": [\n    "1"\n  ]\n}\n');
+    });
+  });
+
+  describe('getSyncedKeys', () => {
+    it('should order the keys like en.json', () => {
+      expect(getSyncedKeys(englishTranslations, { share: 'Teilen', orphan: 'x' }, 'de')).toEqual(
+        Object.keys(englishTranslations)
+      );
+    });
+
+    it('should add the plural forms of the locale next to their group', () => {
+      expect(getSyncedKeys(englishTranslations, {}, 'pl')).toEqual([
+        'settings',
+        'day_names',
+        'charges_one',
+        'charges_few',
+        'charges_many',
+        'charges_other',
+        'share',
+      ]);
+    });
+
+    it('should only keep English plural forms the locale does not use when translated', () => {
+      expect(getSyncedKeys(englishTranslations, {}, 'ja')).not.toContain('charges_one');
+      expect(getSyncedKeys(englishTranslations, { charges_one: '1回' }, 'ja')).toContain('charges_one');
+    });
+  });
+
+  describe('syncLocaleFile', () => {
+    const german = {
+      settings: 'Einstellungen',
+      day_names: ['Sonntag', 'Montag'],
+      charges_one: 'Eine Ladung',
+      charges_other: '{{count}} Ladungen',
+      share: 'Teilen',
+    };
+
+    it('should leave files in sync untouched', () => {
+      const content = '{\n  "settings":"Einstellungen",\n  "day_names": ["Sonntag", "Montag"],\n' +
+        '  "charges_one": "Eine Ladung",\n  "charges_other": "{{count}} Ladungen",\n  "share": "Teilen"\n}';
+      const state = {};
+
+      const result = syncLocaleFile(content, englishTranslations, 'de', state);
+
+      expect(result).toEqual({ content, state, added: [], removed: [], refreshed: [], reordered: false });
+      expect(result.state).toBe(state);
+    });
+
+    it('should reorder, add and remove keys and keep the other entries as they are', () => {
+      const { share, settings, charges_other: other } = german;
+      const content = `{\n  "share":  "${share}",\n  "orphan": "x",\n  "settings": "${settings}",\n` +
+        `  "charges_other": "${other}"\n}\n`;
+
+      const result = syncLocaleFile(content, englishTranslations, 'de');
+
+      expect(result.content).toBe(
+        '{\n  "settings": "Einstellungen",\n  "day_names": [\n    "Sunday",\n    "Monday"\n  ],\n' +
+          '  "charges_one": "One charge",\n  "charges_other": "{{count}} Ladungen",\n  "share":  "Teilen"\n}\n'
+      );
+      expect(result).toMatchObject({ added: ['day_names', 'charges_one'], removed: ['orphan'], reordered: true });
+      const days = hashValue(englishTranslations.day_names);
+      expect(result.state).toEqual({
+        day_names: { source: days, translation: days, untranslated: true },
+        charges_one: { source: hashValue('One charge'), translation: hashValue('One charge'), untranslated: true },
+      });
+    });
+
+    it('should copy the English `_other` form into new plural forms', () => {
+      const { content } = syncLocaleFile(toJson({ ...german, charges_one: 'Jedno' }), englishTranslations, 'pl');
+
+      expect(JSON.parse(content)).toMatchObject({
+        charges_few: '{{count}} charges',
+        charges_many: '{{count}} charges',
+      });
+    });
+
+    it('should update untranslated copies of changed English values until they are translated', () => {
+      const first = syncLocaleFile(toJson({ settings: 'Einstellungen' }), englishTranslations, 'de');
+      const changedEnglish = { ...englishTranslations, share: 'Share route', settings: 'Preferences' };
+
+      const second = syncLocaleFile(first.content, changedEnglish, 'de', first.state);
+      expect(second.refreshed).toEqual(['share']);
+      expect(JSON.parse(second.content)).toMatchObject({ settings: 'Einstellungen', share: 'Share route' });
+
+      const translated = toJson({ ...JSON.parse(first.content), share: 'Teilen' });
+      expect(syncLocaleFile(translated, changedEnglish, 'de', first.state).refreshed).toEqual([]);
+    });
+
+    it('should pass the key integrity check of pull requests', () => {
+      const content = toJson({ share: 'Teilen', charges_other: '{{count}} Ladungen', settings: 'Einstellungen' });
+
+      for (const locale of ['de', 'pl']) {
+        const synced = syncLocaleFile(content, englishTranslations, locale).content;
+        expect(checkKeyIntegrity(englishTranslations, content, synced, locale)).toEqual({
+          deleted: [],
+          added: [],
+          renamed: [],
+          duplicated: [],
+          moved: [],
+        });
+      }
+    });
+
+    it('should reject files that are no JSON object', () => {
+      expect(() => syncLocaleFile('[]', englishTranslations, 'de')).toThrow('Locale file must be a JSON object');
+    });
+  });
+
+  describe('run', () => {
+    let dir;
+    const read = (name) => fs.readFileSync(path.join(dir, name), 'utf-8');
+    const german = toJson({ settings: 'Einstellungen', share: 'Teilen' });
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-'));
+      fs.writeFileSync(path.join(dir, 'en.json'), toJson(englishTranslations));
+      fs.writeFileSync(path.join(dir, 'de.json'), german);
+      fs.writeFileSync(path.join(dir, 'nl.json'), toJson(englishTranslations));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+      jest.restoreAllMocks();
+    });
+
+    const output = () => console.log.mock.calls.map(([line]) => line);
+
+    it('should fail the check without writing when a locale file is out of sync', async () => {
+      expect(await run(['--root', dir, '--check'])).toBe(1);
+      expect(output()).toEqual([
+        'de.json: 3 added',
+        '1 locale files are out of sync with en.json, run "npm run sync-locales" in ai-review',
+      ]);
+      expect(read('de.json')).toBe(german);
+      expect(fs.existsSync(path.join(dir, STATE_DIR))).toBe(false);
+    });
+
+    it('should sync the locale files and mark the new keys as untranslated', async () => {
+      expect(await run(['--root', dir])).toBe(0);
+      expect(Object.keys(JSON.parse(read('de.json')))).toEqual(Object.keys(englishTranslations));
+      const state = JSON.parse(read(`${STATE_DIR}/de.json`));
+      expect(Object.keys(state)).toEqual(['day_names', 'charges_one', 'charges_other']);
+      // Files that were in sync get no state
+      expect(fs.existsSync(path.join(dir, STATE_DIR, 'nl.json'))).toBe(false);
+
+      console.log.mockClear();
+      expect(await run(['--root', dir, '--check'])).toBe(0);
+      expect(output()).toEqual(['All 2 locale files are in sync with en.json']);
+    });
+
+    it('should only sync the given locale', async () => {
+      fs.writeFileSync(path.join(dir, 'nl.json'), '{}');
+
+      expect(await run(['--root', dir, '--locale', 'de'])).toBe(0);
+      expect(read('nl.json')).toBe('{}');
+      expect(await run(['--root', dir, '--locale', 'xx'])).toBe(1);
+    });
+  });
+});
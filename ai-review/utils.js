@@ -5,13 +5,40 @@ const ignoredRegex = new RegExp(
   )})$|^node_modules/`
 );
 
+// Locale files live in the repository root and are named after their locale, e.g. `de.json` or `pt-br.json`
+const localeFileRegex = /^([a-z]{2,3}(?:-[a-zA-Z]{2,4})?)\.json$/;
+
+/**
+ * Whether a repository path is a locale file (including `en.json`).
+ */
+const isLocaleFile = (path) => localeFileRegex.test(path);
+
+/**
+ * Derive the BCP 47 locale from a locale file path, e.g. `pt-br.json` -> `pt-BR`.
+ *
+ * @param {string} path - Repository path of the locale file
+ * @returns {string|null} The canonical locale, or null for non-locale files
+ */
+const getLocaleFromPath = (path) => {
+  const match = localeFileRegex.exec(path);
+  if (!match) return null;
+  try {
+    return Intl.getCanonicalLocales(match[1])[0];
+  } catch (err) {
+    return null;
+  }
+};
+
 /**
  * Removes entire diff sections for files matching the ignore patterns.
  * Keeps any text before the first diff header intact.
  * GitHub uses unified diff format: "diff --git a/path b/path"
  * Paths may be quoted when they contain special characters: "diff --git "a/path" "b/path""
+ *
+ * @param {string} diff - Unified diff
+ * @param {RegExp} [ignored] - Paths to remove, see config.js createIgnoreRegex
  */
-const filterDiffByIgnoredFiles = (diff) => {
+const filterDiffByIgnoredFiles = (diff, ignored = ignoredRegex) => {
   if (!diff) return diff;
   // Handle both quoted and unquoted paths in git diff headers
   const headerRegex = /^diff --git "?a\/(.+?)"? "?b\/(.+?)"?$/gm;
@@ -32,7 +59,7 @@ const filterDiffByIgnoredFiles = (diff) => {
     const start = matches[i].index;
     const end = i + 1 < matches.length ? matches[i + 1].index : diff.length;
     const path = matches[i].path;
-    if (!ignoredRegex.test(path)) {
+    if (!ignored.test(path)) {
       result += diff.slice(start, end);
     }
   }
@@ -107,90 +134,285 @@ const getNestedValue = (obj, key) => {
   return typeof current === 'string' ? current : JSON.stringify(current);
 };
 
+// Fallback englishValue for keys that don't exist in en.json
+const MISSING_ENGLISH_SOURCE = '(no English source found)';
+
+// Bot comments with this marker are updated in place and survive the cleanup before a new review
+const KEEP_COMMENT_MARKER = '<!-- ai-review:keep -->';
+
+// Matches i18next-style `{{name}}` interpolations as well as single-brace `{name}` tokens.
+// The double-brace alternative comes first so `{{count}}` is never read as `{count}`.
+const placeholderRegex = /\{\{([^{}]*)\}\}|\{([^{}]*)\}/g;
+
+/**
+ * Extract all placeholders from a translation value.
+ * Inner whitespace is normalized so `{{ count }}` and `{{count}}` compare equal,
+ * while the brace style is kept, as `{count}` and `{{count}}` are not interchangeable.
+ *
+ * @param {string} value - The translation value
+ * @returns {string[]} Placeholders in order of appearance, e.g. ['{{count}}', '{deviceName}']
+ */
+const extractPlaceholders = (value) => {
+  if (typeof value !== 'string') return [];
+
+  const placeholders = [];
+  let match;
+  placeholderRegex.lastIndex = 0;
+  while ((match = placeholderRegex.exec(value)) !== null) {
+    if (match[1] !== undefined) {
+      placeholders.push(`{{${match[1].trim().replace(/\s*,\s*/g, ', ')}}}`);
+    } else {
+      placeholders.push(`{${match[2].trim().replace(/\s*,\s*/g, ', ')}}`);
+    }
+  }
+  return placeholders;
+};
+
+/**
+ * Remove every entry of `subtract` from `list` once (multiset difference).
+ */
+const multisetDifference = (list, subtract) => {
+  const remaining = [...list];
+  for (const item of subtract) {
+    const index = remaining.indexOf(item);
+    if (index !== -1) remaining.splice(index, 1);
+  }
+  return remaining;
+};
+
 /**
- * Parse the diff to extract changed translation entries.
+ * Compare the placeholders of an English source string and its translation.
+ * A missing and an extra placeholder are reported together as a rename,
+ * since that is by far the most common cause (e.g. a translated `{{count}}`).
  *
- * For each added (`+`) line we also try to find the matching removed (`-`) line
- * for the same key in the same file, so the AI reviewer gets the previous
- * translation as context. This prevents the reviewer from suggesting a
- * "better" translation that just happens to be the value the contributor
- * intentionally replaced.
+ * @returns {{ missing: string[], extra: string[], renamed: Array<{ from: string, to: string }> }}
+ */
+const comparePlaceholders = (englishValue, translatedValue) => {
+  const expected = extractPlaceholders(englishValue);
+  const actual = extractPlaceholders(translatedValue);
+
+  const missing = multisetDifference(expected, actual);
+  const extra = multisetDifference(actual, expected);
+
+  const renamed = [];
+  while (missing.length > 0 && extra.length > 0) {
+    renamed.push({ from: missing.shift(), to: extra.shift() });
+  }
+
+  return { missing, extra, renamed };
+};
+
+/**
+ * Deterministic placeholder check for the entries returned by
+ * `getTranslationChanges`. Produces issues in the same shape the AI
+ * reviewer returns, so they can be posted through the same comment path.
  *
- * Returns an array of { file, key, newValue, oldValue, englishValue, line } objects.
- * `oldValue` is null when the entry is a brand-new key.
+ * @param {Array} changes - Changed translation entries
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string }>}
  */
-const parseTranslationChangesFromDiff = (diff, englishTranslations) => {
-  const changes = [];
-
-  // Split diff by file
-  const fileSections = diff.split(/^diff --git/m).filter(Boolean);
-
-  for (const section of fileSections) {
-    // Extract filename from first line - match pattern like " a/de.json b/de.json" or " "a/zh-CN.json" "b/zh-CN.json""
-    const firstLine = section.split('\n')[0];
-    // Match the b/ path (destination) - handles both quoted and unquoted paths
-    const fileMatch = firstLine.match(/\s+"?b\/([^"\s]+\.json)"?\s*$/);
-    if (!fileMatch) continue;
-
-    const filePath = fileMatch[1];
-
-    // Skip non-translation files and en.json (source file)
-    if (!filePath.endsWith('.json') || filePath === 'en.json') continue;
-
-    const lines = section.split('\n');
-
-    // First pass: collect removed values per key so we can pair them with the
-    // matching added line below. If the same key is touched more than once in
-    // the same file (rare, but possible across hunks) the last removed value
-    // wins, which is fine for context purposes.
-    const removedByKey = new Map();
-    for (const line of lines) {
-      // Skip the `--- a/...` diff header
-      if (line.startsWith('-') && !line.startsWith('---')) {
-        const content = line.slice(1);
-        const kvMatch = content.match(/^\s*"([^"]+)":\s*"(.*)"/);
-        if (kvMatch) {
-          const [, key, value] = kvMatch;
-          removedByKey.set(key, value);
-        }
-      }
+const validatePlaceholders = (changes) => {
+  const issues = [];
+
+  for (const change of changes) {
+    if (!change.englishValue || change.englishValue === MISSING_ENGLISH_SOURCE) continue;
+
+    const { missing, extra, renamed } = comparePlaceholders(change.englishValue, change.newValue);
+    const problems = [
+      ...renamed.map(({ from, to }) => `\`${to}\` should be \`${from}\` (placeholder names must not be changed)`),
+      ...missing.map((placeholder) => `\`${placeholder}\` is missing`),
+      ...extra.map((placeholder) => `\`${placeholder}\` does not exist in the English source`),
+    ];
+
+    if (problems.length > 0) {
+      issues.push({
+        filePath: change.file,
+        lineContent: change.line,
+        comment: `❌ **Placeholder mismatch** with the English source \`${change.englishValue}\`:\n${problems
+          .map((problem) => `- ${problem}`)
+          .join('\n')}`,
+        check: 'placeholders',
+      });
     }
+  }
+
+  return issues;
+};
+
+// Matches opening, closing and self-closing tags such as `<url>`, `</url2>` and `<br />`
+const tagRegex = /<\s*(\/)?\s*([a-zA-Z][\w-]*)\s*(\/)?\s*>/g;
 
-    // Second pass: emit one change per added line, with oldValue when present
-    for (const line of lines) {
-      // Skip the `+++ b/...` diff header
-      if (line.startsWith('+') && !line.startsWith('+++')) {
-        const content = line.slice(1);
-
-        // Match JSON key-value pairs like: "key": "value"
-        const kvMatch = content.match(/^\s*"([^"]+)":\s*"(.*)"/);
-        if (kvMatch) {
-          const [, key, value] = kvMatch;
-          const englishValue = getNestedValue(englishTranslations, key);
-          const oldValue = removedByKey.has(key) ? removedByKey.get(key) : null;
-
-          changes.push({
-            file: filePath,
-            key,
-            newValue: value,
-            oldValue,
-            englishValue: englishValue || '(no English source found)',
-            line: content,
-          });
-        }
+// Tags that never have a closing counterpart, even when written without `/`
+const VOID_TAGS = ['br'];
+
+const formatTag = (name) => (VOID_TAGS.includes(name) ? `<${name} />` : `<${name}>`);
+
+/**
+ * Parse the rich-text tags of a translation value.
+ *
+ * Every tag is recorded with the chain of tags enclosing it (e.g. `url > bold`),
+ * so two values can be compared for tag set and nesting in one go.
+ *
+ * @param {string} value - The translation value
+ * @returns {{ names: string[], paths: string[], errors: string[] }}
+ */
+const parseMarkup = (value) => {
+  const names = [];
+  const paths = [];
+  const errors = [];
+  const stack = [];
+
+  if (typeof value !== 'string') return { names, paths, errors };
+
+  let match;
+  tagRegex.lastIndex = 0;
+  while ((match = tagRegex.exec(value)) !== null) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      if (VOID_TAGS.includes(name)) continue;
+      if (stack[stack.length - 1] === name) {
+        stack.pop();
+      } else if (stack.includes(name)) {
+        const unclosed = stack.slice(stack.lastIndexOf(name) + 1);
+        errors.push(`\`</${name}>\` is closed before ${unclosed.map((tag) => `\`${formatTag(tag)}\``).join(', ')}`);
+        stack.splice(stack.lastIndexOf(name));
+      } else {
+        errors.push(`\`</${name}>\` has no matching \`<${name}>\``);
       }
+      continue;
+    }
+
+    names.push(name);
+    paths.push([...stack, name].join(' > '));
+    if (!selfClosing && !VOID_TAGS.includes(name)) {
+      stack.push(name);
     }
   }
 
-  return changes;
+  for (const name of stack) {
+    errors.push(`\`<${name}>\` is never closed`);
+  }
+
+  return { names, paths, errors };
+};
+
+/**
+ * Compare the rich-text tags of an English source string and its translation.
+ *
+ * @returns {string[]} Human readable problems, empty when the markup matches
+ */
+const compareMarkup = (englishValue, translatedValue) => {
+  const expected = parseMarkup(englishValue);
+  const actual = parseMarkup(translatedValue);
+
+  const missing = multisetDifference(expected.names, actual.names);
+  const extra = multisetDifference(actual.names, expected.names);
+
+  const problems = [
+    ...actual.errors,
+    ...missing.map((name) => `\`${formatTag(name)}\` is missing`),
+    ...extra.map((name) => `\`${formatTag(name)}\` does not exist in the English source`),
+  ];
+
+  // Only compare nesting once the tags themselves are fine, otherwise it's just noise
+  if (problems.length === 0) {
+    const misplaced = multisetDifference(actual.paths, expected.paths);
+    if (misplaced.length > 0) {
+      problems.push(
+        `Tags are nested differently than in the English source (\`${expected.paths.join('`, `')}\`)`
+      );
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Deterministic check for the `<url>`, `<url2>`, `<br />` etc. markup the app
+ * interpolates. Returns issues in the same shape as `validatePlaceholders`.
+ *
+ * @param {Array} changes - Changed translation entries
+ * @returns {Array<{ filePath: string, lineContent: string, comment: string, check: string }>}
+ */
+const validateMarkup = (changes) => {
+  const issues = [];
+
+  for (const change of changes) {
+    if (!change.englishValue || change.englishValue === MISSING_ENGLISH_SOURCE) continue;
+
+    const problems = compareMarkup(change.englishValue, change.newValue);
+    if (problems.length > 0) {
+      issues.push({
+        filePath: change.file,
+        lineContent: change.line,
+        comment: `❌ **Markup mismatch** with the English source \`${change.englishValue}\`:\n${problems
+          .map((problem) => `- ${problem}`)
+          .join('\n')}`,
+        check: 'markup',
+      });
+    }
+  }
+
+  return issues;
+};
+
+// Wide and fullwidth characters of Unicode East Asian Width, see https://www.unicode.org/reports/tr11/
+const WIDE_RANGES = [
+  '\\u1100-\\u115F', // Hangul Jamo
+  '\\u2E80-\\u303E', // CJK radicals, symbols and punctuation
+  '\\u3041-\\u33FF', // Hiragana, Katakana, Bopomofo, Hangul compatibility Jamo
+  '\\u3400-\\u4DBF', // CJK unified ideographs extension A
+  '\\u4E00-\\u9FFF', // CJK unified ideographs
+  '\\uA000-\\uA4CF', // Yi
+  '\\uA960-\\uA97F', // Hangul Jamo extended A
+  '\\uAC00-\\uD7A3', // Hangul syllables
+  '\\uF900-\\uFAFF', // CJK compatibility ideographs
+  '\\uFE10-\\uFE19\\uFE30-\\uFE6F', // Vertical, CJK compatibility and small forms
+  '\\uFF00-\\uFF60\\uFFE0-\\uFFE6', // Fullwidth forms
+  '\\u{20000}-\\u{3FFFD}', // CJK unified ideographs extensions B and later
+];
+const wideRegex = new RegExp(`[${WIDE_RANGES.join('')}]|\\p{Emoji_Presentation}|\\uFE0F`, 'u');
+
+// Soft hyphens, zero width spaces and other characters that take no room
+const zeroWidthRegex = /^[\p{Mn}\p{Me}\p{Cc}\p{Cf}]+$/u;
+
+const graphemeSegmenter = new Intl.Segmenter('en', { granularity: 'grapheme' });
+
+/**
+ * Width of a translation value as shown in the app, in columns of a
+ * monospace font: every grapheme cluster counts once, wide characters like
+ * CJK ideographs and emoji count twice. Placeholders and rich-text tags are
+ * left out, the length of what they render isn't known.
+ *
+ * @param {string} value - The translation value
+ * @returns {number}
+ */
+const getDisplayWidth = (value) => {
+  const text = String(value).replace(placeholderRegex, '').replace(tagRegex, '');
+  let width = 0;
+  for (const { segment } of graphemeSegmenter.segment(text)) {
+    if (!zeroWidthRegex.test(segment)) width += wideRegex.test(segment) ? 2 : 1;
+  }
+  return width;
 };
 
 module.exports = {
   IGNORED_FILES,
+  MISSING_ENGLISH_SOURCE,
+  KEEP_COMMENT_MARKER,
   ignoredRegex,
+  isLocaleFile,
+  getLocaleFromPath,
   filterDiffByIgnoredFiles,
   convertToRegexPattern,
   getLineNumber,
   getNestedValue,
-  parseTranslationChangesFromDiff,
+  extractPlaceholders,
+  comparePlaceholders,
+  validatePlaceholders,
+  parseMarkup,
+  compareMarkup,
+  validateMarkup,
+  getDisplayWidth,
 };